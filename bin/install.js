@@ -7,7 +7,7 @@
  * Usage: npx @supercorks/skills-installer install
  */
 
-import { existsSync, appendFileSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, appendFileSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
 import { resolve, join } from 'path';
 import { homedir } from 'os';
 import { 
@@ -15,6 +15,7 @@ import {
   promptInstallPath,
   promptAgentInstallPath, 
   promptGitignore, 
+  promptLocalChanges,
   promptSkillSelection,
   promptSubagentSelection,
   showSpinner,
@@ -22,8 +23,10 @@ import {
   showSubagentSuccess,
   showError
 } from '../lib/prompts.js';
-import { fetchAvailableSkills, fetchSkillMetadata } from '../lib/skills.js';
-import { fetchAvailableSubagents, fetchSubagentMetadata } from '../lib/subagents.js';
+import { fetchAvailableSkills, fetchSkillMetadata, fetchSkillPreview, getRepoUrl, mergeSkillSources, resolveSkillNames } from '../lib/skills.js';
+import { fetchAvailableSubagents, fetchSubagentMetadata, fetchSubagentPreview, getSubagentsRepoUrl } from '../lib/subagents.js';
+import { CONFIG_FILENAME, describeRepo, isSameRepository, loadConfig, parseRepoSpec, resolveHarnessSpecs, resolveRepos } from '../lib/config.js';
+import { DEFAULT_CACHE_TTL, configureCache } from '../lib/http-cache.js';
 import { 
   sparseCloneSkills, 
   isGitAvailable, 
@@ -34,18 +37,52 @@ import {
   listCheckedOutSubagents,
   updateSubagentsSparseCheckout,
   checkSkillsForUpdates,
-  checkSubagentsForUpdates
+  checkSubagentsForUpdates,
+  getHeadCommit,
+  getItemHashes,
+  getRemoteHeadCommit,
+  getRemoteUrl,
+  getInstallationStatus,
+  getPinnedRef,
+  getLocalChanges,
+  getUpstreamChanges,
+  findLocalEdits,
+  discardLocalChanges
 } from '../lib/git.js';
 import { createRequire } from 'module';
-import { allAgentDetectionTargets, allSkillDetectionTargets, getAgentInstallMode } from '../lib/install-targets.js';
-import { checkCodexAgentUpdates, listInstalledCodexAgents, syncCodexAgents } from '../lib/codex-agents.js';
+import { allAgentDetectionTargets, allSkillDetectionTargets, getAgentInstallMode, getTargetByPath } from '../lib/install-targets.js';
+import { configureCodexMapping } from '../lib/codex-agents.js';
+import { configureClaudeMapping } from '../lib/claude-agents.js';
+import { findEditedGeneratedAgents, getGeneratedAgentChanges, removeGeneratedAgents, syncGeneratedAgents } from '../lib/generated-agents.js';
+import { getAgentHarness, loadHarnesses } from '../lib/harnesses.js';
+import { EXIT_CODES, assertOptionsSupported, parseArgs, usageError } from '../lib/cli-args.js';
+import { MANIFEST_FILENAME, readManifest } from '../lib/manifest.js';
+import {
+  LOCKFILE_FILENAME,
+  getLockEntry,
+  listLockEntries,
+  readLockfile,
+  removeLockEntry,
+  setLockEntry,
+  writeLockfile
+} from '../lib/lockfile.js';
 
 const require = createRequire(import.meta.url);
 const { version: VERSION } = require('../package.json');
 
-// Common installation paths to check for existing installations
-const SKILL_PATHS = allSkillDetectionTargets().map(target => target.path);
-const AGENT_PATHS = allAgentDetectionTargets().map(target => target.path);
+// Common installation paths to check for existing installations, including
+// those of harness adapters loaded from the config
+function skillPaths() {
+  return allSkillDetectionTargets().map(target => target.path);
+}
+
+function agentPaths() {
+  return allAgentDetectionTargets().map(target => target.path);
+}
+
+// Targets used by non-interactive installs when --yes is given without --target
+const DEFAULT_SKILLS_TARGET = '.agents/skills/';
+const DEFAULT_AGENTS_TARGET = '.agents/agents/';
 
 function resolveInstallPath(path) {
   if (path === '~') return homedir();
@@ -53,6 +90,20 @@ function resolveInstallPath(path) {
   return resolve(process.cwd(), path);
 }
 
+/**
+ * Install mode of an agents path. Checkouts made before their path switched to
+ * generated files (`.claude/agents/` used to be a sparse checkout) keep being
+ * managed as checkouts.
+ * @param {string} path - Install path
+ * @returns {string} See getAgentInstallMode()
+ */
+function resolveAgentInstallMode(path) {
+  const installMode = getAgentInstallMode(path);
+  return installMode !== 'sparse-git' && existsSync(join(resolveInstallPath(path), '.git'))
+    ? 'sparse-git'
+    : installMode;
+}
+
 function isHomePath(path) {
   return path === '~' || path.startsWith('~/');
 }
@@ -65,22 +116,268 @@ function unionSets(sets) {
   return new Set(sets.flatMap(set => Array.from(set)));
 }
 
+function normalizeTargetPath(path) {
+  return path.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+function isKnownTarget(paths, path) {
+  const normalizedPath = normalizeTargetPath(path);
+  return paths.some(knownPath => normalizeTargetPath(knownPath) === normalizedPath);
+}
+
+/**
+ * Exit with a "not found" code when requested items do not exist upstream
+ * @param {string} noun - Item noun used in the message (skill/subagent)
+ * @param {string[]} requested - Requested item ids
+ * @param {string[]} available - Item ids available in the repository
+ */
+function assertItemsExist(noun, requested, available) {
+  const missing = requested.filter(item => !available.includes(item));
+  if (missing.length === 0) {
+    return;
+  }
+
+  showError(
+    `Unknown ${noun}${missing.length !== 1 ? 's' : ''}: ${missing.join(', ')}\n` +
+    `   Available: ${available.join(', ')}`
+  );
+  process.exit(EXIT_CODES.NOT_FOUND);
+}
+
+/**
+ * Build install options from parsed CLI flags.
+ * Passing --skills or --agents switches the installer to non-interactive mode.
+ * @param {Record<string, any>} flags - Parsed CLI options
+ * @returns {object}
+ */
+function resolveInstallOptions(flags) {
+  const wantsSkills = flags.skills !== undefined;
+  const wantsAgents = flags.agents !== undefined;
+  const nonInteractive = wantsSkills || wantsAgents;
+
+  if (flags.ref !== undefined && !/^[\w.][\w./-]*$/.test(flags.ref)) {
+    throw usageError(`Invalid --ref "${flags.ref}". Use a branch, tag or commit SHA.`);
+  }
+
+  if (flags.frozen) {
+    if (nonInteractive || flags.targets || flags.skillTargets || flags.agentTargets || flags.ref) {
+      throw usageError(`--frozen installs exactly what ${LOCKFILE_FILENAME} pins and cannot be combined with --skills, --agents, --target or --ref`);
+    }
+    return {
+      nonInteractive: true,
+      frozen: true,
+      gitignore: flags.gitignore ?? (flags.yes ? true : false)
+    };
+  }
+
+  if (!nonInteractive) {
+    const interactiveOnly = ['targets', 'skillTargets', 'agentTargets', 'gitignore', 'yes']
+      .filter(key => flags[key] !== undefined);
+    if (interactiveOnly.length > 0) {
+      throw usageError('--target, --gitignore and --yes require --skills and/or --agents');
+    }
+    return { nonInteractive: false, ref: flags.ref };
+  }
+
+  if ((wantsSkills && flags.skills.length === 0) || (wantsAgents && flags.agents.length === 0)) {
+    throw usageError('--skills and --agents expect a comma-separated list of names');
+  }
+
+  const skillTargets = [...(flags.skillTargets || [])];
+  const agentTargets = [...(flags.agentTargets || [])];
+
+  for (const path of flags.targets || []) {
+    if (!wantsAgents) {
+      skillTargets.push(path);
+    } else if (!wantsSkills) {
+      agentTargets.push(path);
+    } else if (isKnownTarget(skillPaths(), path)) {
+      skillTargets.push(path);
+    } else if (isKnownTarget(agentPaths(), path)) {
+      agentTargets.push(path);
+    } else {
+      throw usageError(`Cannot tell whether "${path}" is a skills or agents target. Use --skills-target or --agents-target instead.`);
+    }
+  }
+
+  if (wantsSkills && skillTargets.length === 0) {
+    if (!flags.yes) {
+      throw usageError(`No skills target given. Pass --target, or --yes to install into ${DEFAULT_SKILLS_TARGET}`);
+    }
+    skillTargets.push(DEFAULT_SKILLS_TARGET);
+  }
+
+  if (wantsAgents && agentTargets.length === 0) {
+    if (!flags.yes) {
+      throw usageError(`No agents target given. Pass --target, or --yes to install into ${DEFAULT_AGENTS_TARGET}`);
+    }
+    agentTargets.push(DEFAULT_AGENTS_TARGET);
+  }
+
+  return {
+    nonInteractive: true,
+    skills: wantsSkills ? uniqueItems(flags.skills) : null,
+    agents: wantsAgents ? uniqueItems(flags.agents) : null,
+    skillTargets: uniqueItems(skillTargets),
+    agentTargets: uniqueItems(agentTargets),
+    ref: flags.ref,
+    // Unset --gitignore falls back to the interactive prompt's default when --yes is given
+    gitignore: flags.gitignore ?? (flags.yes ? true : false)
+  };
+}
+
+/**
+ * Read the project lockfile, exiting when it cannot be parsed
+ * @returns {object}
+ */
+function loadLockfile() {
+  try {
+    return readLockfile();
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Make sure an existing checkout tracks the repository it is about to be managed from
+ * @param {string} absoluteInstallPath - Absolute path of the checkout
+ * @param {string} installPath - Install path as shown to the user
+ * @param {string} expectedUrl - Repository the install should track
+ * @param {string} expectedSource - Where the expected repository comes from, for the error message
+ */
+async function assertTrackedRepository(absoluteInstallPath, installPath, expectedUrl, expectedSource) {
+  const remoteUrl = await getRemoteUrl(absoluteInstallPath);
+  if (remoteUrl && !isSameRepository(remoteUrl, expectedUrl)) {
+    showError(`${installPath} tracks ${remoteUrl}, but ${expectedSource} is ${expectedUrl}`);
+    process.exit(1);
+  }
+}
+
+function shortCommit(commit) {
+  return commit ? commit.slice(0, 7) : 'unknown';
+}
+
+/**
+ * Verify a frozen sparse-git install against its lock entry, or record a
+ * regular install in the lockfile.
+ * @param {'skills'|'agents'} section - Lockfile section
+ * @param {object} targetContext - Target context with lockfile and lockEntry
+ * @param {string[]} items - Installed skill folders or agent filenames
+ */
+async function recordSparseLock(section, targetContext, items) {
+  const { installPath, absoluteInstallPath, lockfile, lockEntry } = targetContext;
+  if (!lockfile) {
+    return;
+  }
+
+  if (lockEntry) {
+    const hashes = await getItemHashes(absoluteInstallPath, items);
+    const mismatched = items.filter(item => hashes[item] !== lockEntry.items[item]);
+    if (mismatched.length > 0) {
+      showError(`Installed content of ${installPath} does not match ${LOCKFILE_FILENAME}: ${mismatched.join(', ')}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    setLockEntry(lockfile, section, installPath, {
+      repository: await getRemoteUrl(absoluteInstallPath),
+      ref: await getPinnedRef(absoluteInstallPath),
+      commit: await getHeadCommit(absoluteInstallPath),
+      items: await getItemHashes(absoluteInstallPath, items)
+    });
+  } catch (error) {
+    console.log(`⚠️  Could not record ${installPath} in ${LOCKFILE_FILENAME}: ${error.message}`);
+  }
+}
+
+/**
+ * Generate the agent files of a harness (Codex TOML, Claude Markdown) from the
+ * locked commit (frozen installs) or the latest upstream commit of the pinned
+ * ref or default branch, recording the latter in the lockfile.
+ * @param {object} targetContext - Target context with installMode, lockfile, lockEntry, ref, localChanges and the
+ *   subagents repo
+ * @param {string[]} agentFilenames - Agent filenames to generate
+ * @param {(message: string) => void} onProgress - Progress callback
+ */
+async function syncGeneratedTarget(targetContext, agentFilenames, onProgress) {
+  const { installPath, absoluteInstallPath, installMode, lockfile, lockEntry, ref } = targetContext;
+  const repo = lockEntry ? parseRepoSpec(lockEntry.repository) : targetContext.repo;
+  const repository = getSubagentsRepoUrl(repo);
+  let commit = lockEntry?.commit || null;
+
+  if (!commit) {
+    try {
+      commit = await getRemoteHeadCommit(repository, ref || 'HEAD');
+    } catch {
+      // Fall back to the ref name; the install is not recorded in the lockfile
+    }
+  }
+
+  const hashes = await syncGeneratedAgents(getAgentHarness(installMode).agentFormat, absoluteInstallPath, agentFilenames, onProgress, {
+    repo,
+    ref: commit || ref || undefined,
+    expectedHashes: lockEntry?.items,
+    localChanges: targetContext.localChanges
+  });
+
+  if (lockfile && !lockEntry && commit) {
+    setLockEntry(lockfile, 'agents', installPath, { repository, ref, commit, items: hashes });
+  }
+}
+
+/**
+ * Build target descriptors for paths given on the command line
+ * @param {string[]} paths - Target paths
+ * @param {Array<{path: string}>} existingInstalls - Detected existing installations
+ * @returns {Array<{path: string, isExisting: boolean}>}
+ */
+function targetsFromPaths(paths, existingInstalls) {
+  return paths.map(path => ({
+    path,
+    isExisting: existingInstalls.some(install => install.path === path)
+  }));
+}
+
+/**
+ * Install path of one skill source below a target path. Used when several
+ * skill sources are configured and each gets its own sparse clone.
+ * @param {string} path - Target path
+ * @param {{id: string}} source - Skill source from resolveRepos()
+ * @returns {string}
+ */
+function getSourceInstallPath(path, source) {
+  return `${path.replace(/\/?$/, '/')}${source.id}/`;
+}
+
 /**
- * Detect existing skill installations in common paths
+ * Detect existing skill installations in common paths, including per-source
+ * clones one folder below them
  * @returns {Promise<Array<{path: string, skillCount: number, skills: string[]}>>}
  */
 async function detectExistingSkillInstallations() {
   const installations = [];
   
-  for (const path of SKILL_PATHS) {
+  for (const path of skillPaths()) {
     const absolutePath = resolveInstallPath(path);
     const gitDir = join(absolutePath, '.git');
-    
+    let repoPaths = [];
+
     if (existsSync(gitDir)) {
+      repoPaths = [path];
+    } else if (existsSync(absolutePath)) {
+      repoPaths = readdirSync(absolutePath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && existsSync(join(absolutePath, entry.name, '.git')))
+        .map(entry => getSourceInstallPath(path, { id: entry.name }));
+    }
+
+    for (const repoPath of repoPaths) {
       try {
-        const skills = await listCheckedOutSkills(absolutePath);
+        const skills = await listCheckedOutSkills(resolveInstallPath(repoPath));
         installations.push({
-          path,
+          path: repoPath,
           skillCount: skills.length,
           skills
         });
@@ -93,6 +390,26 @@ async function detectExistingSkillInstallations() {
   return installations;
 }
 
+/**
+ * Combine per-source installations into one entry per target path so the
+ * path prompt offers the target rather than each source folder
+ * @param {Array<{path: string, skills: string[]}>} installations - From detectExistingSkillInstallations()
+ * @param {Array<{id: string}>} sources - Configured skill sources
+ * @returns {Array<{path: string, skillCount: number, skills: string[]}>}
+ */
+function groupSourceInstallations(installations, sources) {
+  return skillPaths()
+    .map(path => ({
+      path,
+      skills: sources.flatMap(source => {
+        const install = installations.find(i => i.path === getSourceInstallPath(path, source));
+        return (install?.skills || []).map(folder => `${source.id}/${folder}`);
+      })
+    }))
+    .filter(install => install.skills.length > 0)
+    .map(install => ({ ...install, skillCount: install.skills.length }));
+}
+
 /**
  * Detect existing subagent installations in common paths
  * @returns {Promise<Array<{path: string, agentCount: number, agents: string[]}>>}
@@ -100,13 +417,13 @@ async function detectExistingSkillInstallations() {
 async function detectExistingAgentInstallations() {
   const installations = [];
   
-  for (const path of AGENT_PATHS) {
+  for (const path of agentPaths()) {
     const absolutePath = resolveInstallPath(path);
-    const installMode = getAgentInstallMode(path);
+    const harness = getAgentHarness(resolveAgentInstallMode(path));
 
-    if (installMode === 'codex-toml') {
+    if (harness) {
       try {
-        const agents = await listInstalledCodexAgents(absolutePath);
+        const agents = await harness.listInstalledAgents(absolutePath);
         if (agents.length > 0) {
           installations.push({
             path,
@@ -148,12 +465,73 @@ function printUsage() {
 
 Usage:
   npx @supercorks/skills-installer            Install skills/subagents interactively (default)
+  npx @supercorks/skills-installer sync       Converge install paths to the ${MANIFEST_FILENAME} manifest
+  npx @supercorks/skills-installer update [item...]
+                                              Refresh installations whose items changed upstream
+  npx @supercorks/skills-installer status     Show every detected installation (alias: list)
+  npx @supercorks/skills-installer uninstall <path> [item...]
+                                              Remove an installation or some of its items
   npx @supercorks/skills-installer --help     Show this help message
   npx @supercorks/skills-installer --version  Show version
 
+Non-interactive install options:
+  --skills <a,b>           Skill folders to install (replaces the selection at each target)
+  --agents <a,b>           Subagent files to install, e.g. Developer.agent.md
+  --target <path>          Install path (repeatable)
+  --skills-target <path>   Skills install path when installing skills and agents together
+  --agents-target <path>   Agents install path when installing skills and agents together
+  --gitignore              Add new install paths to .gitignore
+  --no-gitignore           Never touch .gitignore
+  -y, --yes                Accept defaults (default targets, add to .gitignore)
+  --frozen                 Install exactly the commits pinned in ${LOCKFILE_FILENAME}
+  --ref <branch|tag|sha>   Pin the installed targets to a branch, tag or commit instead of the
+                           default branch (also in interactive mode). Run again with another
+                           --ref to switch an existing installation
+
+Repository options (install, sync, update, uninstall, status):
+  --skills-repo <owner/name>
+                           Skills repository (default: supercorks/agent-skills). Repeat to
+                           install from several sources, each into <target>/<repo name>/
+  --agents-repo <owner/name>
+                           Subagents repository (default: supercorks/subagents)
+                           Both can also be set in ${CONFIG_FILENAME} or ~/.config/skills-installer/config.json
+  --source <path>          Read skills and subagents from a local checkout (path or file:// URL)
+                           instead of GitHub. Repository options also accept local paths
+  --refresh                Revalidate cached listings and metadata instead of using them
+                           until "cacheTtl" (seconds, in ${CONFIG_FILENAME}) expires
+
+Sync options:
+  --manifest <path>        Manifest file to read (default: ${MANIFEST_FILENAME})
+  --gitignore, --no-gitignore
+                           Override the manifest's "gitignore" setting for new install paths
+
+Update options:
+  --target <path>          Only update this install path (repeatable)
+  [item...]                Only refresh targets where one of these skills or subagents changed
+  --preview                Print the upstream commits and diffs of the stale items, without
+                           pulling anything
+
+Status options:
+  --json                   Print the report as JSON
+
+Uninstall options:
+  --force                  Delete even with uncommitted edits or unpushed commits
+
+Harness options (install, sync, update, uninstall):
+  --trust-harnesses        Load the harness adapters listed in ${CONFIG_FILENAME}, which runs
+                           their code. Adapters in ~/.config/skills-installer/config.json are
+                           always loaded; status never loads any
+
 Examples:
   npx @supercorks/skills-installer
   npx @supercorks/skills-installer install
+  npx @supercorks/skills-installer install --skills address-pr-comments --target .claude/skills/ --no-gitignore
+  npx @supercorks/skills-installer install --skills gtm-manager --agents Developer.agent.md --yes
+  npx @supercorks/skills-installer sync
+  npx @supercorks/skills-installer install --frozen
+  npx @supercorks/skills-installer install --skills gtm-manager --target .claude/skills/ --ref v2.1.0
+  npx @supercorks/skills-installer update --target .claude/skills/
+  npx @supercorks/skills-installer update gtm-manager --preview
 `);
 }
 
@@ -195,10 +573,36 @@ function addToGitignore(gitignorePath, pathToIgnore) {
   console.log(`✅ Added "${normalizedPath}/" to .gitignore`);
 }
 
+/**
+ * Remove the "# AI Agent Skills" block addToGitignore() wrote for a path.
+ * Entries for the path that the user wrote themselves are left alone.
+ * @param {string} gitignorePath - Path to .gitignore file
+ * @param {string} pathToRemove - Path to remove from .gitignore
+ */
+function removeFromGitignore(gitignorePath, pathToRemove) {
+  if (!existsSync(gitignorePath)) {
+    return;
+  }
+
+  const normalizedPath = pathToRemove.replace(/\/$/, '');
+  const lines = readFileSync(gitignorePath, 'utf-8').split('\n');
+  const index = lines.findIndex((line, i) => line.trim() === '# AI Agent Skills' && lines[i + 1]?.trim() === `${normalizedPath}/`);
+  if (index === -1) {
+    return;
+  }
+
+  // addToGitignore() separates the block from earlier entries with a blank line
+  const start = index > 0 && lines[index - 1].trim() === '' ? index - 1 : index;
+  lines.splice(start, index - start + 2);
+  writeFileSync(gitignorePath, lines.join('\n'));
+  console.log(`✅ Removed "${normalizedPath}/" from .gitignore`);
+}
+
 /**
  * Main installation flow
+ * @param {object} options - Install options from resolveInstallOptions()
  */
-async function runInstall() {
+async function runInstall(options = { nonInteractive: false }) {
   console.log('\n🔧 AI Agent Skills & Subagents Installer\n');
 
   // Check git availability
@@ -207,31 +611,68 @@ async function runInstall() {
     process.exit(1);
   }
 
-  // Step 1: Ask what to install
-  const { skills: installSkills, subagents: installSubagents } = await promptInstallType();
+  options = { ...options, lockfile: loadLockfile() };
+
+  if (options.frozen) {
+    await runFrozenInstall(options);
+    return;
+  }
+
+  // Step 1: Ask what to install (flags decide in non-interactive mode)
+  const { skills: installSkills, subagents: installSubagents } = options.nonInteractive
+    ? { skills: Boolean(options.skills), subagents: Boolean(options.agents) }
+    : await promptInstallType();
 
   // Install skills if selected
   if (installSkills) {
-    await runSkillsInstall();
+    await runSkillsInstall(options);
   }
 
   // Install subagents if selected
   if (installSubagents) {
-    await runSubagentsInstall();
+    await runSubagentsInstall(options);
   }
+
+  writeLockfile(options.lockfile);
 }
 
 /**
- * Skills installation flow
+ * Reproduce every installation pinned in the lockfile at its locked commit
+ * @param {object} options - Install options including the loaded lockfile
  */
-async function runSkillsInstall() {
-  console.log('\n📦 Skills Installation\n');
+async function runFrozenInstall(options) {
+  const skillEntries = listLockEntries(options.lockfile, 'skills');
+  const agentEntries = listLockEntries(options.lockfile, 'agents');
+
+  if (skillEntries.length === 0 && agentEntries.length === 0) {
+    showError(`${LOCKFILE_FILENAME} does not pin any installations. Run "install" or "sync" first to create it.`);
+    process.exit(1);
+  }
+
+  const toSelections = entries => entries.map(entry => ({ path: entry.path, items: Object.keys(entry.items) }));
+
+  if (skillEntries.length > 0) {
+    console.log('\n📦 Skills Installation (frozen)\n');
+    await applySkillsSelections([], toSelections(skillEntries), options);
+  }
+
+  if (agentEntries.length > 0) {
+    console.log('\n🤖 Subagents Installation (frozen)\n');
+    await applySubagentsSelections([], toSelections(agentEntries), options);
+  }
+}
 
-  // Fetch available skills
+/**
+ * Fetch the available skills, exiting when none can be listed
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} [ref] - Branch, tag or commit to list instead of the default branch
+ * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
+ */
+async function loadAvailableSkills(repo, ref) {
   let skills;
   const fetchSpinner = showSpinner('Fetching available skills from repository...');
   try {
-    skills = await fetchAvailableSkills();
+    skills = await fetchAvailableSkills(repo, ref);
     fetchSpinner.stop(`✅ Found ${skills.length} available skills`);
   } catch (error) {
     fetchSpinner.stop('❌ Failed to fetch skills');
@@ -244,45 +685,287 @@ async function runSkillsInstall() {
     process.exit(1);
   }
 
+  return skills;
+}
+
+/**
+ * Fetch the skills of every configured source as one list
+ * @param {Array<{owner: string, name: string, id: string}>} sources - Skill sources from resolveRepos()
+ * @param {string} [ref] - Branch, tag or commit to list instead of the default branch
+ * @returns {Promise<Array<{name: string, description: string, folder: string, source: string}>>}
+ */
+async function loadSkillCatalog(sources, ref) {
+  const catalogs = [];
+  for (const source of sources) {
+    if (sources.length > 1) {
+      console.log(`🔗 ${describeRepo(source)}`);
+    }
+    catalogs.push({ source, skills: await loadAvailableSkills(source, ref) });
+  }
+  return mergeSkillSources(catalogs);
+}
+
+/**
+ * Skills installation flow
+ * @param {object} options - Install options from resolveInstallOptions()
+ */
+async function runSkillsInstall(options = { nonInteractive: false }) {
+  console.log('\n📦 Skills Installation\n');
+
+  const sources = options.repos.skillSources;
+  const skills = await loadSkillCatalog(sources, options.ref);
+
+  if (options.nonInteractive) {
+    const selections = options.skillTargets.map(path => ({ path, items: options.skills }));
+    await applySkillsSelections(skills, selections, options);
+    return;
+  }
+
   // Detect existing installations
-  const existingInstalls = await detectExistingSkillInstallations();
+  const detectedInstalls = await detectExistingSkillInstallations();
+  const existingInstalls = sources.length > 1
+    ? groupSourceInstallations(detectedInstalls, sources)
+    : detectedInstalls;
 
   // Ask where to install (showing existing installations if any)
   const installTargets = await promptInstallPath(existingInstalls, skills.length);
 
-  const targetContexts = [];
+  const targetGroups = [];
   for (const [index, target] of installTargets.entries()) {
     if (installTargets.length > 1) {
       console.log(`\n📍 Preparing skills target ${index + 1}/${installTargets.length}: ${target.path}`);
     }
-    targetContexts.push(await prepareSkillsInstallTarget(existingInstalls, target));
+    targetGroups.push(await prepareSkillSourceTargets(existingInstalls, target, options));
   }
 
-  const installedSkills = uniqueItems(targetContexts.flatMap(context => context.installedSkills));
-  const skillsNeedingUpdate = unionSets(targetContexts.map(context => context.skillsNeedingUpdate));
+  const targetContexts = targetGroups.flatMap(group => group.contexts);
+  const qualify = (context, folders) => Array.from(folders, folder => context.idPrefix + folder);
+  const installedSkills = uniqueItems(targetContexts.flatMap(context => qualify(context, context.installedSkills)));
+  const skillsNeedingUpdate = new Set(targetContexts.flatMap(context => qualify(context, context.skillsNeedingUpdate)));
+
+  // Picker ids are "<source id>/<folder>" with several sources
+  const locateSkill = (skillId) => {
+    const skill = skills.find(s => s.folder === skillId);
+    return [skillId.slice(skillId.indexOf('/') + 1), sources.find(s => s.id === skill.source)];
+  };
 
   const selectedSkills = await promptSkillSelection(
     skills,
     installedSkills,
     skillsNeedingUpdate,
-    (skillFolder) => fetchSkillMetadata(skillFolder)
+    (skillId) => fetchSkillMetadata(...locateSkill(skillId), options.ref),
+    (skillId) => fetchSkillPreview(...locateSkill(skillId), options.ref),
+    (skillId) => {
+      const context = targetContexts.find(c => skillId.startsWith(c.idPrefix) && c.skillsNeedingUpdate.has(skillId.slice(c.idPrefix.length)));
+      return getUpstreamChanges(context.absoluteInstallPath, [skillId.slice(context.idPrefix.length)]);
+    }
   );
 
-  for (let i = 0; i < targetContexts.length; i++) {
-    if (targetContexts.length > 1) {
-      console.log(`\n📍 Skills target ${i + 1}/${targetContexts.length}: ${targetContexts[i].installPath}`);
+  for (let i = 0; i < targetGroups.length; i++) {
+    if (targetGroups.length > 1) {
+      console.log(`\n📍 Skills target ${i + 1}/${targetGroups.length}: ${targetGroups[i].installPath}`);
+    }
+    await runSkillSourceTargets(skills, targetGroups[i], selectedSkills);
+  }
+}
+
+/**
+ * Converge each target path to exactly the given skills without prompting.
+ * @param {Array<{name: string, description: string, folder: string}>} skills - Available skills
+ * @param {Array<{path: string, items: string[]}>} selections - Skill folders per target path
+ * @param {{nonInteractive: boolean, frozen?: boolean, gitignore?: boolean, lockfile?: object}} options
+ */
+async function applySkillsSelections(skills, selections, options) {
+  const existingInstalls = await detectExistingSkillInstallations();
+  const installTargets = targetsFromPaths(selections.map(selection => selection.path), existingInstalls);
+
+  // Frozen installs may pin items that no longer exist on the default branch,
+  // and lock entries already point at each source's own clone
+  if (options.frozen) {
+    for (const [index, target] of installTargets.entries()) {
+      if (installTargets.length > 1) {
+        console.log(`\n📍 Skills target ${index + 1}/${installTargets.length}: ${target.path}`);
+      }
+      const targetContext = await prepareSkillsInstallTarget(existingInstalls, target, options);
+      await runSkillsInstallForTarget(skills, targetContext, selections[index].items);
+    }
+    return;
+  }
+
+  const { ids, missing, ambiguous } = resolveSkillNames(
+    uniqueItems(selections.flatMap(selection => selection.items)),
+    skills
+  );
+  if (ambiguous.length > 0) {
+    showError(ambiguous
+      .map(({ name, matches }) => `Skill "${name}" exists in several sources: ${matches.join(', ')}. Use <source>/${name}.`)
+      .join('\n'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  assertItemsExist('skill', missing, skills.map(skill => skill.folder));
+  const toId = name => ids.find(id => id === name || id.endsWith(`/${name}`));
+
+  for (const [index, target] of installTargets.entries()) {
+    if (installTargets.length > 1) {
+      console.log(`\n📍 Skills target ${index + 1}/${installTargets.length}: ${target.path}`);
+    }
+    const targetGroup = await prepareSkillSourceTargets(existingInstalls, target, options);
+    await runSkillSourceTargets(skills, targetGroup, selections[index].items.map(toId));
+  }
+}
+
+/**
+ * Prepare one install context per skill source for a target path. A single
+ * source is cloned straight into the target; with several sources each one
+ * gets its own sparse clone in a folder named after the source, and the
+ * target itself is what goes into .gitignore.
+ * @param {Array<{path: string, skillCount: number, skills: string[]}>} existingInstalls
+ * @param {{path: string, isExisting: boolean}} target
+ * @param {object} options - Install options including the configured repositories
+ * @returns {Promise<{installPath: string, contexts: object[], shouldGitignore: boolean, gitignorePath: string}>}
+ */
+async function prepareSkillSourceTargets(existingInstalls, target, options) {
+  const sources = options.repos.skillSources;
+  const gitignorePath = resolveInstallPath('.gitignore');
+
+  if (sources.length === 1) {
+    const context = await prepareSkillsInstallTarget(existingInstalls, target, options);
+    return {
+      installPath: target.path,
+      contexts: [{ ...context, source: sources[0], idPrefix: '' }],
+      shouldGitignore: false,
+      gitignorePath
+    };
+  }
+
+  const contexts = [];
+  for (const source of sources) {
+    const sourceOptions = { ...options, repos: { ...options.repos, skills: source }, skipGitignore: true };
+    const sourceTarget = { path: getSourceInstallPath(target.path, source), isExisting: false };
+    const context = await prepareSkillsInstallTarget([], sourceTarget, sourceOptions);
+    contexts.push({ ...context, source, idPrefix: `${source.id}/` });
+  }
+
+  const isManageMode = contexts.some(context => context.isManageMode);
+  return {
+    installPath: target.path,
+    contexts,
+    shouldGitignore: await decideGitignore(target.path, isManageMode, options),
+    gitignorePath
+  };
+}
+
+/**
+ * Install the selected skills of every source into a prepared target
+ * @param {Array<{name: string, folder: string, source: string}>} skills - Skills from loadSkillCatalog()
+ * @param {object} targetGroup - From prepareSkillSourceTargets()
+ * @param {string[]} selectedSkills - Selected skill ids, qualified by source when there are several
+ */
+async function runSkillSourceTargets(skills, targetGroup, selectedSkills) {
+  const { contexts, shouldGitignore, gitignorePath, installPath } = targetGroup;
+
+  for (const context of contexts) {
+    const { idPrefix, source } = context;
+    const items = selectedSkills
+      .filter(id => id.startsWith(idPrefix))
+      .map(id => id.slice(idPrefix.length));
+
+    if (contexts.length > 1) {
+      if (items.length === 0) {
+        if (context.isManageMode) {
+          console.log(`\nℹ️  No skills selected from ${source.id}; leaving ${context.installPath} unchanged (use "uninstall" to remove it)`);
+        }
+        continue;
+      }
+      console.log(`\n🔗 ${describeRepo(source)} → ${context.installPath}`);
+    }
+
+    const sourceSkills = skills
+      .filter(skill => skill.source === source.id)
+      .map(skill => ({ ...skill, folder: skill.folder.slice(idPrefix.length) }));
+    await runSkillsInstallForTarget(sourceSkills, context, items);
+  }
+
+  if (shouldGitignore) {
+    addToGitignore(gitignorePath, installPath);
+  }
+}
+
+/**
+ * Decide whether a new install path should be added to .gitignore. Only fresh
+ * installs inside a git work tree that are not ignored yet are asked about.
+ * @param {string} installPath - Install path
+ * @param {boolean} isManageMode - Whether the path already holds an installation
+ * @param {{nonInteractive?: boolean, gitignore?: boolean}} options
+ * @returns {Promise<boolean>}
+ */
+async function decideGitignore(installPath, isManageMode, options) {
+  if (
+    !isInsideGitWorkTree() ||
+    isManageMode ||
+    isHomePath(installPath) ||
+    isInGitignore(resolveInstallPath('.gitignore'), installPath)
+  ) {
+    return false;
+  }
+
+  return options.nonInteractive
+    ? options.gitignore
+    : promptGitignore(installPath);
+}
+
+/**
+ * Look for local edits in the installed items of a target and decide what
+ * updating it does with them. Interactive runs ask; the others stash the edits
+ * of a checkout and reapply them after the update, and keep edited generated
+ * agent files as they are.
+ * @param {string} installPath - Install path
+ * @param {string} absoluteInstallPath - Absolute path of the target
+ * @param {string[]} items - Installed skill folders or agent filenames
+ * @param {{nonInteractive?: boolean}} options
+ * @param {string} [installMode] - See getAgentInstallMode()
+ * @returns {Promise<'stash'|'merge'|'keep'|'discard'|null>} null when there is nothing to protect
+ */
+async function decideLocalChanges(installPath, absoluteInstallPath, items, options, installMode = 'sparse-git') {
+  const harness = getAgentHarness(installMode);
+  const edits = harness
+    ? findEditedGeneratedAgents(harness.agentFormat, absoluteInstallPath, items)
+    : await findLocalEdits(absoluteInstallPath, items);
+  if (edits.length === 0) {
+    return null;
+  }
+
+  console.log(`\n✏️  Local changes in ${installPath}:`);
+  for (const { item, modified, unpushed = 0 } of edits) {
+    const details = [];
+    if (modified.length > 0) {
+      details.push(`modified ${modified.join(', ')}`);
+    }
+    if (unpushed > 0) {
+      details.push(`${unpushed} unpushed commit${unpushed !== 1 ? 's' : ''}`);
+    }
+    console.log(`   • ${item}: ${details.join('; ')}`);
+  }
+
+  if (options.nonInteractive) {
+    if (harness) {
+      console.log('   They are kept as they are; run the installer interactively to merge or overwrite them.');
+      return 'keep';
     }
-    await runSkillsInstallForTarget(skills, targetContexts[i], selectedSkills);
+    console.log('   They are stashed and reapplied after the update.');
+    return 'stash';
   }
+  return promptLocalChanges(installPath, installMode);
 }
 
 /**
  * Prepare a specific skills target for installation/update.
  * @param {Array<{path: string, skillCount: number, skills: string[]}>} existingInstalls
  * @param {{path: string, isExisting: boolean}} target
+ * @param {{nonInteractive?: boolean, frozen?: boolean, gitignore?: boolean, skipGitignore?: boolean, lockfile?: object}} [options]
  * @returns {Promise<object>}
  */
-async function prepareSkillsInstallTarget(existingInstalls, target) {
+async function prepareSkillsInstallTarget(existingInstalls, target, options = {}) {
   const { path: installPath, isExisting } = target;
   const absoluteInstallPath = resolveInstallPath(installPath);
   const gitDir = join(absoluteInstallPath, '.git');
@@ -307,9 +990,21 @@ async function prepareSkillsInstallTarget(existingInstalls, target) {
 
   const isManageMode = isExisting || hasExistingRepo || installedSkills.length > 0;
 
+  // Frozen installs check out exactly the locked commit
+  const lockEntry = options.frozen ? getLockEntry(options.lockfile, 'skills', installPath) : null;
+  const repoUrl = lockEntry ? lockEntry.repository : getRepoUrl(options.repos.skills);
+  if (hasExistingRepo) {
+    await assertTrackedRepository(
+      absoluteInstallPath,
+      installPath,
+      repoUrl,
+      lockEntry ? `the repository pinned in ${LOCKFILE_FILENAME}` : 'the configured skills repository'
+    );
+  }
+
   // Check for updates if in manage mode
   let skillsNeedingUpdate = new Set();
-  if (isManageMode) {
+  if (isManageMode && !lockEntry) {
     const updateSpinner = showSpinner('Checking for available updates...');
     try {
       skillsNeedingUpdate = await checkSkillsForUpdates(absoluteInstallPath, installedSkills);
@@ -323,18 +1018,15 @@ async function prepareSkillsInstallTarget(existingInstalls, target) {
     }
   }
 
-  // Ask about .gitignore (only for fresh installs and if not already in .gitignore)
-  let shouldGitignore = false;
-  const isInGitWorkTree = isInsideGitWorkTree();
+  const localChanges = hasExistingRepo
+    ? await decideLocalChanges(installPath, absoluteInstallPath, installedSkills, options)
+    : null;
+
+  // With several sources the target holding all source folders is ignored instead
+  const shouldGitignore = options.skipGitignore
+    ? false
+    : await decideGitignore(installPath, isManageMode, options);
   const gitignorePath = resolveInstallPath('.gitignore');
-  if (
-    isInGitWorkTree &&
-    !isManageMode &&
-    !isHomePath(installPath) &&
-    !isInGitignore(gitignorePath, installPath)
-  ) {
-    shouldGitignore = await promptGitignore(installPath);
-  }
 
   return {
     ...target,
@@ -344,7 +1036,14 @@ async function prepareSkillsInstallTarget(existingInstalls, target) {
     isManageMode,
     shouldGitignore,
     gitignorePath,
-    skillsNeedingUpdate
+    skillsNeedingUpdate,
+    localChanges,
+    lockfile: options.lockfile || null,
+    lockEntry,
+    repoUrl,
+    // Frozen installs follow the locked ref; otherwise --ref switches it and
+    // a missing ref keeps whatever the checkout is pinned to
+    ref: lockEntry ? lockEntry.ref || null : options.ref || null
   };
 }
 
@@ -361,8 +1060,13 @@ async function runSkillsInstallForTarget(skills, targetContext, selectedSkills)
     installedSkills,
     isManageMode,
     shouldGitignore,
-    gitignorePath
+    gitignorePath,
+    lockEntry,
+    localChanges,
+    repoUrl,
+    ref
   } = targetContext;
+  const pin = { repoUrl, ref, ...(lockEntry ? { commit: lockEntry.commit } : {}) };
 
   // Perform installation or update
   console.log('');
@@ -374,7 +1078,9 @@ async function runSkillsInstallForTarget(skills, targetContext, selectedSkills)
     const unchanged = selectedSkills.filter(s => installedSkills.includes(s));
 
     if (toAdd.length === 0 && toRemove.length === 0) {
-      console.log('ℹ️  No changes to apply. Pulling latest updates...');
+      console.log(lockEntry
+        ? 'ℹ️  No changes to apply. Checking out locked commit...'
+        : 'ℹ️  No changes to apply. Pulling latest updates...');
     }
 
     const updateSpinner = showSpinner('Updating skills installation...');
@@ -382,13 +1088,15 @@ async function runSkillsInstallForTarget(skills, targetContext, selectedSkills)
     try {
       await updateSparseCheckout(absoluteInstallPath, selectedSkills, (message) => {
         updateSpinner.stop(`   ${message}`);
-      });
+      }, { ...pin, localChanges });
     } catch (error) {
       updateSpinner.stop('❌ Update failed');
       showError(error.message);
       process.exit(1);
     }
 
+    await recordSparseLock('skills', targetContext, selectedSkills);
+
     // Show summary of changes
     showSkillManageSuccess(installPath, skills, toAdd, toRemove, unchanged);
   } else {
@@ -397,38 +1105,39 @@ async function runSkillsInstallForTarget(skills, targetContext, selectedSkills)
     try {
       await sparseCloneSkills(installPath, selectedSkills, (message) => {
         installSpinner.stop(`   ${message}`);
-      });
+      }, pin);
     } catch (error) {
       installSpinner.stop('❌ Installation failed');
       showError(error.message);
       process.exit(1);
     }
 
+    await recordSparseLock('skills', targetContext, selectedSkills);
+
     // Update .gitignore if requested
     if (shouldGitignore) {
       addToGitignore(gitignorePath, installPath);
     }
 
     // Show success
-    const installedSkillNames = skills
-      .filter(s => selectedSkills.includes(s.folder))
-      .map(s => s.name);
+    const installedSkillNames = selectedSkills
+      .map(folder => skills.find(s => s.folder === folder)?.name || folder);
     
     showSuccess(installPath, installedSkillNames);
   }
 }
 
 /**
- * Subagents installation flow
+ * Fetch the available subagents, exiting when none can be listed
+ * @param {{owner: string, name: string}} repo - Subagents repository
+ * @param {string} [ref] - Branch, tag or commit to list instead of the default branch
+ * @returns {Promise<Array<{name: string, description: string, filename: string}>>}
  */
-async function runSubagentsInstall() {
-  console.log('\n🤖 Subagents Installation\n');
-
-  // Fetch available subagents
+async function loadAvailableSubagents(repo, ref) {
   let subagents;
   const fetchSpinner = showSpinner('Fetching available subagents from repository...');
   try {
-    subagents = await fetchAvailableSubagents();
+    subagents = await fetchAvailableSubagents(repo, ref);
     fetchSpinner.stop(`✅ Found ${subagents.length} available subagents`);
   } catch (error) {
     fetchSpinner.stop('❌ Failed to fetch subagents');
@@ -441,6 +1150,24 @@ async function runSubagentsInstall() {
     process.exit(1);
   }
 
+  return subagents;
+}
+
+/**
+ * Subagents installation flow
+ * @param {object} options - Install options from resolveInstallOptions()
+ */
+async function runSubagentsInstall(options = { nonInteractive: false }) {
+  console.log('\n🤖 Subagents Installation\n');
+
+  const subagents = await loadAvailableSubagents(options.repos.agents, options.ref);
+
+  if (options.nonInteractive) {
+    const selections = options.agentTargets.map(path => ({ path, items: options.agents }));
+    await applySubagentsSelections(subagents, selections, options);
+    return;
+  }
+
   // Detect existing installations
   const existingInstalls = await detectExistingAgentInstallations();
 
@@ -452,7 +1179,7 @@ async function runSubagentsInstall() {
     if (installTargets.length > 1) {
       console.log(`\n📍 Preparing subagents target ${index + 1}/${installTargets.length}: ${target.path}`);
     }
-    targetContexts.push(await prepareSubagentsInstallTarget(existingInstalls, target));
+    targetContexts.push(await prepareSubagentsInstallTarget(existingInstalls, target, options));
   }
 
   const installedAgents = uniqueItems(targetContexts.flatMap(context => context.installedAgents));
@@ -462,7 +1189,15 @@ async function runSubagentsInstall() {
     subagents,
     installedAgents,
     subagentsNeedingUpdate,
-    (filename) => fetchSubagentMetadata(filename)
+    (filename) => fetchSubagentMetadata(filename, options.repos.agents, options.ref),
+    (filename) => fetchSubagentPreview(filename, options.repos.agents, options.ref),
+    (filename) => {
+      const context = targetContexts.find(c => c.subagentsNeedingUpdate.has(filename));
+      const harness = getAgentHarness(context.installMode);
+      return harness
+        ? getGeneratedAgentChanges(harness.agentFormat, context.absoluteInstallPath, filename, { repo: context.repo, ref: context.ref })
+        : getUpstreamChanges(context.absoluteInstallPath, [filename]);
+    }
   );
 
   for (let i = 0; i < targetContexts.length; i++) {
@@ -474,20 +1209,49 @@ async function runSubagentsInstall() {
 }
 
 /**
- * Prepare a specific subagent target for installation/update.
- * @param {Array<{path: string, agentCount: number, agents: string[]}>} existingInstalls
- * @param {{path: string, isExisting: boolean}} target
- * @returns {Promise<object>}
+ * Converge each target path to exactly the given subagents without prompting.
+ * @param {Array<{name: string, description: string, filename: string}>} subagents - Available subagents
+ * @param {Array<{path: string, items: string[]}>} selections - Agent filenames per target path
+ * @param {{nonInteractive: boolean, frozen?: boolean, gitignore?: boolean, lockfile?: object}} options
  */
-async function prepareSubagentsInstallTarget(existingInstalls, target) {
-  const { path: installPath, isExisting } = target;
-  const absoluteInstallPath = resolveInstallPath(installPath);
-  const installMode = getAgentInstallMode(installPath);
-  const gitDir = join(absoluteInstallPath, '.git');
-  const hasExistingRepo = installMode === 'sparse-git' && existsSync(gitDir);
+async function applySubagentsSelections(subagents, selections, options) {
+  // Frozen installs may pin items that no longer exist on the default branch
+  if (!options.frozen) {
+    assertItemsExist(
+      'subagent',
+      uniqueItems(selections.flatMap(selection => selection.items)),
+      subagents.map(agent => agent.filename)
+    );
+  }
 
-  // Get currently installed subagents if managing existing installation
-  let installedAgents = [];
+  const existingInstalls = await detectExistingAgentInstallations();
+  const installTargets = targetsFromPaths(selections.map(selection => selection.path), existingInstalls);
+
+  for (const [index, target] of installTargets.entries()) {
+    if (installTargets.length > 1) {
+      console.log(`\n📍 Subagents target ${index + 1}/${installTargets.length}: ${target.path}`);
+    }
+    const targetContext = await prepareSubagentsInstallTarget(existingInstalls, target, options);
+    await runSubagentsInstallForTarget(subagents, targetContext, selections[index].items);
+  }
+}
+
+/**
+ * Prepare a specific subagent target for installation/update.
+ * @param {Array<{path: string, agentCount: number, agents: string[]}>} existingInstalls
+ * @param {{path: string, isExisting: boolean}} target
+ * @param {{nonInteractive?: boolean, frozen?: boolean, gitignore?: boolean, lockfile?: object}} [options]
+ * @returns {Promise<object>}
+ */
+async function prepareSubagentsInstallTarget(existingInstalls, target, options = {}) {
+  const { path: installPath, isExisting } = target;
+  const absoluteInstallPath = resolveInstallPath(installPath);
+  const installMode = resolveAgentInstallMode(installPath);
+  const gitDir = join(absoluteInstallPath, '.git');
+  const hasExistingRepo = installMode === 'sparse-git' && existsSync(gitDir);
+
+  // Get currently installed subagents if managing existing installation
+  let installedAgents = [];
   if (isExisting) {
     const existingInstall = existingInstalls.find(i => i.path === installPath);
     installedAgents = existingInstall?.agents || [];
@@ -503,9 +1267,9 @@ async function prepareSubagentsInstallTarget(existingInstalls, target) {
     }
   } else {
     try {
-      installedAgents = await listInstalledCodexAgents(absoluteInstallPath);
+      installedAgents = await getAgentHarness(installMode).listInstalledAgents(absoluteInstallPath);
     } catch {
-      // Ignore detection failures for custom Codex agent paths.
+      // Ignore detection failures for custom generated agent paths.
     }
   }
 
@@ -513,14 +1277,31 @@ async function prepareSubagentsInstallTarget(existingInstalls, target) {
     ? (isExisting || hasExistingRepo || installedAgents.length > 0)
     : installedAgents.length > 0;
 
+  // Frozen installs check out exactly the locked commit
+  const lockEntry = options.frozen ? getLockEntry(options.lockfile, 'agents', installPath) : null;
+  const repoUrl = lockEntry ? lockEntry.repository : getSubagentsRepoUrl(options.repos.agents);
+  if (hasExistingRepo) {
+    await assertTrackedRepository(
+      absoluteInstallPath,
+      installPath,
+      repoUrl,
+      lockEntry ? `the repository pinned in ${LOCKFILE_FILENAME}` : 'the configured subagents repository'
+    );
+  }
+
+  // Generated targets have no checkout to remember their ref, so it is kept in the lockfile
+  const ref = lockEntry
+    ? lockEntry.ref || null
+    : options.ref || (installMode !== 'sparse-git' && getLockEntry(options.lockfile, 'agents', installPath)?.ref) || null;
+
   // Check for updates if in manage mode
   let subagentsNeedingUpdate = new Set();
-  if (isManageMode) {
+  if (isManageMode && !lockEntry) {
     const updateSpinner = showSpinner('Checking for available updates...');
     try {
       subagentsNeedingUpdate = installMode === 'sparse-git'
         ? await checkSubagentsForUpdates(absoluteInstallPath, installedAgents)
-        : await checkCodexAgentUpdates(absoluteInstallPath, installedAgents);
+        : await getAgentHarness(installMode).checkAgentUpdates(absoluteInstallPath, installedAgents, { repo: options.repos.agents, ref });
 
       if (subagentsNeedingUpdate.size > 0) {
         updateSpinner.stop(`✅ Found ${subagentsNeedingUpdate.size} subagent${subagentsNeedingUpdate.size !== 1 ? 's' : ''} with updates available`);
@@ -532,18 +1313,12 @@ async function prepareSubagentsInstallTarget(existingInstalls, target) {
     }
   }
 
-  // Ask about .gitignore (only for fresh installs and if not already in .gitignore)
-  let shouldGitignore = false;
-  const isInGitWorkTree = isInsideGitWorkTree();
+  const localChanges = hasExistingRepo || (installMode !== 'sparse-git' && isManageMode)
+    ? await decideLocalChanges(installPath, absoluteInstallPath, installedAgents, options, installMode)
+    : null;
+
+  const shouldGitignore = await decideGitignore(installPath, isManageMode, options);
   const gitignorePath = resolveInstallPath('.gitignore');
-  if (
-    isInGitWorkTree &&
-    !isManageMode &&
-    !isHomePath(installPath) &&
-    !isInGitignore(gitignorePath, installPath)
-  ) {
-    shouldGitignore = await promptGitignore(installPath);
-  }
 
   return {
     ...target,
@@ -554,7 +1329,13 @@ async function prepareSubagentsInstallTarget(existingInstalls, target) {
     isManageMode,
     shouldGitignore,
     gitignorePath,
-    subagentsNeedingUpdate
+    subagentsNeedingUpdate,
+    localChanges,
+    lockfile: options.lockfile || null,
+    lockEntry,
+    repoUrl,
+    repo: options.repos.agents,
+    ref
   };
 }
 
@@ -572,8 +1353,13 @@ async function runSubagentsInstallForTarget(subagents, targetContext, selectedAg
     installedAgents,
     isManageMode,
     shouldGitignore,
-    gitignorePath
+    gitignorePath,
+    lockEntry,
+    localChanges,
+    repoUrl,
+    ref
   } = targetContext;
+  const pin = { repoUrl, ref, ...(lockEntry ? { commit: lockEntry.commit } : {}) };
 
   // Perform installation or update
   console.log('');
@@ -585,7 +1371,9 @@ async function runSubagentsInstallForTarget(subagents, targetContext, selectedAg
     const unchanged = selectedAgents.filter(s => installedAgents.includes(s));
 
     if (toAdd.length === 0 && toRemove.length === 0) {
-      console.log('ℹ️  No changes to apply. Pulling latest updates...');
+      console.log(lockEntry
+        ? 'ℹ️  No changes to apply. Checking out locked commit...'
+        : 'ℹ️  No changes to apply. Pulling latest updates...');
     }
 
     const updateSpinner = showSpinner('Updating subagents installation...');
@@ -594,9 +1382,10 @@ async function runSubagentsInstallForTarget(subagents, targetContext, selectedAg
       if (installMode === 'sparse-git') {
         await updateSubagentsSparseCheckout(absoluteInstallPath, selectedAgents, (message) => {
           updateSpinner.stop(`   ${message}`);
-        });
+        }, { ...pin, localChanges });
+        await recordSparseLock('agents', targetContext, selectedAgents);
       } else {
-        await syncCodexAgents(absoluteInstallPath, selectedAgents, (message) => {
+        await syncGeneratedTarget(targetContext, selectedAgents, (message) => {
           updateSpinner.stop(`   ${message}`);
         });
       }
@@ -615,9 +1404,10 @@ async function runSubagentsInstallForTarget(subagents, targetContext, selectedAg
       if (installMode === 'sparse-git') {
         await sparseCloneSubagents(installPath, selectedAgents, (message) => {
           installSpinner.stop(`   ${message}`);
-        });
+        }, pin);
+        await recordSparseLock('agents', targetContext, selectedAgents);
       } else {
-        await syncCodexAgents(absoluteInstallPath, selectedAgents, (message) => {
+        await syncGeneratedTarget(targetContext, selectedAgents, (message) => {
           installSpinner.stop(`   ${message}`);
         });
       }
@@ -633,9 +1423,8 @@ async function runSubagentsInstallForTarget(subagents, targetContext, selectedAg
     }
 
     // Show success
-    const installedAgentNames = subagents
-      .filter(s => selectedAgents.includes(s.filename))
-      .map(s => s.name);
+    const installedAgentNames = selectedAgents
+      .map(filename => subagents.find(s => s.filename === filename)?.name || filename);
     
     showSubagentSuccess(installPath, installedAgentNames);
   }
@@ -713,39 +1502,781 @@ function showAgentManageSuccess(installPath, allAgents, added, removed, unchange
   console.log('═'.repeat(50) + '\n');
 }
 
+/**
+ * Converge every target listed in the project manifest
+ * @param {Record<string, any>} flags - Parsed CLI options
+ */
+async function runSync(flags) {
+  console.log('\n🔄 Syncing skills and subagents with manifest\n');
+
+  if (!isGitAvailable()) {
+    showError('Git is not installed or not available in PATH. Please install git first.');
+    process.exit(1);
+  }
+
+  let manifest;
+  try {
+    manifest = readManifest(flags.manifest);
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+
+  if (manifest.skills.length === 0 && manifest.agents.length === 0) {
+    showError(`${flags.manifest || MANIFEST_FILENAME} does not list any skills or agents targets`);
+    process.exit(1);
+  }
+
+  const options = {
+    nonInteractive: true,
+    gitignore: flags.gitignore ?? manifest.gitignore ?? false,
+    lockfile: loadLockfile(),
+    repos: resolveRepos(flags)
+  };
+
+  if (manifest.skills.length > 0) {
+    console.log('\n📦 Skills\n');
+    const skills = await loadSkillCatalog(options.repos.skillSources);
+    await applySkillsSelections(skills, manifest.skills, options);
+  }
+
+  if (manifest.agents.length > 0) {
+    console.log('\n🤖 Subagents\n');
+    const subagents = await loadAvailableSubagents(options.repos.agents);
+    await applySubagentsSelections(subagents, manifest.agents, options);
+  }
+
+  writeLockfile(options.lockfile);
+}
+
+/**
+ * Detect an installation at a path given on the command line that is not one
+ * of the known install paths
+ * @param {string} path - Install path
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {{agents: {owner: string, name: string}}} repos - Configured repositories
+ * @returns {Promise<{section: 'skills'|'agents', path: string, items: string[]}|null>}
+ */
+async function detectInstallationAt(path, lockfile, repos) {
+  const absolutePath = resolveInstallPath(path);
+
+  const harness = getAgentHarness(resolveAgentInstallMode(path));
+  if (harness) {
+    const agents = await harness.listInstalledAgents(absolutePath);
+    return agents.length > 0 ? { section: 'agents', path, items: agents } : null;
+  }
+
+  // Custom paths are told apart by the repository they were cloned from
+  if (await isInstallerCheckout('agents', path, lockfile, repos)) {
+    return { section: 'agents', path, items: await listCheckedOutSubagents(absolutePath) };
+  }
+  if (await isInstallerCheckout('skills', path, lockfile, repos)) {
+    return { section: 'skills', path, items: await listCheckedOutSkills(absolutePath) };
+  }
+  return null;
+}
+
+/**
+ * Whether a path holds a checkout made by the installer: a sparse clone of the
+ * repository locked for it or configured for its section. The project's own
+ * repository or any other clone is never treated as an installation.
+ * @param {'skills'|'agents'} section
+ * @param {string} path - Install path
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @returns {Promise<boolean>}
+ */
+async function isInstallerCheckout(section, path, lockfile, repos) {
+  const absolutePath = resolveInstallPath(path);
+  if (!existsSync(join(absolutePath, '.git', 'info', 'sparse-checkout'))) {
+    return false;
+  }
+
+  const remoteUrl = await getRemoteUrl(absolutePath);
+  const expectedUrls = [
+    getLockEntry(lockfile, section, path)?.repository,
+    ...(section === 'skills' ? repos.skillSources.map(getRepoUrl) : [getSubagentsRepoUrl(repos.agents)])
+  ];
+  return Boolean(remoteUrl) && expectedUrls.some(url => url && isSameRepository(remoteUrl, url));
+}
+
+/**
+ * Detect skills and subagents installations in every known install path
+ * @returns {Promise<Array<{section: 'skills'|'agents', path: string, items: string[]}>>}
+ */
+async function detectAllInstallations() {
+  const skillInstalls = await detectExistingSkillInstallations();
+  const agentInstalls = await detectExistingAgentInstallations();
+
+  return [
+    ...skillInstalls.map(install => ({ section: 'skills', path: install.path, items: install.skills })),
+    ...agentInstalls.map(install => ({ section: 'agents', path: install.path, items: install.agents }))
+  ];
+}
+
+/**
+ * Find the installation at a path, preferring the known install paths
+ * @param {string} path - Install path given on the command line
+ * @param {Array<{section: string, path: string, items: string[]}>} detected - From detectAllInstallations()
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @returns {Promise<{section: 'skills'|'agents', path: string, items: string[]}|null>}
+ */
+async function findInstallation(path, detected, lockfile, repos) {
+  return detected.find(install => normalizeTargetPath(install.path) === normalizeTargetPath(path))
+    || detectInstallationAt(path, lockfile, repos);
+}
+
+/**
+ * Find the per-source skill clones a multi-source install left below a target
+ * (see getSourceInstallPath()). Only checkouts made by the installer count.
+ * @param {string} path - Target path given on the command line
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @returns {Promise<Array<{section: 'skills', path: string, items: string[]}>>}
+ */
+async function findSourceInstallations(path, lockfile, repos) {
+  const absolutePath = resolveInstallPath(path);
+  if (!existsSync(absolutePath) || existsSync(join(absolutePath, '.git'))) {
+    return [];
+  }
+
+  const installations = [];
+  const entries = readdirSync(absolutePath, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  for (const entry of entries) {
+    const sourcePath = getSourceInstallPath(path, { id: entry.name });
+    if (await isInstallerCheckout('skills', sourcePath, lockfile, repos)) {
+      installations.push({
+        section: 'skills',
+        path: sourcePath,
+        items: await listCheckedOutSkills(resolveInstallPath(sourcePath))
+      });
+    }
+  }
+  return installations;
+}
+
+/**
+ * Display the per-target summary of an update
+ * @param {string} installPath - Where the items are installed
+ * @param {'skills'|'agents'} section
+ * @param {string[]} updated - Items that changed upstream
+ * @param {string[]} unchanged - Items that were already up to date
+ * @param {{from: string|null, to: string|null}} commits - Checked out commit before and after (sparse-git only)
+ */
+function showUpdateSummary(installPath, section, updated, unchanged, commits) {
+  const title = section === 'skills' ? 'Skills' : 'Subagents';
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`✅ ${title} updated successfully!`);
+  console.log('═'.repeat(50));
+  console.log(`\n📁 Location: ${installPath}`);
+
+  if (commits.from && commits.to) {
+    console.log(`\n🔀 Commit: ${shortCommit(commits.from)} → ${shortCommit(commits.to)}`);
+  }
+
+  console.log(`\n🔄 Updated (${updated.length}):`);
+  updated.forEach(item => console.log(`   • ${item}`));
+
+  if (unchanged.length > 0) {
+    console.log(`\n${section === 'skills' ? '📦' : '🤖'} Unchanged (${unchanged.length}):`);
+    unchanged.forEach(item => console.log(`   • ${item}`));
+  }
+
+  console.log('═'.repeat(50) + '\n');
+}
+
+/**
+ * Print the upstream commits and diff of one item for `update --preview`
+ * @param {string} item - Skill folder or agent filename
+ * @param {{log: string, diff: string}} changes - From getUpstreamChanges() or getGeneratedAgentChanges()
+ */
+function showUpstreamChanges(item, changes) {
+  console.log(`\n── ${item} ${'─'.repeat(Math.max(3, 46 - item.length))}`);
+  const commits = changes.log ? changes.log.split('\n') : [];
+  if (commits.length > 0) {
+    console.log(`Commits (${commits.length}):`);
+    commits.forEach(commit => console.log(`   ${commit}`));
+    console.log('');
+  }
+  console.log(changes.diff || 'No differences in the installed files');
+}
+
+/**
+ * Refresh one installation when any of the requested items changed upstream
+ * @param {{section: 'skills'|'agents', path: string, items: string[]}} installation
+ * @param {string[]} candidates - Items whose updates should trigger a refresh
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @param {{preview?: boolean}} [options] - With `preview`, only print what would change
+ * @returns {Promise<boolean>} Whether the lockfile entry of the target was rewritten
+ */
+async function updateInstallation(installation, candidates, lockfile, repos, options = {}) {
+  const { section, path, items } = installation;
+  const absoluteInstallPath = resolveInstallPath(path);
+  const installMode = section === 'agents' ? resolveAgentInstallMode(path) : 'sparse-git';
+  const harness = getAgentHarness(installMode);
+  const noun = section === 'skills' ? 'skill' : 'subagent';
+
+  console.log(`\n📍 ${path}`);
+
+  // Generated targets follow the ref recorded in the lockfile; checkouts remember their own
+  const lockedRef = getLockEntry(lockfile, section, path)?.ref || null;
+
+  const checkSpinner = showSpinner('Checking for available updates...');
+  let stale;
+  if (harness) {
+    stale = await harness.checkAgentUpdates(absoluteInstallPath, items, { repo: repos.agents, ref: lockedRef });
+  } else if (section === 'skills') {
+    stale = await checkSkillsForUpdates(absoluteInstallPath, items);
+  } else {
+    stale = await checkSubagentsForUpdates(absoluteInstallPath, items);
+  }
+
+  if (!candidates.some(item => stale.has(item))) {
+    checkSpinner.stop(`✅ All ${candidates.length} ${noun}${candidates.length !== 1 ? 's' : ''} up to date`);
+    return false;
+  }
+  checkSpinner.stop(`✅ Found ${stale.size} ${noun}${stale.size !== 1 ? 's' : ''} with updates available`);
+
+  if (options.preview) {
+    for (const item of candidates.filter(candidate => stale.has(candidate))) {
+      const changes = harness
+        ? await getGeneratedAgentChanges(harness.agentFormat, absoluteInstallPath, item, { repo: repos.agents, ref: lockedRef })
+        : await getUpstreamChanges(absoluteInstallPath, [item]);
+      showUpstreamChanges(item, changes);
+    }
+    return false;
+  }
+
+  const localChanges = await decideLocalChanges(path, absoluteInstallPath, items, { nonInteractive: true }, installMode);
+
+  // Only re-record targets the project already pins
+  const isLocked = Boolean(getLockEntry(lockfile, section, path));
+  const targetContext = {
+    installPath: path,
+    absoluteInstallPath,
+    installMode,
+    lockfile: isLocked ? lockfile : null,
+    lockEntry: null,
+    repo: repos.agents,
+    ref: harness ? lockedRef : null,
+    localChanges
+  };
+  const commits = { from: null, to: null };
+  const spinner = showSpinner('Pulling updates...');
+  const onProgress = (message) => spinner.stop(`   ${message}`);
+
+  try {
+    if (installMode === 'sparse-git') {
+      const update = section === 'skills' ? updateSparseCheckout : updateSubagentsSparseCheckout;
+      commits.from = await getHeadCommit(absoluteInstallPath);
+      await update(absoluteInstallPath, items, onProgress, { localChanges });
+      commits.to = await getHeadCommit(absoluteInstallPath);
+      await recordSparseLock(section, targetContext, items);
+    } else {
+      await syncGeneratedTarget(targetContext, items, onProgress);
+    }
+  } catch (error) {
+    spinner.stop('❌ Update failed');
+    showError(error.message);
+    process.exit(1);
+  }
+
+  // A pull that could not reach the remote was reported and left the checkout as it was
+  if (installMode === 'sparse-git' && commits.from === commits.to) {
+    return false;
+  }
+
+  // Pulling moves the whole checkout, so every stale item is refreshed
+  const updated = items.filter(item => stale.has(item));
+  const unchanged = items.filter(item => !stale.has(item));
+  showUpdateSummary(path, section, updated, unchanged, commits);
+
+  return isLocked;
+}
+
+/**
+ * Refresh every detected installation (or the --target paths) whose items
+ * changed upstream, without re-selecting anything
+ * @param {string[]} itemFilter - Only refresh targets where one of these items changed
+ * @param {{targets?: string[], skillsRepo?: string, agentsRepo?: string, preview?: boolean}} flags - Parsed command line options
+ */
+async function runUpdate(itemFilter, flags) {
+  console.log('\n🔄 Updating installations\n');
+
+  if (!isGitAvailable()) {
+    showError('Git is not installed or not available in PATH. Please install git first.');
+    process.exit(1);
+  }
+
+  const lockfile = loadLockfile();
+  const repos = resolveRepos(flags);
+  const detected = await detectAllInstallations();
+
+  let installations = detected;
+  if (flags.targets) {
+    installations = [];
+    for (const path of flags.targets) {
+      const installation = await findInstallation(path, detected, lockfile, repos);
+      const found = installation ? [installation] : await findSourceInstallations(path, lockfile, repos);
+      if (found.length === 0) {
+        showError(`No installation found at ${path}`);
+        process.exit(1);
+      }
+      installations.push(...found);
+    }
+  }
+
+  if (itemFilter.length > 0) {
+    installations = installations.filter(install => install.items.some(item => itemFilter.includes(item)));
+    if (installations.length === 0) {
+      showError(`No installation contains ${itemFilter.join(', ')}`);
+      process.exit(EXIT_CODES.NOT_FOUND);
+    }
+  }
+
+  if (installations.length === 0) {
+    console.log('No skills or subagents installations found.\n');
+    return;
+  }
+
+  let lockChanged = false;
+  for (const installation of installations) {
+    const candidates = itemFilter.length > 0
+      ? installation.items.filter(item => itemFilter.includes(item))
+      : installation.items;
+    lockChanged = await updateInstallation(installation, candidates, lockfile, repos, { preview: flags.preview }) || lockChanged;
+  }
+
+  if (flags.preview) {
+    console.log('\nNothing was changed. Run update without --preview to apply these changes.\n');
+    return;
+  }
+
+  if (lockChanged) {
+    writeLockfile(lockfile);
+    console.log(`\n📝 Updated ${LOCKFILE_FILENAME}\n`);
+  }
+}
+
+/**
+ * Check that an installation can be removed, exiting on anything that would
+ * lose local work or touch a checkout the installer did not make
+ * @param {{section: 'skills'|'agents', path: string, items: string[]}} installation
+ * @param {string[]} items - Items to remove; empty removes everything
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @param {{force?: boolean}} flags - Parsed command line options
+ * @returns {Promise<{installation: object, installMode: string, items: string[], removeAll: boolean, removedItems: string[]}>}
+ */
+async function planUninstall(installation, items, lockfile, repos, flags) {
+  const { section, path } = installation;
+  const absolutePath = resolveInstallPath(path);
+  const installMode = section === 'agents' ? resolveAgentInstallMode(path) : 'sparse-git';
+
+  // Known install paths are detected by their .git folder alone
+  if (installMode === 'sparse-git' && !await isInstallerCheckout(section, path, lockfile, repos)) {
+    showError(`${path} is not a checkout made by the installer from the configured ${section} repository; refusing to delete it`);
+    process.exit(1);
+  }
+
+  const removeAll = items.length === 0 || installation.items.every(item => items.includes(item));
+  const removedItems = removeAll ? installation.items : items;
+
+  // Generated agent files carry no local history to protect
+  if (installMode === 'sparse-git' && !flags.force) {
+    const changes = await getLocalChanges(absolutePath, removeAll ? [] : items);
+    const problems = [];
+    if (changes.modified.length > 0) {
+      problems.push(`uncommitted changes (${changes.modified.join(', ')})`);
+    }
+    if (removeAll && changes.unpushed > 0) {
+      problems.push(`${changes.unpushed} unpushed commit${changes.unpushed !== 1 ? 's' : ''}`);
+    }
+    if (problems.length > 0) {
+      showError(`${path} has ${problems.join(' and ')}. Re-run with --force to delete them.`);
+      process.exit(1);
+    }
+  }
+
+  return { installation, installMode, items, removeAll, removedItems };
+}
+
+/**
+ * Remove the items of a checked installation and update the lockfile.
+ * .gitignore is left to the caller, which knows the path install wrote.
+ * @param {object} plan - From planUninstall()
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {{force?: boolean}} flags - Parsed command line options
+ */
+async function applyUninstall({ installation, installMode, items, removeAll, removedItems }, lockfile, flags) {
+  const { section, path } = installation;
+  const absolutePath = resolveInstallPath(path);
+
+  if (removeAll) {
+    if (installMode === 'sparse-git') {
+      rmSync(absolutePath, { recursive: true, force: true });
+    } else {
+      await removeGeneratedAgents(getAgentHarness(installMode).agentFormat, absolutePath, removedItems);
+    }
+
+    if (removeLockEntry(lockfile, section, path)) {
+      writeLockfile(lockfile);
+    }
+  } else {
+    if (installMode === 'sparse-git') {
+      if (flags.force) {
+        await discardLocalChanges(absolutePath, items);
+      }
+
+      const remaining = installation.items.filter(item => !items.includes(item));
+      const update = section === 'skills' ? updateSparseCheckout : updateSubagentsSparseCheckout;
+      // Stay on the current commit instead of pulling
+      await update(absolutePath, remaining, () => {}, { commit: await getHeadCommit(absolutePath) });
+
+      // Untracked leftovers keep the item directories around after the checkout shrinks
+      for (const item of items) {
+        rmSync(join(absolutePath, item), { recursive: true, force: true });
+      }
+    } else {
+      await removeGeneratedAgents(getAgentHarness(installMode).agentFormat, absolutePath, items);
+    }
+
+    const lockEntry = getLockEntry(lockfile, section, path);
+    if (lockEntry) {
+      const lockedItems = Object.fromEntries(Object.entries(lockEntry.items).filter(([item]) => !items.includes(item)));
+      setLockEntry(lockfile, section, path, { ...lockEntry, items: lockedItems });
+      writeLockfile(lockfile);
+    }
+  }
+
+  console.log(`\n✅ Removed from ${path} (${removedItems.length}):`);
+  removedItems.forEach(item => console.log(`   • ${item}`));
+  if (removeAll && installMode === 'sparse-git') {
+    console.log(`\n📁 Deleted ${path}`);
+  }
+}
+
+/**
+ * Remove the .gitignore block install wrote for a target once nothing is
+ * installed there anymore. A multi-source target is ignored as a whole, so
+ * its block goes with the last per-source clone.
+ * @param {string} path - Uninstalled path
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ */
+async function cleanupGitignore(path, lockfile, repos) {
+  const gitignorePath = resolveInstallPath('.gitignore');
+  if (isHomePath(path)) {
+    return;
+  }
+
+  if (!existsSync(resolveInstallPath(path))) {
+    removeFromGitignore(gitignorePath, path);
+  }
+
+  const targetPath = path.replace(/[^/]+\/?$/, '');
+  if (targetPath && (await findSourceInstallations(targetPath, lockfile, repos)).length === 0) {
+    removeFromGitignore(gitignorePath, targetPath);
+  }
+}
+
+/**
+ * Remove an installation, or only some of its items. A multi-source target
+ * removes its per-source clones; items are then given as <source>/<folder>.
+ * @param {string[]} positionals - Install path followed by optional item names
+ * @param {{force?: boolean, agentsRepo?: string}} flags - Parsed command line options
+ */
+async function runUninstall([targetPath, ...items], flags) {
+  if (!targetPath) {
+    throw usageError('uninstall needs an install path, e.g. "uninstall .claude/skills/"');
+  }
+
+  console.log('\n🗑️  Uninstalling\n');
+
+  if (!isGitAvailable()) {
+    showError('Git is not installed or not available in PATH. Please install git first.');
+    process.exit(1);
+  }
+
+  const lockfile = loadLockfile();
+  const repos = resolveRepos(flags);
+  const installation = await findInstallation(targetPath, await detectAllInstallations(), lockfile, repos);
+  const sourceInstalls = installation ? [] : await findSourceInstallations(targetPath, lockfile, repos);
+  if (!installation && sourceInstalls.length === 0) {
+    showError(`No installation found at ${targetPath}`);
+    process.exit(1);
+  }
+
+  // Items of per-source clones are qualified by the source folder, as in the picker
+  const targets = installation
+    ? [{ installation, items }]
+    : sourceInstalls.map(install => {
+      const prefix = `${install.path.split('/').filter(Boolean).pop()}/`;
+      return {
+        installation: { ...install, items: install.items.map(item => prefix + item) },
+        clone: install,
+        prefix
+      };
+    });
+  const installed = targets.flatMap(target => target.installation.items);
+  const missing = items.filter(item => !installed.includes(item));
+  if (missing.length > 0) {
+    showError(`${targetPath} does not contain ${missing.join(', ')}\n   Installed: ${installed.join(', ')}`);
+    process.exit(EXIT_CODES.NOT_FOUND);
+  }
+
+  // Check every clone before deleting anything so a refusal leaves the target intact
+  const plans = [];
+  for (const target of targets) {
+    if (!target.clone) {
+      plans.push(await planUninstall(target.installation, items, lockfile, repos, flags));
+      continue;
+    }
+    const cloneItems = items
+      .filter(item => item.startsWith(target.prefix))
+      .map(item => item.slice(target.prefix.length));
+    if (items.length === 0 || cloneItems.length > 0) {
+      plans.push(await planUninstall(target.clone, cloneItems, lockfile, repos, flags));
+    }
+  }
+
+  for (const plan of plans) {
+    await applyUninstall(plan, lockfile, flags);
+    await cleanupGitignore(plan.installation.path, lockfile, repos);
+  }
+  console.log('');
+}
+
+/**
+ * Describe one detected installation for the status report
+ * @param {Array<{path: string, harness: string, scope: string}>} detectionTargets - Known targets for labels
+ * @param {string} path - Install path
+ * @param {string[]} items - Installed skill folders or agent filenames
+ * @param {string} installMode - See getAgentInstallMode()
+ * @param {object} repos - Configured repositories from resolveRepos()
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @returns {Promise<object>}
+ */
+async function describeInstallation(detectionTargets, path, items, installMode, repos, lockfile) {
+  // Per-source skill clones are labelled like the target they live in
+  const target = getTargetByPath(detectionTargets, path)
+    || getTargetByPath(detectionTargets, path.replace(/[^/]+\/?$/, ''));
+  const absolutePath = resolveInstallPath(path);
+
+  // Generated agent files have no commit; only upstream drift can be detected
+  const harness = getAgentHarness(installMode);
+  const generatedRef = harness ? getLockEntry(lockfile, 'agents', path)?.ref || null : null;
+  const status = harness
+    ? {
+      commit: null,
+      ref: generatedRef,
+      behind: null,
+      outdated: Array.from(await harness.checkAgentUpdates(absolutePath, items, { repo: repos.agents, ref: generatedRef })),
+      modified: null
+    }
+    : await getInstallationStatus(absolutePath, items);
+
+  return {
+    path,
+    harness: target?.harness || null,
+    scope: target?.scope || null,
+    installMode,
+    repository: harness
+      ? getSubagentsRepoUrl(repos.agents)
+      : (await getRemoteUrl(absolutePath)) || null,
+    items,
+    ...status
+  };
+}
+
+/**
+ * Print one installation of the status report
+ * @param {object} installation - Entry from describeInstallation()
+ */
+function printInstallationStatus(installation) {
+  const { path, harness, scope, installMode, repository, items, commit, ref, behind, outdated, modified } = installation;
+  const labels = [harness, scope, installMode].filter(Boolean).join(' | ');
+
+  let upstream;
+  if (getAgentHarness(installMode)) {
+    upstream = outdated.length > 0 ? `${outdated.length} differ from upstream` : 'matches upstream';
+  } else if (behind === null) {
+    upstream = 'upstream unknown';
+  } else {
+    upstream = behind === 0 ? 'up to date' : `${behind} commit${behind !== 1 ? 's' : ''} behind upstream`;
+  }
+
+  console.log(`\n📁 ${path} (${labels})`);
+  console.log(`   Repository: ${repository || 'unknown'}`);
+  if (ref) {
+    console.log(`   Pinned to: ${ref}`);
+  }
+  console.log(`   Items (${items.length}): ${items.join(', ') || 'none'}`);
+  console.log(`   Commit: ${commit ? shortCommit(commit) : 'n/a'} (${upstream})`);
+  if (outdated.length > 0) {
+    console.log(`   Updates available: ${outdated.join(', ')}`);
+  }
+  console.log(`   Local modifications: ${modified === null ? 'unknown' : (modified.join(', ') || 'none')}`);
+}
+
+/**
+ * Report every detected skills and subagents installation
+ * @param {{json?: boolean, agentsRepo?: string}} flags - Parsed command line options
+ */
+async function runStatus(flags) {
+  if (!isGitAvailable()) {
+    showError('Git is not installed or not available in PATH. Please install git first.');
+    process.exit(1);
+  }
+
+  const spinner = flags.json ? null : showSpinner('Checking installations...');
+  const skillTargets = allSkillDetectionTargets();
+  const agentTargets = allAgentDetectionTargets();
+  const report = { skills: [], agents: [] };
+  const repos = resolveRepos(flags);
+  const lockfile = loadLockfile();
+
+  for (const install of await detectExistingSkillInstallations()) {
+    report.skills.push(await describeInstallation(skillTargets, install.path, install.skills, 'sparse-git', repos, lockfile));
+  }
+  for (const install of await detectExistingAgentInstallations()) {
+    report.agents.push(await describeInstallation(agentTargets, install.path, install.agents, resolveAgentInstallMode(install.path), repos, lockfile));
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  spinner.stop('✅ Checked installations');
+
+  if (report.skills.length === 0 && report.agents.length === 0) {
+    console.log('\nNo skills or subagents installations found.\n');
+    return;
+  }
+
+  if (report.skills.length > 0) {
+    console.log('\n📦 Skills');
+    report.skills.forEach(printInstallationStatus);
+  }
+  if (report.agents.length > 0) {
+    console.log('\n🤖 Subagents');
+    report.agents.forEach(printInstallationStatus);
+  }
+  console.log('');
+}
+
+// Every command that talks to the upstream repositories accepts these
+const REPO_OPTIONS = ['skillsRepo', 'agentsRepo', 'source', 'refresh'];
+
+// Commands that change installations load the harness adapters; read-only
+// ones never run adapter code
+const COMMANDS = {
+  install: {
+    options: [
+      'skills', 'agents', 'targets', 'skillTargets', 'agentTargets', 'gitignore', 'yes', 'frozen', 'ref',
+      'trustHarnesses', ...REPO_OPTIONS
+    ],
+    loadsHarnesses: true,
+    run: ({ options }) => runInstall({ ...resolveInstallOptions(options), repos: resolveRepos(options) })
+  },
+  sync: {
+    options: ['manifest', 'gitignore', 'trustHarnesses', ...REPO_OPTIONS],
+    loadsHarnesses: true,
+    run: ({ options }) => runSync(options)
+  },
+  update: {
+    options: ['targets', 'preview', 'trustHarnesses', ...REPO_OPTIONS],
+    loadsHarnesses: true,
+    run: ({ positionals, options }) => runUpdate(positionals, options)
+  },
+  uninstall: {
+    options: ['force', 'trustHarnesses', ...REPO_OPTIONS],
+    loadsHarnesses: true,
+    run: ({ positionals, options }) => runUninstall(positionals, options)
+  },
+  status: {
+    options: ['json', ...REPO_OPTIONS],
+    run: ({ options }) => runStatus(options)
+  },
+  list: {
+    options: ['json', ...REPO_OPTIONS],
+    run: ({ options }) => runStatus(options)
+  }
+};
+
+/**
+ * Load the harness adapters of the user config, and those of the project
+ * config when they are trusted
+ * @param {boolean} trustProject - Whether --trust-harnesses was given
+ */
+async function loadTrustedHarnesses(trustProject) {
+  const { specs, ignored } = resolveHarnessSpecs(trustProject);
+  if (ignored.length > 0) {
+    console.log(`⚠️  Not loading the harness adapters in ${CONFIG_FILENAME} (${ignored.join(', ')}); pass --trust-harnesses to run them`);
+  }
+  await loadHarnesses(specs);
+}
+
 /**
  * Parse command line arguments and run
  */
 async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    showError(error.message);
+    printUsage();
+    process.exit(error.exitCode || EXIT_CODES.ERROR);
+  }
+
+  // Default to install if no command is given
+  const { command = 'install', options } = parsed;
 
-  if (command === '--help' || command === '-h') {
+  if (options.help) {
     printUsage();
     process.exit(0);
   }
 
-  if (command === '--version' || command === '-v') {
+  if (options.version) {
     console.log(VERSION);
     process.exit(0);
   }
 
-  // Default to install if no command or explicit 'install' command
-  if (!command || command === 'install') {
-    try {
-      await runInstall();
-    } catch (error) {
-      if (error.message.includes('User force closed')) {
-        console.log('\n\n👋 Installation cancelled.\n');
-        process.exit(0);
-      }
-      showError(error.message);
-      process.exit(1);
-    }
-  } else {
+  if (!Object.hasOwn(COMMANDS, command)) {
     console.error(`Unknown command: ${command}`);
     printUsage();
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  try {
+    assertOptionsSupported(command, options, COMMANDS[command].options);
+    const config = loadConfig();
+    configureCache({
+      enabled: true,
+      ttl: config.cacheTtl ?? DEFAULT_CACHE_TTL,
+      refresh: Boolean(options.refresh)
+    });
+    configureCodexMapping(config.codexMapping);
+    configureClaudeMapping(config.claudeMapping);
+    if (COMMANDS[command].loadsHarnesses) {
+      await loadTrustedHarnesses(Boolean(options.trustHarnesses));
+    }
+    await COMMANDS[command].run(parsed);
+  } catch (error) {
+    if (error.message.includes('User force closed')) {
+      console.log('\n\n👋 Installation cancelled.\n');
+      process.exit(0);
+    }
+    showError(error.message);
+    if (error.exitCode === EXIT_CODES.USAGE) {
+      printUsage();
+    }
+    process.exit(error.exitCode || EXIT_CODES.ERROR);
   }
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Convert Markdown subagent definitions into Claude agent files: `<name>.md`
+ * with the `name`, `description`, `tools` and `model` frontmatter Claude reads.
+ * Writing, updating and removing the files is shared with the other generated
+ * formats in generated-agents.js; the installer's header lines are YAML
+ * comments at the top of the frontmatter.
+ */
+
+import { humanizeAgentName, parseSubagentDefinition } from './subagents.js';
+
+// Tools Claude agents can list, by lowercase name
+const CLAUDE_TOOLS = new Map([
+  'Task', 'Bash', 'BashOutput', 'KillShell', 'Glob', 'Grep', 'LS', 'Read', 'Edit', 'MultiEdit', 'Write',
+  'NotebookEdit', 'NotebookRead', 'WebFetch', 'WebSearch', 'TodoWrite', 'ExitPlanMode', 'SlashCommand',
+].map(tool => [tool.toLowerCase(), tool]));
+
+/**
+ * How .agent.md frontmatter maps onto Claude agent keys. Projects extend each
+ * table with "claudeMapping" in .skills-installer.json.
+ * - `models`: lowercase model names and the Claude model to use instead.
+ *   Unlisted names naming a Claude family (`Claude Sonnet 4`) become that
+ *   family; others are left out
+ * - `tools`: lowercase tool names (without arguments) and the Claude tools,
+ *   comma-separated, they become. Claude's own tool names and MCP tools
+ *   (`mcp__server__tool`) are kept as they are; others are left out
+ */
+export const DEFAULT_CLAUDE_MAPPING = {
+  models: {
+    inherit: 'inherit',
+    sonnet: 'sonnet',
+    opus: 'opus',
+    haiku: 'haiku',
+  },
+  tools: {
+    codebase: 'Read, Grep, Glob',
+    search: 'Grep, Glob',
+    usages: 'Grep',
+    findtestfiles: 'Glob',
+    editfiles: 'Edit, MultiEdit, Write',
+    runcommands: 'Bash',
+    runtasks: 'Bash',
+    runtests: 'Bash',
+    execute: 'Bash',
+    shell: 'Bash',
+    terminallastcommand: 'BashOutput',
+    fetch: 'WebFetch',
+    web: 'WebFetch, WebSearch',
+    todos: 'TodoWrite',
+    todo: 'TodoWrite',
+    agent: 'Task',
+  },
+};
+
+let claudeMapping = DEFAULT_CLAUDE_MAPPING;
+
+/**
+ * Extend the default mapping for the rest of the process
+ * @param {{models?: object, tools?: object}} [mapping] - "claudeMapping" from the config
+ */
+export function configureClaudeMapping(mapping = {}) {
+  claudeMapping = {
+    models: { ...DEFAULT_CLAUDE_MAPPING.models, ...mapping.models },
+    tools: { ...DEFAULT_CLAUDE_MAPPING.tools, ...mapping.tools },
+  };
+}
+
+function mapModel(model, mapping, warnings) {
+  const name = model.trim().toLowerCase();
+  if (mapping.models[name]) {
+    return mapping.models[name];
+  }
+  const family = name.match(/opus|sonnet|haiku/);
+  if (family) {
+    return family[0];
+  }
+  warnings.push(`model "${model}" has no Claude equivalent and was left out; map it in claudeMapping.models`);
+  return null;
+}
+
+function mapTools(tools, mapping, warnings) {
+  const mapped = [];
+  for (const tool of tools) {
+    const name = tool.replace(/\(.*$/, '').trim().toLowerCase();
+    if (name.startsWith('mcp__')) {
+      mapped.push(tool);
+    } else if (CLAUDE_TOOLS.has(name)) {
+      // Keep arguments such as Bash(git:*), with the canonical name
+      mapped.push(tool.trim().replace(/^[^(]+/, CLAUDE_TOOLS.get(name)));
+    } else if (mapping.tools[name]) {
+      mapped.push(...mapping.tools[name].split(',').map(entry => entry.trim()).filter(Boolean));
+    } else {
+      warnings.push(`tool "${tool}" has no Claude equivalent and was left out; map it in claudeMapping.tools`);
+    }
+  }
+  return Array.from(new Set(mapped));
+}
+
+export function claudeMarkdownFilenameForAgent(agentFilename) {
+  return `${agentFilename.replace(/\.agent\.md$/i, '')}.md`;
+}
+
+export function claudeAgentNameForAgent(agentFilename, displayName = '') {
+  const preferred = displayName || agentFilename.replace(/\.agent\.md$/i, '');
+  return preferred
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'agent';
+}
+
+// Plain YAML scalars when they read back as the same string, quoted otherwise
+function yamlString(value) {
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  const isPlain = /^[A-Za-z0-9(][^:#"'\\]*$/.test(text) && !/^(?:true|false|yes|no|on|off|null|~|[\d.eE+-]+)$/i.test(text);
+  return isPlain ? text : JSON.stringify(text);
+}
+
+function renderClaudeMarkdown(content, agentFilename) {
+  const definition = parseSubagentDefinition(content, agentFilename);
+  const description = definition.description || `${humanizeAgentName(agentFilename)} subagent`;
+  const warnings = [];
+
+  const frontmatter = [
+    `name: ${claudeAgentNameForAgent(agentFilename, definition.name)}`,
+    `description: ${yamlString(description)}`,
+  ];
+  // Without a tools list, Claude agents inherit every tool
+  if (definition.tools?.length > 0 && !definition.tools.includes('*')) {
+    const tools = mapTools(definition.tools, claudeMapping, warnings);
+    if (tools.length > 0) {
+      frontmatter.push(`tools: ${yamlString(tools.join(', '))}`);
+    } else {
+      warnings.push('none of the tools have a Claude equivalent; the agent inherits every tool');
+    }
+  }
+  const model = typeof definition.model === 'string' && definition.model
+    ? mapModel(definition.model, claudeMapping, warnings)
+    : null;
+  if (model) {
+    frontmatter.push(`model: ${yamlString(model)}`);
+  }
+  if (definition['mcp-servers'] !== undefined || definition.mcpServers !== undefined) {
+    warnings.push('"mcp-servers" was left out; configure the servers in Claude\'s MCP settings');
+  }
+
+  const body = (definition.body || '').replace(/\r\n/g, '\n').trim()
+    || 'Act as the requested specialist and complete the assigned task.';
+  const text = ['---', ...frontmatter, '---', '', body, ''].join('\n');
+
+  return { text, name: definition.name, description, warnings };
+}
+
+/** Claude agent files, see generated-agents.js */
+export const CLAUDE_MD_FORMAT = {
+  extension: '.md',
+  outputFilename: claudeMarkdownFilenameForAgent,
+  render: renderClaudeMarkdown,
+  // The header goes inside the frontmatter, which has to open the file
+  addHeader: (headerLines, text) => {
+    const [opening, ...rest] = text.split('\n');
+    return [opening, ...headerLines, ...rest].join('\n');
+  },
+};
@@ -0,0 +1,171 @@
+/**
+ * Command line argument parsing for the installer CLI.
+ */
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3
+};
+
+/**
+ * Supported options.
+ * - `list` values are comma separated and merged when repeated.
+ * - `multiple` string values are collected into an array.
+ * - `negatable` booleans also accept a `--no-` prefix.
+ */
+const OPTION_SPECS = {
+  skills: { type: 'list' },
+  agents: { type: 'list' },
+  target: { type: 'string', multiple: true, key: 'targets' },
+  'skills-target': { type: 'string', multiple: true, key: 'skillTargets' },
+  'agents-target': { type: 'string', multiple: true, key: 'agentTargets' },
+  gitignore: { type: 'boolean', negatable: true },
+  manifest: { type: 'string' },
+  'skills-repo': { type: 'string', multiple: true },
+  'agents-repo': { type: 'string' },
+  source: { type: 'string' },
+  ref: { type: 'string' },
+  refresh: { type: 'boolean' },
+  yes: { type: 'boolean' },
+  frozen: { type: 'boolean' },
+  json: { type: 'boolean' },
+  force: { type: 'boolean' },
+  preview: { type: 'boolean' },
+  'trust-harnesses': { type: 'boolean' },
+  help: { type: 'boolean' },
+  version: { type: 'boolean' }
+};
+
+const SHORT_OPTIONS = {
+  y: 'yes',
+  h: 'help',
+  v: 'version'
+};
+
+/**
+ * Create an error that the CLI reports as invalid usage.
+ * @param {string} message
+ * @returns {Error}
+ */
+export function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+function optionKey(name) {
+  const spec = OPTION_SPECS[name];
+  if (spec.key) return spec.key;
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function optionFlag(key) {
+  const name = Object.keys(OPTION_SPECS).find(specName => optionKey(specName) === key);
+  return `--${name || key}`;
+}
+
+/**
+ * Reject options that the given command does not understand.
+ * @param {string} command - Command name used in the error message
+ * @param {Record<string, any>} options - Parsed options
+ * @param {string[]} allowedKeys - Option keys the command accepts
+ */
+export function assertOptionsSupported(command, options, allowedKeys) {
+  const unsupported = Object.keys(options).find(key => !allowedKeys.includes(key));
+  if (unsupported) {
+    throw usageError(`Option ${optionFlag(unsupported)} is not supported by "${command}"`);
+  }
+}
+
+function splitList(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse CLI arguments into a command, positionals and options.
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {{command: string|undefined, positionals: string[], options: Record<string, any>}}
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inlineValue;
+    if (arg.startsWith('--')) {
+      const equalsIndex = arg.indexOf('=');
+      name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+      inlineValue = equalsIndex === -1 ? undefined : arg.slice(equalsIndex + 1);
+    } else {
+      name = SHORT_OPTIONS[arg.slice(1)];
+      if (!name) {
+        throw usageError(`Unknown option: ${arg}`);
+      }
+    }
+
+    if (!OPTION_SPECS[name] && name.startsWith('no-') && OPTION_SPECS[name.slice(3)]?.negatable) {
+      if (inlineValue !== undefined) {
+        throw usageError(`Option --${name} does not take a value`);
+      }
+      options[optionKey(name.slice(3))] = false;
+      continue;
+    }
+
+    const spec = OPTION_SPECS[name];
+    if (!spec) {
+      throw usageError(`Unknown option: ${arg}`);
+    }
+
+    const key = optionKey(name);
+
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw usageError(`Option --${name} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[index + 1];
+      if (next === undefined || next.startsWith('-')) {
+        throw usageError(`Option --${name} requires a value`);
+      }
+      value = next;
+      index += 1;
+    }
+
+    if (spec.type === 'list') {
+      options[key] = [...(options[key] || []), ...splitList(value)];
+    } else if (spec.multiple) {
+      options[key] = [...(options[key] || []), value];
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return {
+    command: positionals[0],
+    positionals: positionals.slice(1),
+    options
+  };
+}
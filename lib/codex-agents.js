@@ -1,19 +1,20 @@
 /**
  * Convert Markdown subagent definitions into Codex TOML custom agents.
+ * Writing, updating and removing the files is shared with the other generated
+ * formats in generated-agents.js.
  */
 
-import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
-import { join, resolve } from 'path';
-import { homedir } from 'os';
-import { fetchSubagentContent, humanizeAgentName, parseSubagentDefinition } from './subagents.js';
-
-const GENERATED_COMMENT_PREFIX = '# Generated by @supercorks/skills-installer from ';
-
-function resolvePath(path) {
-  if (path === '~') return homedir();
-  if (path.startsWith('~/')) return resolve(homedir(), path.slice(2));
-  return resolve(path);
-}
+import { humanizeAgentName, parseSubagentDefinition } from './subagents.js';
+import {
+  checkGeneratedAgentUpdates,
+  convertGeneratedAgent,
+  findEditedGeneratedAgents,
+  getGeneratedAgentChanges,
+  isGeneratedAgentEdited,
+  listInstalledGeneratedAgents,
+  removeGeneratedAgents,
+  syncGeneratedAgents
+} from './generated-agents.js';
 
 export function codexTomlFilenameForAgent(agentFilename) {
   return `${agentFilename.replace(/\.agent\.md$/i, '')}.toml`;
@@ -36,6 +37,255 @@ function escapeTomlBasicString(value) {
     .trim();
 }
 
+// Codex sandbox modes, from the most to the least restrictive
+const SANDBOX_MODES = ['read-only', 'workspace-write', 'danger-full-access'];
+
+/**
+ * How .agent.md frontmatter maps onto Codex custom agent keys. Projects
+ * extend each table with "codexMapping" in .skills-installer.json.
+ * - `fields`: frontmatter keys copied as they are, and the Codex key they become
+ * - `models`: model names (lowercase) and the Codex model to use instead.
+ *   Unlisted model ids are copied and Copilot display names such as
+ *   "GPT-5 (Preview)" become ids; Claude models and other display names have
+ *   no Codex equivalent
+ * - `tools`: tool names (lowercase, without arguments) and the sandbox mode
+ *   they need; an agent gets the most permissive mode among its tools.
+ *   `inherit` (network tools) and any unlisted tool leave the mode to the
+ *   user's Codex config, since a guessed mode could lock the agent out
+ */
+export const DEFAULT_CODEX_MAPPING = {
+  fields: {
+    'reasoning-effort': 'model_reasoning_effort',
+    'reasoning_effort': 'model_reasoning_effort',
+    'reasoning-summary': 'model_reasoning_summary',
+    'sandbox-mode': 'sandbox_mode',
+  },
+  models: {},
+  tools: {
+    read: 'read-only',
+    grep: 'read-only',
+    glob: 'read-only',
+    ls: 'read-only',
+    search: 'read-only',
+    codebase: 'read-only',
+    usages: 'read-only',
+    problems: 'read-only',
+    changes: 'read-only',
+    findtestfiles: 'read-only',
+    testfailure: 'read-only',
+    searchresults: 'read-only',
+    terminallastcommand: 'read-only',
+    terminalselection: 'read-only',
+    vscodeapi: 'read-only',
+    extensions: 'read-only',
+    think: 'read-only',
+    todowrite: 'read-only',
+    todos: 'read-only',
+    todo: 'read-only',
+    edit: 'workspace-write',
+    editfiles: 'workspace-write',
+    multiedit: 'workspace-write',
+    write: 'workspace-write',
+    new: 'workspace-write',
+    createfile: 'workspace-write',
+    createdirectory: 'workspace-write',
+    notebookedit: 'workspace-write',
+    editnotebook: 'workspace-write',
+    runnotebooks: 'workspace-write',
+    bash: 'workspace-write',
+    shell: 'workspace-write',
+    execute: 'workspace-write',
+    runcommands: 'workspace-write',
+    runinterminal: 'workspace-write',
+    runtasks: 'workspace-write',
+    runtests: 'workspace-write',
+    fetch: 'inherit',
+    web: 'inherit',
+    webfetch: 'inherit',
+    websearch: 'inherit',
+    githubrepo: 'inherit',
+    opensimplebrowser: 'inherit',
+    agent: 'inherit',
+  },
+};
+
+// Catalog metadata and keys the converter handles itself
+const HANDLED_FIELDS = ['name', 'description', 'tags', 'version', 'harnesses', 'tools', 'allowed-tools', 'model', 'mcp-servers', 'mcpServers'];
+
+// MCP server keys that keep their meaning in Codex, and their Codex names
+const MCP_SERVER_KEYS = {
+  command: 'command',
+  args: 'args',
+  env: 'env',
+  cwd: 'cwd',
+  url: 'url',
+  headers: 'http_headers',
+};
+
+let codexMapping = DEFAULT_CODEX_MAPPING;
+
+/**
+ * Extend the default mapping for the rest of the process
+ * @param {{fields?: object, models?: object, tools?: object}} [mapping] - "codexMapping" from the config
+ */
+export function configureCodexMapping(mapping = {}) {
+  codexMapping = {
+    fields: { ...DEFAULT_CODEX_MAPPING.fields, ...mapping.fields },
+    models: { ...DEFAULT_CODEX_MAPPING.models, ...mapping.models },
+    tools: { ...DEFAULT_CODEX_MAPPING.tools, ...mapping.tools },
+  };
+}
+
+function tomlString(value) {
+  return `"${escapeTomlBasicString(value)}"`;
+}
+
+function tomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : tomlString(key);
+}
+
+function tomlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(tomlString).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, entry]) => `${tomlKey(key)} = ${tomlString(entry)}`).join(', ')} }`;
+  }
+  return tomlString(value);
+}
+
+function mapModel(model, mapping, warnings) {
+  const name = model.trim().toLowerCase();
+  if (mapping.models[model] || mapping.models[name]) {
+    return mapping.models[model] || mapping.models[name];
+  }
+  if (name === 'inherit') {
+    return null;
+  }
+  if (/claude|sonnet|opus|haiku/.test(name)) {
+    warnings.push(`model "${model}" has no Codex equivalent; map it in codexMapping.models`);
+    return null;
+  }
+  if (/^[a-z0-9][a-z0-9._:-]*$/.test(name)) {
+    return name;
+  }
+
+  // Copilot display names: "GPT-5 (Preview)" is gpt-5, "GPT-5 mini" is gpt-5-mini
+  const id = name.replace(/\s*\([^)]*\)/g, '').trim().replace(/\s+/g, '-');
+  if (/^(gpt|o\d|codex)[a-z0-9._-]*$/.test(id)) {
+    return id;
+  }
+  warnings.push(`model "${model}" is not a Codex model id and was left out; map it in codexMapping.models`);
+  return null;
+}
+
+/**
+ * The sandbox mode an agent's tools need. MCP tools ("server/tool" or
+ * "mcp__server__tool") come with their servers instead. Any tool without a
+ * mode leaves the mode unset rather than restricting the agent to the tools
+ * that did map.
+ */
+function mapToolsToSandbox(tools, mapping, warnings) {
+  let level = -1;
+  let inherit = false;
+  for (const tool of tools) {
+    const name = tool.replace(/\(.*$/, '').trim().toLowerCase();
+    if (name === '*') {
+      return null;
+    }
+    if (name.includes('/') || name.startsWith('mcp__')) {
+      continue;
+    }
+
+    const mode = mapping.tools[name];
+    if (SANDBOX_MODES.includes(mode)) {
+      level = Math.max(level, SANDBOX_MODES.indexOf(mode));
+    } else if (mode === 'inherit') {
+      inherit = true;
+    } else {
+      warnings.push(`tool "${tool}" has no Codex equivalent; sandbox_mode was left out`);
+      inherit = true;
+    }
+  }
+  return level >= 0 && !inherit ? SANDBOX_MODES[level] : null;
+}
+
+function formatMcpServers(servers, warnings) {
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+    warnings.push('"mcp-servers" must map server names to their settings');
+    return [];
+  }
+
+  const lines = [];
+  for (const [serverName, settings] of Object.entries(servers)) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      warnings.push(`MCP server "${serverName}" has no settings`);
+      continue;
+    }
+
+    lines.push('', `[mcp_servers.${tomlKey(serverName)}]`);
+    for (const [key, value] of Object.entries(settings)) {
+      if (MCP_SERVER_KEYS[key]) {
+        lines.push(`${MCP_SERVER_KEYS[key]} = ${tomlValue(value)}`);
+        if (/\$\{\{/.test(JSON.stringify(value))) {
+          warnings.push(`mcp-servers.${serverName}.${key} uses \${{ }} expressions, which Codex does not expand`);
+        }
+      } else if (key === 'tools') {
+        const tools = [value].flat();
+        if (!tools.includes('*')) {
+          lines.push(`enabled_tools = ${tomlValue(tools)}`);
+        }
+      } else if (key !== 'type') {
+        warnings.push(`mcp-servers.${serverName}.${key} has no Codex equivalent`);
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Translate the frontmatter beyond name and description into Codex keys
+ * @param {object} definition - From parseSubagentDefinition()
+ * @param {typeof DEFAULT_CODEX_MAPPING} mapping
+ * @returns {{settings: string[], tables: string[], warnings: string[]}} Top-level key lines, table lines and
+ *   what could not be converted
+ */
+function mapFrontmatter(definition, mapping) {
+  const warnings = [];
+  const settings = new Map();
+
+  const model = definition.model && mapModel(definition.model, mapping, warnings);
+  if (model) {
+    settings.set('model', model);
+  }
+
+  for (const [field, value] of Object.entries(definition)) {
+    if (['filename', 'body', ...HANDLED_FIELDS].includes(field)) {
+      continue;
+    }
+    if (!mapping.fields[field]) {
+      warnings.push(`"${field}" has no Codex equivalent and was left out`);
+    } else if (typeof value !== 'string') {
+      warnings.push(`"${field}" must be a single value`);
+    } else {
+      settings.set(mapping.fields[field], value);
+    }
+  }
+
+  // An explicit sandbox mode wins over the one the tools need
+  const sandbox = definition.tools && mapToolsToSandbox(definition.tools, mapping, warnings);
+  if (sandbox && !settings.has('sandbox_mode')) {
+    settings.set('sandbox_mode', sandbox);
+  }
+
+  const servers = definition['mcp-servers'] ?? definition.mcpServers;
+  return {
+    settings: Array.from(settings, ([key, value]) => `${tomlKey(key)} = ${tomlString(value)}`),
+    tables: servers === undefined ? [] : formatMcpServers(servers, warnings),
+    warnings,
+  };
+}
+
 function formatDeveloperInstructions(body) {
   const normalizedBody = (body || '').replace(/\r\n/g, '\n').trim();
   if (!normalizedBody) {
@@ -53,113 +303,69 @@ function formatDeveloperInstructions(body) {
   return `developer_instructions = """\n${escaped}\n"""`;
 }
 
-export function convertSubagentMarkdownToCodexToml(content, agentFilename) {
+function renderCodexToml(content, agentFilename, options = {}) {
   const definition = parseSubagentDefinition(content, agentFilename);
-  const outputFilename = codexTomlFilenameForAgent(agentFilename);
+  const { settings, tables, warnings } = mapFrontmatter(definition, options.mapping || codexMapping);
   const codexName = codexAgentNameForAgent(agentFilename, definition.name);
   const description = definition.description || `${humanizeAgentName(agentFilename)} custom agent`;
 
-  const toml = [
-    `${GENERATED_COMMENT_PREFIX}${agentFilename}`,
+  const text = [
     `name = "${escapeTomlBasicString(codexName)}"`,
     `description = "${escapeTomlBasicString(description)}"`,
+    ...settings,
     formatDeveloperInstructions(definition.body),
+    ...tables,
     '',
   ].join('\n');
 
-  return {
-    sourceFilename: agentFilename,
-    outputFilename,
-    name: definition.name,
-    description,
-    toml,
-  };
+  return { text, name: definition.name, description, warnings };
 }
 
-function parseGeneratedSourceFilename(tomlContent, outputFilename) {
-  const commentMatch = tomlContent.match(/^# Generated by @supercorks\/skills-installer from ([^\n]+)$/m);
-  if (commentMatch) {
-    return commentMatch[1].trim();
-  }
+/** Codex custom agents, see generated-agents.js */
+export const CODEX_TOML_FORMAT = {
+  extension: '.toml',
+  outputFilename: codexTomlFilenameForAgent,
+  render: renderCodexToml,
+  addHeader: (headerLines, text) => [...headerLines, text].join('\n'),
+};
 
-  return null;
+/**
+ * Convert a Markdown subagent into a Codex TOML agent. The header names the
+ * source file and commit and carries a hash of everything else the installer
+ * wrote, so later runs can tell hand edits from upstream changes.
+ * @param {string} content - Markdown source
+ * @param {string} agentFilename - Source .agent.md filename
+ * @param {{sourceCommit?: string, mapping?: typeof DEFAULT_CODEX_MAPPING}} [options] - Commit the source was read
+ *   from, and the frontmatter mapping (default: the configured one)
+ * @returns {{sourceFilename: string, outputFilename: string, name: string, description: string, toml: string, warnings: string[]}}
+ */
+export function convertSubagentMarkdownToCodexToml(content, agentFilename, options = {}) {
+  const { content: toml, ...converted } = convertGeneratedAgent(CODEX_TOML_FORMAT, content, agentFilename, options);
+  return { ...converted, toml };
 }
 
-function listGeneratedCodexAgentEntries(targetPath) {
-  const absolutePath = resolvePath(targetPath);
-  if (!existsSync(absolutePath)) {
-    return [];
-  }
-
-  return readdirSync(absolutePath)
-    .filter(name => name.endsWith('.toml'))
-    .map(outputFilename => {
-      const absoluteFilePath = join(absolutePath, outputFilename);
-      const content = readFileSync(absoluteFilePath, 'utf8');
-      const sourceFilename = parseGeneratedSourceFilename(content, outputFilename);
-      if (!sourceFilename) {
-        return null;
-      }
-
-      return {
-        sourceFilename,
-        outputFilename,
-        absoluteFilePath,
-        content,
-      };
-    })
-    .filter(Boolean);
-}
+export const isCodexAgentEdited = isGeneratedAgentEdited;
 
 export async function listInstalledCodexAgents(targetPath) {
-  return listGeneratedCodexAgentEntries(targetPath).map(entry => entry.sourceFilename);
+  return listInstalledGeneratedAgents(CODEX_TOML_FORMAT, targetPath);
 }
 
-export async function checkCodexAgentUpdates(targetPath, agentFilenames) {
-  const installedEntries = listGeneratedCodexAgentEntries(targetPath);
-  const bySourceFilename = new Map(installedEntries.map(entry => [entry.sourceFilename, entry]));
-  const needsUpdate = new Set();
-
-  for (const agentFilename of agentFilenames) {
-    const entry = bySourceFilename.get(agentFilename);
-    if (!entry) {
-      continue;
-    }
-
-    try {
-      const content = await fetchSubagentContent(agentFilename);
-      const converted = convertSubagentMarkdownToCodexToml(content, agentFilename);
-      if (converted.toml !== entry.content) {
-        needsUpdate.add(agentFilename);
-      }
-    } catch {
-      // Skip update markers when the remote file cannot be fetched.
-    }
-  }
-
-  return needsUpdate;
+export async function removeCodexAgents(targetPath, agentFilenames) {
+  return removeGeneratedAgents(CODEX_TOML_FORMAT, targetPath, agentFilenames);
 }
 
-export async function syncCodexAgents(targetPath, agentFilenames, onProgress = () => {}) {
-  const absolutePath = resolvePath(targetPath);
-  mkdirSync(absolutePath, { recursive: true });
-
-  const existingEntries = listGeneratedCodexAgentEntries(absolutePath);
-  const selectedSet = new Set(agentFilenames);
+export function findEditedCodexAgents(targetPath, agentFilenames) {
+  return findEditedGeneratedAgents(CODEX_TOML_FORMAT, targetPath, agentFilenames);
+}
 
-  for (const entry of existingEntries) {
-    if (!selectedSet.has(entry.sourceFilename) && existsSync(entry.absoluteFilePath)) {
-      rmSync(entry.absoluteFilePath, { force: true });
-    }
-  }
+export async function checkCodexAgentUpdates(targetPath, agentFilenames, options = {}) {
+  return checkGeneratedAgentUpdates(CODEX_TOML_FORMAT, targetPath, agentFilenames, options);
+}
 
-  for (let index = 0; index < agentFilenames.length; index += 1) {
-    const agentFilename = agentFilenames[index];
-    onProgress(`Converting ${index + 1}/${agentFilenames.length}: ${agentFilename}`);
-    const content = await fetchSubagentContent(agentFilename);
-    const converted = convertSubagentMarkdownToCodexToml(content, agentFilename);
-    writeFileSync(join(absolutePath, converted.outputFilename), converted.toml, 'utf8');
-  }
+export async function getCodexAgentChanges(targetPath, agentFilename, options = {}) {
+  return getGeneratedAgentChanges(CODEX_TOML_FORMAT, targetPath, agentFilename, options);
+}
 
-  onProgress('Done!');
-}
\ No newline at end of file
+export async function syncCodexAgents(targetPath, agentFilenames, onProgress = () => {}, options = {}) {
+  return syncGeneratedAgents(CODEX_TOML_FORMAT, targetPath, agentFilenames, onProgress, options);
+}
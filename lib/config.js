@@ -0,0 +1,304 @@
+/**
+ * Installer configuration: which repositories skills and subagents come from,
+ * how long fetched listings and metadata are cached, how subagent frontmatter
+ * maps onto Codex and Claude agent keys, and which extra harness adapters to
+ * load.
+ *
+ * Settings are read from ~/.config/skills-installer/config.json, then from
+ * .skills-installer.json in the current directory, and finally from CLI flags;
+ * later sources win.
+ *
+ * Example .skills-installer.json:
+ * {
+ *   "skillsRepo": "acme/agent-skills",
+ *   "agentsRepo": "acme/subagents",
+ *   "cacheTtl": 600,
+ *   "codexMapping": {
+ *     "models": { "sonnet": "gpt-5" },
+ *     "tools": { "webfetch": "workspace-write" }
+ *   },
+ *   "claudeMapping": {
+ *     "models": { "gpt-5": "opus" },
+ *     "tools": { "githubrepo": "WebFetch" }
+ *   },
+ *   "harnesses": ["./tools/windsurf-harness.js"]
+ * }
+ *
+ * "skillsRepo" may also be a list of repositories to install skills from
+ * several sources at once. "codexMapping" extends the tables in
+ * DEFAULT_CODEX_MAPPING (lib/codex-agents.js): "fields" and "models" map
+ * names to strings, "tools" maps tool names to a Codex sandbox mode or "inherit".
+ * "claudeMapping" extends DEFAULT_CLAUDE_MAPPING (lib/claude-agents.js) the
+ * same way: "models" and "tools" map names to Claude models and tool names.
+ * "harnesses" lists adapter modules for other assistants, see harnesses.js.
+ * Loading one runs its code, so a project's adapters are only loaded with
+ * --trust-harnesses; the user config's always are.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { homedir } from 'os';
+import { fileURLToPath } from 'url';
+import { DEFAULT_GITHUB_HOST, getGitHubHost } from './github-auth.js';
+
+export const CONFIG_FILENAME = '.skills-installer.json';
+export const DEFAULT_SKILLS_REPO = { owner: 'supercorks', name: 'agent-skills' };
+export const DEFAULT_AGENTS_REPO = { owner: 'supercorks', name: 'subagents' };
+
+const CONFIG_KEYS = ['skillsRepo', 'agentsRepo'];
+// `inherit` leaves the mode to the user's Codex config
+const SANDBOX_MODES = ['read-only', 'workspace-write', 'danger-full-access', 'inherit'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateCodexMapping(mapping, configPath) {
+  if (!isPlainObject(mapping)) {
+    throw new Error(`"codexMapping" in ${configPath} must be an object`);
+  }
+
+  for (const [table, values] of Object.entries(mapping)) {
+    if (!['fields', 'models', 'tools'].includes(table)) {
+      throw new Error(`"codexMapping.${table}" in ${configPath} is not supported; use "fields", "models" or "tools"`);
+    }
+    if (!isPlainObject(values)) {
+      throw new Error(`"codexMapping.${table}" in ${configPath} must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      if (table === 'tools' && !SANDBOX_MODES.includes(value)) {
+        throw new Error(`"codexMapping.tools.${name}" in ${configPath} must be one of ${SANDBOX_MODES.join(', ')}`);
+      }
+      if (typeof value !== 'string' || !value) {
+        throw new Error(`"codexMapping.${table}.${name}" in ${configPath} must be a string`);
+      }
+    }
+  }
+}
+
+function validateClaudeMapping(mapping, configPath) {
+  if (!isPlainObject(mapping)) {
+    throw new Error(`"claudeMapping" in ${configPath} must be an object`);
+  }
+
+  for (const [table, values] of Object.entries(mapping)) {
+    if (!['models', 'tools'].includes(table)) {
+      throw new Error(`"claudeMapping.${table}" in ${configPath} is not supported; use "models" or "tools"`);
+    }
+    if (!isPlainObject(values)) {
+      throw new Error(`"claudeMapping.${table}" in ${configPath} must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      if (typeof value !== 'string' || !value) {
+        throw new Error(`"claudeMapping.${table}.${name}" in ${configPath} must be a string`);
+      }
+    }
+  }
+}
+
+export function getUserConfigPath() {
+  return join(homedir(), '.config', 'skills-installer', 'config.json');
+}
+
+/**
+ * Parse a local checkout given as a `file://` URL or as a path starting with
+ * `/`, `./`, `../` or `~/`
+ * @param {string} spec - Repository specifier
+ * @returns {{name: string, path: string}|null}
+ */
+function parseLocalRepoSpec(spec) {
+  let path;
+  if (spec.startsWith('file://')) {
+    path = fileURLToPath(spec);
+  } else if (/^~(?:[\\/]|$)/.test(spec)) {
+    path = join(homedir(), spec.slice(1));
+  } else if (/^(?:\.{1,2}(?:[\\/]|$)|[\\/]|[a-zA-Z]:[\\/])/.test(spec)) {
+    path = spec;
+  } else {
+    return null;
+  }
+
+  path = resolve(path);
+  return { name: basename(path), path };
+}
+
+/**
+ * Parse a repository given as `owner/name`, a clone URL on github.com or the
+ * configured GitHub Enterprise host, or a local checkout (path or `file://` URL)
+ * @param {string} spec - Repository specifier
+ * @returns {{owner: string, name: string}|{name: string, path: string}}
+ */
+export function parseRepoSpec(spec) {
+  const local = parseLocalRepoSpec(String(spec).trim());
+  if (local) {
+    return local;
+  }
+
+  const hosts = Array.from(new Set([DEFAULT_GITHUB_HOST, getGitHubHost()]))
+    .map(host => host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  const match = String(spec).trim().match(new RegExp(
+    `^(?:(?:https://|ssh://git@)(?:${hosts})/|git@(?:${hosts}):)?([\\w.-]+)/([\\w.-]+?)(?:\\.git)?/?$`,
+    'i'
+  ));
+
+  if (!match) {
+    throw new Error(`Invalid repository "${spec}". Use owner/name, a GitHub URL or a local path.`);
+  }
+
+  return { owner: match[1], name: match[2] };
+}
+
+/**
+ * Check whether two repositories are the same, ignoring the URL form used
+ * @param {string} left - Repository specifier or URL
+ * @param {string} right - Repository specifier or URL
+ * @returns {boolean}
+ */
+export function isSameRepository(left, right) {
+  try {
+    return isSameRepo(parseRepoSpec(left), parseRepoSpec(right));
+  } catch {
+    return left === right;
+  }
+}
+
+function isSameRepo(a, b) {
+  if (a.path || b.path) {
+    return a.path === b.path;
+  }
+  return a.owner.toLowerCase() === b.owner.toLowerCase() && a.name.toLowerCase() === b.name.toLowerCase();
+}
+
+/**
+ * Human readable repository label: `owner/name`, or the path of a local checkout
+ * @param {{owner?: string, name: string, path?: string}} repo - Parsed repository
+ * @returns {string}
+ */
+export function describeRepo(repo) {
+  return repo.path || `${repo.owner}/${repo.name}`;
+}
+
+function isRepoList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Give every skill source a short id used for its install folder and in
+ * qualified skill names. The repository name is used unless two sources
+ * share it, in which case the owner is prefixed.
+ * @param {Array<{owner: string, name: string}>} repos - Skill repositories
+ * @returns {Array<{owner: string, name: string, id: string}>}
+ */
+function toSkillSources(repos) {
+  const unique = repos.filter((repo, index) => repos.findIndex(other => isSameRepo(other, repo)) === index);
+
+  return unique.map(repo => {
+    const sharesName = unique.some(other => other !== repo && other.name.toLowerCase() === repo.name.toLowerCase());
+    const owner = repo.path ? basename(dirname(repo.path)) : repo.owner;
+    return { ...repo, id: sharesName ? `${owner}-${repo.name}` : repo.name };
+  });
+}
+
+function readConfigFile(configPath) {
+  if (!existsSync(configPath)) {
+    return {};
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${configPath} must contain a JSON object`);
+  }
+
+  for (const key of CONFIG_KEYS) {
+    if (data[key] !== undefined && typeof data[key] !== 'string') {
+      if (key !== 'skillsRepo' || !isRepoList(data[key])) {
+        throw new Error(`"${key}" in ${configPath} must be a string like "owner/name"${key === 'skillsRepo' ? ' or a list of them' : ''}`);
+      }
+    }
+  }
+
+  if (data.cacheTtl !== undefined && !(Number.isFinite(data.cacheTtl) && data.cacheTtl >= 0)) {
+    throw new Error(`"cacheTtl" in ${configPath} must be a number of seconds, 0 or more`);
+  }
+
+  if (data.codexMapping !== undefined) {
+    validateCodexMapping(data.codexMapping, configPath);
+  }
+
+  if (data.claudeMapping !== undefined) {
+    validateClaudeMapping(data.claudeMapping, configPath);
+  }
+
+  if (data.harnesses !== undefined
+    && !(Array.isArray(data.harnesses) && data.harnesses.every(spec => typeof spec === 'string' && spec))) {
+    throw new Error(`"harnesses" in ${configPath} must be a list of adapter files or npm package names`);
+  }
+
+  return data;
+}
+
+/**
+ * Load the merged user and project configuration
+ * @param {string} [cwd] - Directory holding the project config file
+ * @returns {{
+ *   skillsRepo?: string|string[], agentsRepo?: string, cacheTtl?: number,
+ *   codexMapping?: object, claudeMapping?: object, harnesses?: string[]
+ * }}
+ */
+export function loadConfig(cwd = process.cwd()) {
+  return {
+    ...readConfigFile(getUserConfigPath()),
+    ...readConfigFile(resolve(cwd, CONFIG_FILENAME))
+  };
+}
+
+/**
+ * Harness adapter modules to load. The user config's are always loaded; a
+ * project's adapters are code from the repository, so they are only loaded
+ * when trusted.
+ * @param {boolean} [trustProject] - Load the adapters listed in the project config
+ * @param {string} [cwd] - Directory holding the project config file
+ * @returns {{specs: string[], ignored: string[]}} Adapters to load, and project adapters left out
+ */
+export function resolveHarnessSpecs(trustProject = false, cwd = process.cwd()) {
+  const userSpecs = readConfigFile(getUserConfigPath()).harnesses || [];
+  const projectSpecs = readConfigFile(resolve(cwd, CONFIG_FILENAME)).harnesses || [];
+
+  return trustProject
+    ? { specs: Array.from(new Set([...userSpecs, ...projectSpecs])), ignored: [] }
+    : { specs: userSpecs, ignored: projectSpecs.filter(spec => !userSpecs.includes(spec)) };
+}
+
+/**
+ * Resolve the skills and subagents repositories from flags and config files.
+ * `skills` is the first skills repository; `skillSources` lists all of them.
+ * `--source` sets both to the same local checkout unless overridden per kind.
+ * @param {{skillsRepo?: string|string[], agentsRepo?: string, source?: string}} [flags] - Parsed CLI options
+ * @param {string} [cwd] - Directory holding the project config file
+ * @returns {{
+ *   skills: {owner: string, name: string},
+ *   skillSources: Array<{owner: string, name: string, id: string}>,
+ *   agents: {owner: string, name: string}
+ * }}
+ */
+export function resolveRepos(flags = {}, cwd = process.cwd()) {
+  const config = loadConfig(cwd);
+  const skillsRepo = flags.skillsRepo ?? flags.source ?? config.skillsRepo;
+  const agentsRepo = flags.agentsRepo ?? flags.source ?? config.agentsRepo;
+  const skillRepos = skillsRepo ? [skillsRepo].flat().map(parseRepoSpec) : [DEFAULT_SKILLS_REPO];
+
+  return {
+    skills: skillRepos[0],
+    skillSources: toSkillSources(skillRepos),
+    agents: agentsRepo ? parseRepoSpec(agentsRepo) : DEFAULT_AGENTS_REPO
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Unified diffs of two texts, for changes that exist outside of git such as
+ * an installed Codex TOML file and its freshly converted upstream version.
+ */
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  const lines = (text || '').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Line edits turning `a` into `b`, from a longest common subsequence
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      edits.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      // Removals come before additions, as in git
+      edits.push({ type: '-', line: a[i++] });
+    } else {
+      edits.push({ type: '+', line: b[j++] });
+    }
+  }
+  return edits;
+}
+
+function formatRange(start, count) {
+  // An empty range points at the line before it, as in `diff -u`
+  return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Build a unified diff with three lines of context
+ * @param {string} oldText - Current content
+ * @param {string} newText - Incoming content
+ * @param {string} oldLabel - Name of the current file in the header
+ * @param {string} newLabel - Name of the incoming file in the header
+ * @returns {string} The diff, empty when the texts have the same lines
+ */
+export function createUnifiedDiff(oldText, newText, oldLabel, newLabel) {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = edits.map((edit, index) => (edit.type !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context would touch into one hunk
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2 + 1) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - CONTEXT_LINES);
+    const to = Math.min(edits.length, group.end + CONTEXT_LINES + 1);
+
+    // Line numbers where the hunk starts in each file
+    let oldStart = 1;
+    let newStart = 1;
+    for (const edit of edits.slice(0, from)) {
+      if (edit.type !== '+') oldStart++;
+      if (edit.type !== '-') newStart++;
+    }
+
+    const hunk = edits.slice(from, to);
+    const oldCount = hunk.filter(edit => edit.type !== '+').length;
+    const newCount = hunk.filter(edit => edit.type !== '-').length;
+    output.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+    hunk.forEach(edit => output.push(`${edit.type}${edit.line}`));
+  }
+
+  return output.join('\n');
+}
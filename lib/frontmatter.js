@@ -0,0 +1,96 @@
+/**
+ * Parse the YAML frontmatter of SKILL.md and .agent.md files.
+ *
+ * Frontmatter is a leading `---` block, or the same block wrapped in a
+ * ```skill / ```chatagent code fence at the top of the file (fenced examples
+ * further down are body text). It is read with the YAML failsafe schema,
+ * so every scalar stays a string: `version: 1.10` is "1.10", not 1.1.
+ */
+
+import { parse } from 'yaml';
+
+const STANDARD_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const FENCED_PATTERN = /^\uFEFF?(?:[ \t]*\r?\n)*```(?:skill|chatagent)[ \t]*\r?\n---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)(?:```[ \t]*(?:\r?\n|$))?/;
+
+// Fields that hold lists but are often written as "a, b" strings
+const LIST_FIELDS = ['tags', 'tools', 'harnesses'];
+
+function parseAttributes(yamlText) {
+  try {
+    const attributes = parse(yamlText || '', { schema: 'failsafe' });
+    return attributes && typeof attributes === 'object' && !Array.isArray(attributes) ? attributes : {};
+  } catch {
+    // Invalid YAML is treated like missing frontmatter
+    return {};
+  }
+}
+
+/**
+ * Split a file into its frontmatter attributes and the body after it
+ * @param {string} content - SKILL.md or .agent.md content
+ * @returns {{attributes: Record<string, any>, body: string}} Attributes are empty without frontmatter
+ */
+export function parseFrontmatter(content) {
+  const text = content || '';
+  const match = text.match(STANDARD_PATTERN) || text.match(FENCED_PATTERN);
+
+  if (!match) {
+    return { attributes: {}, body: text.trim() };
+  }
+
+  return {
+    attributes: parseAttributes(match[1]),
+    body: (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim()
+  };
+}
+
+/**
+ * Normalize a list field: YAML sequences are kept, strings are split on commas
+ * outside parentheses, so "machine learning, data science" stays two tags.
+ * `allowed-tools` is space-separated by spec and is also split on whitespace
+ * outside parentheses (`allowed-tools: Bash(git log) Read`).
+ * @param {any} value
+ * @param {boolean} [spaceSeparated=false] - Also split on whitespace
+ * @returns {string[]}
+ */
+function toList(value, spaceSeparated = false) {
+  const separator = spaceSeparated ? /\s*,\s*(?![^(]*\))|\s+(?![^(]*\))/ : /\s*,\s*(?![^(]*\))/;
+  const items = Array.isArray(value) ? value : String(value).split(separator);
+  return items
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse frontmatter into metadata. Every attribute is returned; `name` and
+ * `description` are always strings, and `tags`, `tools` (or `allowed-tools`)
+ * and `harnesses` are lists when present.
+ * @param {string} content - SKILL.md or .agent.md content
+ * @returns {{name: string, description: string, tags?: string[], version?: string, tools?: string[], model?: string, harnesses?: string[], [key: string]: any}}
+ */
+export function parseMetadata(content) {
+  const { attributes } = parseFrontmatter(content);
+  const metadata = { ...attributes };
+
+  const fromAllowedTools = metadata.tools === undefined && metadata['allowed-tools'] !== undefined;
+  if (fromAllowedTools) {
+    metadata.tools = metadata['allowed-tools'];
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (metadata[field] !== undefined) {
+      metadata[field] = toList(metadata[field], field === 'tools' && fromAllowedTools);
+    }
+  }
+
+  if (metadata.harnesses) {
+    metadata.harnesses = metadata.harnesses.map(harness => harness.toLowerCase());
+  }
+
+  return {
+    ...metadata,
+    name: typeof attributes.name === 'string' ? attributes.name.trim() : '',
+    description: typeof attributes.description === 'string' ? attributes.description.trim() : ''
+  };
+}
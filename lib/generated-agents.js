@@ -0,0 +1,336 @@
+/**
+ * Agent files the installer generates from Markdown subagent definitions,
+ * for harnesses that cannot read the `.agent.md` sources from a checkout.
+ *
+ * Each format (Codex TOML, Claude Markdown) only renders a file; this module
+ * writes, lists, updates and removes them. Generated files start with header
+ * comments naming the source file and commit, plus a hash of everything else
+ * the installer wrote, so later runs can tell hand edits from upstream changes.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { homedir } from 'os';
+import { fetchSubagentContent } from './subagents.js';
+import { createUnifiedDiff } from './diff.js';
+import { hashGitBlob, mergeFileContents } from './git.js';
+
+/**
+ * @typedef {object} AgentFormat
+ * @property {string} extension - Extension of the generated files, such as ".toml"
+ * @property {(agentFilename: string) => string} outputFilename - Generated filename of a source .agent.md file
+ * @property {(content: string, agentFilename: string, options?: object) => {text: string, name: string, description: string, warnings: string[]}} render
+ *   Convert a Markdown source into the file, without the installer's header lines
+ * @property {(headerLines: string[], text: string) => string} addHeader - Put the header lines into a rendered file
+ */
+
+const GENERATED_COMMENT_PREFIX = '# Generated by @supercorks/skills-installer from ';
+const SOURCE_COMMIT_PREFIX = '# Source commit: ';
+const CONTENT_HASH_PREFIX = '# Content hash: ';
+const METADATA_PREFIXES = [GENERATED_COMMENT_PREFIX, SOURCE_COMMIT_PREFIX, CONTENT_HASH_PREFIX];
+
+function resolvePath(path) {
+  if (path === '~') return homedir();
+  if (path.startsWith('~/')) return resolve(homedir(), path.slice(2));
+  return resolve(path);
+}
+
+/**
+ * Convert a Markdown subagent into a generated agent file
+ * @param {AgentFormat} format
+ * @param {string} content - Markdown source
+ * @param {string} agentFilename - Source .agent.md filename
+ * @param {{sourceCommit?: string}} [options] - Commit the source was read from; passed on to the format
+ * @returns {{sourceFilename: string, outputFilename: string, name: string, description: string, content: string, warnings: string[]}}
+ */
+export function convertGeneratedAgent(format, content, agentFilename, options = {}) {
+  const { text, name, description, warnings } = format.render(content, agentFilename, options);
+  const header = [
+    `${GENERATED_COMMENT_PREFIX}${agentFilename}`,
+    ...(options.sourceCommit ? [`${SOURCE_COMMIT_PREFIX}${options.sourceCommit}`] : []),
+  ];
+  const contentHash = hashGitBlob(format.addHeader(header, text));
+
+  return {
+    sourceFilename: agentFilename,
+    outputFilename: format.outputFilename(agentFilename),
+    name,
+    description,
+    content: format.addHeader([...header, `${CONTENT_HASH_PREFIX}${contentHash}`], text),
+    warnings,
+  };
+}
+
+function readHeaderValue(fileContent, prefix) {
+  const line = fileContent.split('\n').find(candidate => candidate.startsWith(prefix));
+  return line ? line.slice(prefix.length).trim() : null;
+}
+
+// The agent definition without the installer's header lines
+function stripMetadata(fileContent) {
+  return fileContent
+    .split('\n')
+    .filter(line => !METADATA_PREFIXES.some(prefix => line.startsWith(prefix)))
+    .join('\n');
+}
+
+function headerLines(fileContent) {
+  return fileContent.split('\n').filter(line => METADATA_PREFIXES.some(prefix => line.startsWith(prefix)));
+}
+
+/**
+ * Whether a generated file was edited since the installer wrote it. Files
+ * written before the header carried a content hash count as unedited.
+ * @param {string} fileContent - Installed file
+ * @returns {boolean}
+ */
+export function isGeneratedAgentEdited(fileContent) {
+  const contentHash = readHeaderValue(fileContent, CONTENT_HASH_PREFIX);
+  if (!contentHash) {
+    return false;
+  }
+
+  const unhashed = fileContent
+    .split('\n')
+    .filter(line => !line.startsWith(CONTENT_HASH_PREFIX))
+    .join('\n');
+  return hashGitBlob(unhashed) !== contentHash;
+}
+
+function listGeneratedAgentEntries(format, targetPath) {
+  const absolutePath = resolvePath(targetPath);
+  if (!existsSync(absolutePath)) {
+    return [];
+  }
+
+  return readdirSync(absolutePath)
+    .filter(name => name.endsWith(format.extension))
+    .map(outputFilename => {
+      const absoluteFilePath = join(absolutePath, outputFilename);
+      const content = readFileSync(absoluteFilePath, 'utf8');
+      const sourceFilename = readHeaderValue(content, GENERATED_COMMENT_PREFIX);
+      if (!sourceFilename) {
+        return null;
+      }
+
+      return {
+        sourceFilename,
+        outputFilename,
+        absoluteFilePath,
+        content,
+        edited: isGeneratedAgentEdited(content),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List the source agents of the installer-generated files in a directory.
+ * Files the installer did not write are ignored.
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @returns {Promise<string[]>} Source .agent.md filenames
+ */
+export async function listInstalledGeneratedAgents(format, targetPath) {
+  return listGeneratedAgentEntries(format, targetPath).map(entry => entry.sourceFilename);
+}
+
+/**
+ * Delete the generated files of the given agents
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @param {string[]} agentFilenames - Source .agent.md filenames
+ * @returns {Promise<string[]>} The agents whose files were deleted
+ */
+export async function removeGeneratedAgents(format, targetPath, agentFilenames) {
+  const selectedSet = new Set(agentFilenames);
+  const removed = [];
+
+  for (const entry of listGeneratedAgentEntries(format, targetPath)) {
+    if (selectedSet.has(entry.sourceFilename)) {
+      rmSync(entry.absoluteFilePath, { force: true });
+      removed.push(entry.sourceFilename);
+    }
+  }
+
+  return removed;
+}
+
+function fetchOptions(options, ref = options.ref) {
+  return {
+    ...(ref ? { ref } : {}),
+    ...(options.repo ? { repo: options.repo } : {})
+  };
+}
+
+/**
+ * The file the installer wrote for an edited agent, converted again from the
+ * source commit recorded in its header
+ * @returns {Promise<string|null>} null when the file records no commit
+ */
+async function fetchGeneratedBase(format, entry, options) {
+  const sourceCommit = readHeaderValue(entry.content, SOURCE_COMMIT_PREFIX);
+  if (!sourceCommit) {
+    return null;
+  }
+
+  const content = await fetchSubagentContent(entry.sourceFilename, fetchOptions(options, sourceCommit));
+  return convertGeneratedAgent(format, content, entry.sourceFilename, { sourceCommit }).content;
+}
+
+/**
+ * List installed agents whose generated file was edited by hand
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @param {string[]} agentFilenames - Installed source .agent.md filenames
+ * @returns {Array<{item: string, modified: string[]}>} Edited agents and their generated files
+ */
+export function findEditedGeneratedAgents(format, targetPath, agentFilenames) {
+  return listGeneratedAgentEntries(format, targetPath)
+    .filter(entry => entry.edited && agentFilenames.includes(entry.sourceFilename))
+    .map(entry => ({ item: entry.sourceFilename, modified: [entry.outputFilename] }));
+}
+
+/**
+ * Find agents whose upstream source converts to a different file than what
+ * was installed. Hand edits do not count: edited files are compared through
+ * the version the installer wrote, when their header records its commit.
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @param {string[]} agentFilenames - Installed source .agent.md filenames
+ * @param {{repo?: object, ref?: string}} [options] - Subagents repository and ref
+ * @returns {Promise<Set<string>>}
+ */
+export async function checkGeneratedAgentUpdates(format, targetPath, agentFilenames, options = {}) {
+  const installedEntries = listGeneratedAgentEntries(format, targetPath);
+  const bySourceFilename = new Map(installedEntries.map(entry => [entry.sourceFilename, entry]));
+  const needsUpdate = new Set();
+
+  for (const agentFilename of agentFilenames) {
+    const entry = bySourceFilename.get(agentFilename);
+    if (!entry) {
+      continue;
+    }
+
+    try {
+      const content = await fetchSubagentContent(agentFilename, fetchOptions(options));
+      const converted = convertGeneratedAgent(format, content, agentFilename);
+      const installed = (entry.edited && await fetchGeneratedBase(format, entry, options)) || entry.content;
+      if (stripMetadata(converted.content) !== stripMetadata(installed)) {
+        needsUpdate.add(agentFilename);
+      }
+    } catch {
+      // Skip update markers when the remote file cannot be fetched.
+    }
+  }
+
+  return needsUpdate;
+}
+
+/**
+ * Diff an installed agent against the file its current upstream source
+ * converts to
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @param {string} agentFilename - Source .agent.md filename
+ * @param {{repo?: object, ref?: string}} [options] - Subagents repository and ref
+ * @returns {Promise<{log: string, diff: string}>} `log` is always empty: generated files have no history
+ */
+export async function getGeneratedAgentChanges(format, targetPath, agentFilename, options = {}) {
+  const entry = listGeneratedAgentEntries(format, targetPath).find(installed => installed.sourceFilename === agentFilename);
+  const content = await fetchSubagentContent(agentFilename, fetchOptions(options));
+  const converted = convertGeneratedAgent(format, content, agentFilename);
+  const outputFilename = entry?.outputFilename || converted.outputFilename;
+
+  return {
+    log: '',
+    diff: createUnifiedDiff(entry?.content || '', converted.content, `a/${outputFilename} (installed)`, `b/${outputFilename} (upstream)`)
+  };
+}
+
+/**
+ * Write the selected agents and remove generated files of agents that are no
+ * longer selected. Files edited by hand are kept, merged three-way with the
+ * upstream changes, or overwritten, per `localChanges`.
+ * @param {AgentFormat} format
+ * @param {string} targetPath - Agents directory
+ * @param {string[]} agentFilenames - Source .agent.md filenames to install
+ * @param {(message: string) => void} [onProgress] - Progress callback, also told about conversion warnings and kept
+ *   and merged files
+ * @param {{repo?: object, ref?: string, expectedHashes?: Record<string, string>, localChanges?: 'merge'|'keep'|'discard'}} [options]
+ *   Subagents repository, ref (recorded in the header when it is a commit), locked source hashes and what to do with
+ *   edited files (default: keep)
+ * @returns {Promise<Record<string, string>>} Git blob hash of every source
+ */
+export async function syncGeneratedAgents(format, targetPath, agentFilenames, onProgress = () => {}, options = {}) {
+  const absolutePath = resolvePath(targetPath);
+  mkdirSync(absolutePath, { recursive: true });
+
+  const existingEntries = listGeneratedAgentEntries(format, absolutePath);
+  const bySourceFilename = new Map(existingEntries.map(entry => [entry.sourceFilename, entry]));
+  const sourceCommit = /^[0-9a-f]{40}$/.test(options.ref || '') ? options.ref : undefined;
+  const localChanges = options.localChanges || 'keep';
+
+  // Fetch and verify every source before touching the directory
+  const convertedAgents = [];
+  const hashes = {};
+  for (let index = 0; index < agentFilenames.length; index += 1) {
+    const agentFilename = agentFilenames[index];
+    onProgress(`Converting ${index + 1}/${agentFilenames.length}: ${agentFilename}`);
+    const content = await fetchSubagentContent(agentFilename, fetchOptions(options));
+    hashes[agentFilename] = hashGitBlob(content);
+
+    const expectedHash = options.expectedHashes?.[agentFilename];
+    if (expectedHash && expectedHash !== hashes[agentFilename]) {
+      throw new Error(`${agentFilename} does not match the locked content (expected ${expectedHash.slice(0, 7)}, got ${hashes[agentFilename].slice(0, 7)})`);
+    }
+
+    const entry = bySourceFilename.get(agentFilename);
+    const edited = Boolean(entry?.edited) && localChanges !== 'discard';
+    const converted = convertGeneratedAgent(format, content, agentFilename, { sourceCommit });
+    converted.warnings.forEach(warning => onProgress(`⚠️  ${agentFilename}: ${warning}`));
+    convertedAgents.push({
+      ...converted,
+      entry: edited ? entry : null,
+      base: edited && localChanges === 'merge' ? await fetchGeneratedBase(format, entry, options) : null,
+    });
+  }
+
+  const selectedSet = new Set(agentFilenames);
+
+  for (const entry of existingEntries) {
+    if (!selectedSet.has(entry.sourceFilename) && existsSync(entry.absoluteFilePath)) {
+      rmSync(entry.absoluteFilePath, { force: true });
+    }
+  }
+
+  for (const converted of convertedAgents) {
+    let content = converted.content;
+
+    if (converted.entry && !converted.base) {
+      onProgress(localChanges === 'merge'
+        ? `Kept local edits to ${converted.entry.outputFilename}: it records no source commit to merge from`
+        : `Kept local edits to ${converted.entry.outputFilename}`);
+      continue;
+    }
+
+    if (converted.entry) {
+      const merged = await mergeFileContents(
+        stripMetadata(converted.entry.content),
+        stripMetadata(converted.base),
+        stripMetadata(converted.content),
+        [`${converted.outputFilename} (local)`, `${converted.outputFilename} (base)`, `${converted.outputFilename} (upstream)`]
+      );
+      // The new header makes the next run compare against this upstream version
+      content = format.addHeader(headerLines(converted.content), merged.content);
+      onProgress(merged.conflicts > 0
+        ? `⚠️  Merged local edits into ${converted.outputFilename} with ${merged.conflicts} conflict${merged.conflicts !== 1 ? 's' : ''}; resolve the conflict markers`
+        : `Merged local edits into ${converted.outputFilename}`);
+    }
+
+    writeFileSync(join(absolutePath, converted.outputFilename), content, 'utf8');
+  }
+
+  onProgress('Done!');
+  return hashes;
+}
@@ -0,0 +1,229 @@
+/**
+ * Discover skills and subagents with git alone, for networks where the GitHub
+ * REST API is blocked but git over HTTPS works.
+ *
+ * Each repository is kept as a blobless, no-checkout clone in
+ * ~/.cache/skills-installer/repos/ (fetched at most once per run). Listings
+ * come from `git ls-tree` and file contents from `git cat-file`, so only the
+ * blobs that are actually read are downloaded.
+ */
+
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getGitHubCloneUrl } from './github-auth.js';
+import { getCacheDir } from './http-cache.js';
+
+// Clones already fetched by this process
+const fetchedClones = new Set();
+
+/**
+ * Run git and collect its output
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @param {string} [input] - Data written to stdin
+ * @returns {Promise<Buffer>}
+ */
+function runGit(args, cwd, input) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', args, {
+      cwd,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      // Discovery runs behind a spinner; a credential prompt would hang it
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GCM_INTERACTIVE: 'never' }
+    });
+
+    const stdout = [];
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => { stdout.push(data); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(stderr.trim() || `Git command failed with code ${code}`));
+      }
+    });
+
+    proc.on('error', reject);
+
+    if (input !== undefined) {
+      proc.stdin.end(input);
+    }
+  });
+}
+
+function getClonePath(cloneUrl, repo) {
+  const key = createHash('sha256').update(cloneUrl).digest('hex').slice(0, 12);
+  return join(getCacheDir(), 'repos', `${repo.owner}-${repo.name}-${key}`);
+}
+
+/**
+ * Clone the repository into the cache, or fetch it when already cloned
+ * @param {{owner: string, name: string}} repo - GitHub repository
+ * @returns {Promise<string>} Path of the cached clone
+ */
+async function openClone(repo) {
+  const cloneUrl = getGitHubCloneUrl(repo);
+  const clonePath = getClonePath(cloneUrl, repo);
+
+  if (!existsSync(join(clonePath, '.git'))) {
+    mkdirSync(join(clonePath, '..'), { recursive: true });
+    await runGit(['clone', '--quiet', '--filter=blob:none', '--no-checkout', cloneUrl, clonePath], getCacheDir());
+  } else if (!fetchedClones.has(clonePath)) {
+    await runGit(['fetch', '--quiet', '--prune', '--tags', 'origin'], clonePath);
+    await runGit(['remote', 'set-head', 'origin', '--auto'], clonePath);
+  }
+
+  fetchedClones.add(clonePath);
+  return clonePath;
+}
+
+/**
+ * Resolve a branch, tag or commit of the cached clone to a commit
+ * @param {string} clonePath - Cached clone
+ * @param {string} [ref] - Branch, tag or commit; the default branch when omitted
+ * @returns {Promise<string>}
+ */
+async function resolveRevision(clonePath, ref) {
+  const candidates = ref ? [`refs/remotes/origin/${ref}`, `refs/tags/${ref}`, ref] : ['refs/remotes/origin/HEAD'];
+
+  for (const candidate of candidates) {
+    try {
+      return (await runGit(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], clonePath)).toString().trim();
+    } catch {
+      // Try the next kind of ref
+    }
+  }
+
+  throw new Error(`Could not find a branch, tag or commit named "${ref || 'HEAD'}"`);
+}
+
+/**
+ * Download missing blobs in one request instead of one per file, the way git
+ * itself backfills partial clones. Failures are left to the lazy fetch of
+ * `git cat-file`.
+ */
+async function prefetchBlobs(clonePath, oids) {
+  try {
+    await runGit([
+      '-c', 'fetch.negotiationAlgorithm=noop',
+      'fetch', '--quiet', '--no-tags', '--no-write-fetch-head', '--filter=blob:none', '--stdin', 'origin'
+    ], clonePath, oids.join('\n') + '\n');
+  } catch {
+    // Not supported by the server; blobs are fetched on demand
+  }
+}
+
+/**
+ * Read blobs by object id
+ * @param {string} clonePath - Cached clone
+ * @param {string[]} oids - Blob ids
+ * @returns {Promise<Array<{content: string, size: number}>>} Contents and byte sizes in the order of `oids`
+ */
+async function readBlobs(clonePath, oids) {
+  if (oids.length === 0) {
+    return [];
+  }
+
+  const output = await runGit(['cat-file', '--batch'], clonePath, oids.join('\n') + '\n');
+  const contents = [];
+  let offset = 0;
+
+  for (const oid of oids) {
+    const headerEnd = output.indexOf('\n', offset);
+    const [, type, size] = output.subarray(offset, headerEnd).toString().split(' ');
+    if (type !== 'blob') {
+      throw new Error(`Could not read object ${oid}`);
+    }
+    const start = headerEnd + 1;
+    contents.push({ content: output.subarray(start, start + Number(size)).toString('utf-8'), size: Number(size) });
+    offset = start + Number(size) + 1;
+  }
+
+  return contents;
+}
+
+/**
+ * List the files of a repository and read the ones a caller asks for
+ * @param {{owner: string, name: string}} repo - GitHub repository
+ * @param {string} [ref] - Branch, tag or commit; the default branch when omitted
+ * @param {(path: string) => boolean} wanted - Which files to read
+ * @returns {Promise<Array<{path: string, content: string, size: number}>>} Wanted files in tree order, sizes in bytes
+ */
+export async function readRepositoryFiles(repo, ref, wanted) {
+  const clonePath = await openClone(repo);
+  const revision = await resolveRevision(clonePath, ref);
+
+  // Entries look like "<mode> blob <oid>\t<path>", NUL terminated
+  const entries = (await runGit(['ls-tree', '-r', '-z', '--full-tree', revision], clonePath))
+    .toString()
+    .split('\0')
+    .filter(Boolean)
+    .map(line => {
+      const [meta, path] = line.split('\t');
+      const [, type, oid] = meta.split(' ');
+      return { type, oid, path };
+    })
+    .filter(entry => entry.type === 'blob' && wanted(entry.path));
+
+  const oids = entries.map(entry => entry.oid);
+  await prefetchBlobs(clonePath, oids);
+  const contents = await readBlobs(clonePath, oids);
+
+  return entries.map((entry, index) => ({ path: entry.path, ...contents[index] }));
+}
+
+/**
+ * Whether an API failure means the API cannot be reached: network errors,
+ * 403s from proxies or rate limits, 429s and server errors. A 404 or 401
+ * would fail the same way over git, only slower.
+ * @param {Error & {status?: number}} error - From requestGitHub()
+ * @returns {boolean}
+ */
+function isApiUnreachable(error) {
+  const { status } = error;
+  return status === undefined || status === 403 || status === 429 || status >= 500;
+}
+
+/**
+ * Run an API request and fall back to git when the API cannot be reached.
+ * When both fail the API error is reported, since it says more about what
+ * went wrong.
+ * @template T
+ * @param {() => Promise<T>} viaApi
+ * @param {() => Promise<T>} viaGit
+ * @returns {Promise<T>}
+ */
+export async function withGitFallback(viaApi, viaGit) {
+  try {
+    return await viaApi();
+  } catch (error) {
+    if (!isApiUnreachable(error)) {
+      throw error;
+    }
+    try {
+      return await viaGit();
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Read one file of a repository
+ * @param {{owner: string, name: string}} repo - GitHub repository
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string} [ref] - Branch, tag or commit; the default branch when omitted
+ * @returns {Promise<string>}
+ */
+export async function readRepositoryFile(repo, filePath, ref) {
+  const [file] = await readRepositoryFiles(repo, ref, path => path === filePath);
+  if (!file) {
+    throw new Error(`${filePath} not found in ${repo.owner}/${repo.name}`);
+  }
+  return file.content;
+}
@@ -3,9 +3,10 @@
  */
 
 import { execSync, spawn } from 'child_process';
-import { existsSync, mkdirSync, rmSync, writeFileSync, readFileSync, appendFileSync, readdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync, readFileSync, appendFileSync, readdirSync } from 'fs';
 import { join, resolve } from 'path';
-import { homedir } from 'os';
+import { homedir, tmpdir } from 'os';
 import { getRepoUrl } from './skills.js';
 import { getSubagentsRepoUrl } from './subagents.js';
 
@@ -87,13 +88,144 @@ async function getDefaultRemoteBranch(cwd) {
   }
 }
 
+async function getCheckedOutBranch(cwd) {
+  try {
+    return await runGitCommand(['symbolic-ref', '--short', 'HEAD'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+async function getCurrentBranch(cwd) {
+  return (await getCheckedOutBranch(cwd)) || getDefaultRemoteBranch(cwd);
+}
+
+// Git config key holding the branch, tag or commit an installation is pinned to
+const PINNED_REF_KEY = 'skills-installer.ref';
+
+/**
+ * Get the branch, tag or commit an installation was pinned to with --ref
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @returns {Promise<string|null>} null when the installation follows the default branch
+ */
+export async function getPinnedRef(repoPath) {
+  try {
+    return (await runGitCommand(['config', '--get', PINNED_REF_KEY], resolvePath(repoPath))) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function verifyCommit(cwd, rev) {
+  try {
+    return await runGitCommand(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], cwd);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find out whether a ref names a branch, tag or commit of origin and which
+ * commit it points to, fetching it as needed
+ * @param {string} cwd - Repository path
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<{type: 'branch'|'tag'|'commit', commit: string}>}
+ */
+async function resolveOriginRef(cwd, ref) {
+  const candidates = [
+    { type: 'branch', refspec: `+refs/heads/${ref}:refs/remotes/origin/${ref}`, rev: `refs/remotes/origin/${ref}` },
+    { type: 'tag', refspec: `+refs/tags/${ref}:refs/tags/${ref}`, rev: `refs/tags/${ref}` }
+  ];
+
+  for (const { type, refspec, rev } of candidates) {
+    try {
+      await runGitCommand(['fetch', '--no-tags', 'origin', refspec], cwd);
+    } catch {
+      // Not a branch/tag of origin, or offline: fall back to what is already fetched
+    }
+    const commit = await verifyCommit(cwd, rev);
+    if (commit) {
+      return { type, commit };
+    }
+  }
+
+  if (/^[0-9a-f]{7,40}$/i.test(ref)) {
+    let commit = await verifyCommit(cwd, ref);
+    if (!commit) {
+      try {
+        await runGitCommand(['fetch', 'origin', ref], cwd);
+      } catch {
+        // Unknown commit, reported below
+      }
+      commit = await verifyCommit(cwd, ref);
+    }
+    if (commit) {
+      return { type: 'commit', commit };
+    }
+  }
+
+  throw new Error(`Could not find a branch, tag or commit named "${ref}" in the repository`);
+}
+
+/**
+ * Check out a pinned branch, tag or commit and remember it for later updates.
+ * Branches are checked out as a local branch tracking origin; tags and
+ * commits leave HEAD detached.
+ * @param {string} cwd - Repository path
+ * @param {string} ref - Branch, tag or commit SHA
+ * @param {string|null} commit - Exact commit of the ref to check out (locked installs)
+ */
+async function checkoutRef(cwd, ref, commit = null) {
+  let target;
+  try {
+    target = await resolveOriginRef(cwd, ref);
+  } catch (error) {
+    // A locked commit can still be installed after its tag or branch is gone
+    if (!commit) {
+      throw error;
+    }
+    target = { type: 'commit', commit };
+  }
+
+  await checkoutPinnedCommit(cwd, commit || target.commit, target.type === 'branch' ? ref : null);
+  await runGitCommand(['config', PINNED_REF_KEY, ref], cwd);
+}
+
+/**
+ * Move the checked out branch to an exact commit, fetching it first if needed
+ * @param {string} cwd - Repository path
+ * @param {string} commit - Commit SHA to check out
+ * @param {string|null} branch - Branch to reset onto the commit, or null to detach HEAD
+ */
+async function checkoutPinnedCommit(cwd, commit, branch) {
+  try {
+    await runGitCommand(['cat-file', '-e', `${commit}^{commit}`], cwd);
+  } catch {
+    await runGitCommand(['fetch', 'origin', commit], cwd);
+  }
+
+  if (!branch) {
+    await runGitCommand(['checkout', '--detach', commit], cwd);
+    return;
+  }
+
+  await runGitCommand(['checkout', '-B', branch, commit], cwd);
+
+  // Keep tracking the remote branch so later updates can pull forward
+  try {
+    await runGitCommand(['branch', `--set-upstream-to=origin/${branch}`], cwd);
+  } catch {
+    // Ignore when the remote branch does not exist
+  }
+}
+
 async function configureSparseCheckout(cwd, patterns) {
   await runGitCommand(['sparse-checkout', 'init', '--no-cone'], cwd);
   const sparseCheckoutPath = join(cwd, '.git', 'info', 'sparse-checkout');
   writeFileSync(sparseCheckoutPath, patterns + '\n');
 }
 
-async function initializeRepoInExistingDirectory(cwd, repoUrl, patterns, onProgress) {
+async function initializeRepoInExistingDirectory(cwd, repoUrl, patterns, onProgress, commit = null, ref = null) {
   onProgress('Initializing git repository in existing directory...');
   await runGitCommand(['init'], cwd);
 
@@ -112,23 +244,28 @@ async function initializeRepoInExistingDirectory(cwd, repoUrl, patterns, onProgr
   const defaultBranch = await getDefaultRemoteBranch(cwd);
 
   onProgress('Checking out files...');
-  await runGitCommand(['checkout', '-B', defaultBranch, `origin/${defaultBranch}`], cwd);
+  if (ref) {
+    await checkoutRef(cwd, ref, commit);
+  } else if (commit) {
+    await checkoutPinnedCommit(cwd, commit, defaultBranch);
+  } else {
+    await runGitCommand(['checkout', '-B', defaultBranch, `origin/${defaultBranch}`], cwd);
+  }
 }
 
 /**
- * Perform a sparse clone of the repository with only selected skills
- * This method preserves full git history and allows push capability
- * 
+ * Clone a repository with only the given sparse-checkout patterns
  * @param {string} targetPath - Where to clone the repository
- * @param {string[]} skillFolders - Array of skill folder names to include
+ * @param {string} repoUrl - Repository clone URL
+ * @param {string} patterns - Non-cone sparse-checkout patterns
  * @param {(message: string) => void} onProgress - Progress callback
+ * @param {string|null} commit - Exact commit to check out instead of the default branch
+ * @param {string|null} ref - Branch, tag or commit to follow instead of the default branch
  * @returns {Promise<void>}
  */
-export async function sparseCloneSkills(targetPath, skillFolders, onProgress = () => {}) {
-  const repoUrl = getRepoUrl();
+async function sparseCloneRepository(targetPath, repoUrl, patterns, onProgress, commit, ref) {
   const absolutePath = resolvePath(targetPath);
   const existedBefore = existsSync(absolutePath);
-  const patterns = skillFolders.map(folder => `/${folder}/`).join('\n');
   let shouldAdoptExistingDirectory = false;
   
   // Check if target already exists and has content
@@ -148,7 +285,7 @@ export async function sparseCloneSkills(targetPath, skillFolders, onProgress = (
 
   try {
     if (shouldAdoptExistingDirectory) {
-      await initializeRepoInExistingDirectory(absolutePath, repoUrl, patterns, onProgress);
+      await initializeRepoInExistingDirectory(absolutePath, repoUrl, patterns, onProgress, commit, ref);
     } else {
       // Clone with blob filter for minimal download, no checkout yet
       onProgress('Initializing sparse clone...');
@@ -167,8 +304,16 @@ export async function sparseCloneSkills(targetPath, skillFolders, onProgress = (
       await configureSparseCheckout(absolutePath, patterns);
 
       // Checkout the files
-      onProgress('Checking out files...');
-      await runGitCommand(['checkout'], absolutePath);
+      if (ref) {
+        onProgress(`Checking out ${ref}...`);
+        await checkoutRef(absolutePath, ref, commit);
+      } else if (commit) {
+        onProgress(`Checking out commit ${commit.slice(0, 7)}...`);
+        await checkoutPinnedCommit(absolutePath, commit, await getCurrentBranch(absolutePath));
+      } else {
+        onProgress('Checking out files...');
+        await runGitCommand(['checkout'], absolutePath);
+      }
     }
 
     onProgress('Done!');
@@ -185,42 +330,222 @@ export async function sparseCloneSkills(targetPath, skillFolders, onProgress = (
   }
 }
 
+async function listConflicts(cwd) {
+  return toLines(await runGitCommand(['diff', '--name-only', '--diff-filter=U'], cwd));
+}
+
+async function getStashCommit(cwd) {
+  try {
+    return await runGitCommand(['rev-parse', '--quiet', '--verify', 'refs/stash'], cwd);
+  } catch {
+    return null;
+  }
+}
+
 /**
- * Update the sparse-checkout to include exactly the specified skills
- * This replaces all existing skills with the new selection
+ * Stash uncommitted and untracked files
+ * @param {string} cwd - Repository path
+ * @param {string[]} [paths] - Only stash these modified tracked files; untracked files stay in place
+ * @returns {Promise<boolean>} Whether anything was stashed
+ */
+async function stashLocalChanges(cwd, paths = []) {
+  const before = await getStashCommit(cwd);
+  const scope = paths.length > 0 ? ['--', ...paths] : ['--include-untracked'];
+  await runGitCommand(['stash', 'push', '--quiet', '--message', 'skills-installer: local changes before update', ...scope], cwd);
+  return (await getStashCommit(cwd)) !== before;
+}
+
+/**
+ * Reapply the stash made by stashLocalChanges(). A conflicting stash is kept,
+ * and the conflicting files are reported with their conflict markers in place.
+ * @param {string} cwd - Repository path
+ */
+async function reapplyLocalChanges(cwd) {
+  try {
+    await runGitCommand(['stash', 'pop', '--quiet'], cwd);
+  } catch (error) {
+    const conflicts = await listConflicts(cwd);
+    if (conflicts.length === 0) {
+      throw new Error(`Could not reapply local changes, they are kept in "git stash list": ${error.message.trim()}`);
+    }
+    throw new Error(`Local changes conflict with the update in ${conflicts.join(', ')}. Resolve the conflict markers in ${cwd}; the changes are also kept in "git stash list"`);
+  }
+}
+
+/**
+ * Pull the checked out branch, rebasing local commits onto it. Conflicting
+ * rebases are rolled back and reported. Detached or untracked branches have
+ * nothing to pull, and a remote that cannot be reached leaves the checkout
+ * on its current commit.
+ * @param {string} cwd - Repository path
+ * @param {boolean} discardCommits - Reset onto the remote branch, dropping local commits
+ * @param {(message: string) => void} onProgress - Progress callback, also told about failed pulls
+ */
+async function pullCheckedOutBranch(cwd, discardCommits, onProgress) {
+  let upstream;
+  try {
+    upstream = await runGitCommand(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}'], cwd);
+  } catch {
+    return;
+  }
+
+  try {
+    if (discardCommits) {
+      await runGitCommand(['fetch', 'origin'], cwd);
+      await runGitCommand(['reset', '--quiet', '--hard', upstream], cwd);
+    } else {
+      await runGitCommand(['pull', '--rebase'], cwd);
+    }
+  } catch (error) {
+    const conflicts = await listConflicts(cwd);
+    if (conflicts.length === 0) {
+      onProgress(`⚠️  Could not pull ${upstream}, staying on the current commit: ${error.message.trim()}`);
+      return;
+    }
+    await runGitCommand(['rebase', '--abort'], cwd);
+    throw new Error(`Local commits conflict with upstream changes in ${conflicts.join(', ')}. Nothing was updated; rebase them onto ${upstream} or discard them`);
+  }
+}
+
+/**
+ * Items of a sparse-checkout pattern list: skill folders or agent filenames
+ * @param {string} patterns - Non-cone sparse-checkout patterns, one per line
+ * @returns {string[]}
+ */
+function patternItems(patterns) {
+  return patterns.split('\n').filter(Boolean).map(pattern => pattern.replace(/^\/|\/$/g, ''));
+}
+
+/**
+ * Replace the sparse-checkout patterns of an existing clone and bring it up to date
  * @param {string} repoPath - Path to the existing sparse-checkout repo
- * @param {string[]} skillFolders - Skill folders to include (replaces existing)
+ * @param {string} patterns - Non-cone sparse-checkout patterns (replaces existing)
  * @param {(message: string) => void} onProgress - Progress callback
+ * @param {string|null} commit - Exact commit to check out instead of pulling
+ * @param {string|null} ref - Branch, tag or commit to switch to; defaults to the pinned ref
+ * @param {'stash'|'keep'|'discard'|null} localChanges - What to do with local edits: stash and
+ *   reapply them around the update, keep the edited items as they are while the others are
+ *   updated, or discard the edits of the edited items along with unpushed commits. With null,
+ *   local edits that block the update fail it.
  * @returns {Promise<void>}
  */
-export async function updateSparseCheckout(repoPath, skillFolders, onProgress = () => {}) {
+async function updateSparseRepository(repoPath, patterns, onProgress, commit, ref, localChanges) {
   const absolutePath = resolvePath(repoPath);
   
   if (!existsSync(join(absolutePath, '.git'))) {
     throw new Error(`"${repoPath}" is not a git repository`);
   }
 
-  // Pull latest changes first
-  onProgress('Pulling latest changes...');
+  const pinnedRef = ref || await getPinnedRef(absolutePath);
+  const branch = await getCheckedOutBranch(absolutePath);
+  const sparseCheckoutPath = join(absolutePath, '.git', 'info', 'sparse-checkout');
+  const installed = existsSync(sparseCheckoutPath) ? patternItems(readFileSync(sparseCheckoutPath, 'utf-8')) : [];
+  const edited = localChanges
+    ? (await findLocalEdits(absolutePath, installed)).map(edit => edit.item)
+    : [];
+
+  if (localChanges === 'discard' && edited.length > 0) {
+    onProgress(`Discarding local changes in ${edited.join(', ')}...`);
+    await runGitCommand(['reset', '--quiet', '--', ...edited], absolutePath);
+    await discardLocalChanges(absolutePath, edited);
+    await runGitCommand(['clean', '-fdq', '--', ...edited], absolutePath);
+  }
+
+  // Kept items are set aside like stashed ones, and put back as they were after the update
+  const kept = localChanges === 'keep' ? edited : [];
+  const keptCommit = await getHeadCommit(absolutePath);
+  let stashed = false;
+  if (localChanges === 'stash') {
+    stashed = await stashLocalChanges(absolutePath);
+  } else if (kept.length > 0) {
+    // Untracked files stay where they are
+    const changed = toLines(await runGitCommand(['diff', '--name-only', 'HEAD', '--', ...kept], absolutePath));
+    stashed = changed.length > 0 && await stashLocalChanges(absolutePath, changed);
+  }
+  if (stashed) {
+    onProgress(kept.length > 0 ? `Set aside local changes in ${kept.join(', ')}` : 'Stashed local changes');
+  }
+
   try {
-    await runGitCommand(['pull'], absolutePath);
+    if (pinnedRef && (commit || pinnedRef !== branch)) {
+      // Switching refs, or following a tag or commit, which cannot be pulled
+      onProgress(commit ? `Checking out commit ${commit.slice(0, 7)}...` : `Checking out ${pinnedRef}...`);
+      await checkoutRef(absolutePath, pinnedRef, commit);
+    } else if (commit) {
+      onProgress(`Checking out commit ${commit.slice(0, 7)}...`);
+      await checkoutPinnedCommit(absolutePath, commit, branch || await getDefaultRemoteBranch(absolutePath));
+    } else {
+      onProgress('Pulling latest changes...');
+      await pullCheckedOutBranch(absolutePath, localChanges === 'discard' && edited.length > 0, onProgress);
+    }
+
+    if (ref) {
+      await runGitCommand(['config', PINNED_REF_KEY, ref], absolutePath);
+    }
+
+    // Write new patterns to sparse-checkout file (replaces existing)
+    onProgress('Updating sparse-checkout configuration...');
+    writeFileSync(sparseCheckoutPath, patterns + '\n');
+
+    // Re-apply sparse-checkout; edited files of dropped items stay on disk
+    onProgress('Applying changes...');
+    await runGitCommand(['read-tree', '-mu', 'HEAD'], absolutePath);
   } catch (error) {
-    // Ignore pull errors (e.g., no upstream configured)
+    if (stashed) {
+      // Put the edits back where they were before failing
+      await runGitCommand(['stash', 'pop', '--quiet'], absolutePath).catch(() => {});
+    }
+    throw error;
   }
 
-  // Write new patterns to sparse-checkout file (replaces existing)
-  onProgress('Updating sparse-checkout configuration...');
-  const sparseCheckoutPath = join(absolutePath, '.git', 'info', 'sparse-checkout');
-  const patterns = skillFolders.map(folder => `/${folder}/`).join('\n');
-  writeFileSync(sparseCheckoutPath, patterns + '\n');
-  
-  // Re-apply sparse-checkout
-  onProgress('Applying changes...');
-  await runGitCommand(['read-tree', '-mu', 'HEAD'], absolutePath);
+  const keptItems = kept.filter(item => patternItems(patterns).includes(item));
+  if (keptItems.length > 0) {
+    onProgress(`Keeping local changes in ${keptItems.join(', ')}...`);
+    // The stash holds the edited files; without uncommitted edits the old commit does
+    const source = stashed ? 'refs/stash' : keptCommit;
+    await runGitCommand(['restore', `--source=${source}`, '--worktree', '--', ...keptItems], absolutePath);
+  }
+  if (stashed && kept.length > 0) {
+    await runGitCommand(['stash', 'drop', '--quiet'], absolutePath);
+  } else if (stashed) {
+    onProgress('Reapplying local changes...');
+    await reapplyLocalChanges(absolutePath);
+  }
   
   onProgress('Done!');
 }
 
+/**
+ * Perform a sparse clone of the repository with only selected skills
+ * This method preserves full git history and allows push capability
+ * 
+ * @param {string} targetPath - Where to clone the repository
+ * @param {string[]} skillFolders - Array of skill folder names to include
+ * @param {(message: string) => void} onProgress - Progress callback
+ * @param {{repoUrl?: string, commit?: string, ref?: string}} [options] - Source repository, exact commit and branch/tag/commit to follow
+ * @returns {Promise<void>}
+ */
+export async function sparseCloneSkills(targetPath, skillFolders, onProgress = () => {}, options = {}) {
+  const repoUrl = options.repoUrl || getRepoUrl();
+  const patterns = skillFolders.map(folder => `/${folder}/`).join('\n');
+  await sparseCloneRepository(targetPath, repoUrl, patterns, onProgress, options.commit || null, options.ref || null);
+}
+
+/**
+ * Update the sparse-checkout to include exactly the specified skills
+ * This replaces all existing skills with the new selection
+ * @param {string} repoPath - Path to the existing sparse-checkout repo
+ * @param {string[]} skillFolders - Skill folders to include (replaces existing)
+ * @param {(message: string) => void} onProgress - Progress callback
+ * @param {{commit?: string, ref?: string, localChanges?: 'stash'|'keep'|'discard'}} [options] - Exact commit to check out instead
+ *   of pulling, branch/tag/commit to switch to, and what to do with local edits
+ * @returns {Promise<void>}
+ */
+export async function updateSparseCheckout(repoPath, skillFolders, onProgress = () => {}, options = {}) {
+  const patterns = skillFolders.map(folder => `/${folder}/`).join('\n');
+  await updateSparseRepository(repoPath, patterns, onProgress, options.commit || null, options.ref || null, options.localChanges || null);
+}
+
 /**
  * Add more skills to an existing sparse-checkout
  * @param {string} repoPath - Path to the existing sparse-checkout repo
@@ -280,6 +605,23 @@ export async function pullUpdates(repoPath) {
   return runGitCommand(['pull'], absolutePath);
 }
 
+/**
+ * The revision updates are compared against: the pinned branch or tag, or the
+ * remote branch of the checked out branch. Pinned commits never change.
+ * Expects origin to be fetched already.
+ * @param {string} cwd - Repository path
+ * @returns {Promise<string>}
+ */
+async function getUpstreamRef(cwd) {
+  const ref = await getPinnedRef(cwd);
+  if (!ref) {
+    return `origin/${await getCurrentBranch(cwd)}`;
+  }
+
+  const target = await resolveOriginRef(cwd, ref);
+  return target.type === 'branch' ? `origin/${ref}` : target.commit;
+}
+
 /**
  * Check which skills have updates available (local differs from remote)
  * @param {string} repoPath - Path to the sparse-checkout repo
@@ -297,9 +639,7 @@ export async function checkSkillsForUpdates(repoPath, skillFolders) {
   try {
     // Fetch latest from remote without modifying working tree
     await runGitCommand(['fetch', 'origin'], absolutePath);
-    
-    // Get current branch
-    const branch = await runGitCommand(['rev-parse', '--abbrev-ref', 'HEAD'], absolutePath);
+    const upstream = await getUpstreamRef(absolutePath);
     
     // For each skill, check if there are differences between local and remote
     for (const folder of skillFolders) {
@@ -307,7 +647,7 @@ export async function checkSkillsForUpdates(repoPath, skillFolders) {
         // Check if remote has changes for this folder
         const diff = await runGitCommand([
           'diff', 
-          `HEAD..origin/${branch}`,
+          `HEAD..${upstream}`,
           '--stat',
           '--',
           folder
@@ -344,9 +684,7 @@ export async function checkSubagentsForUpdates(repoPath, agentFilenames) {
   try {
     // Fetch latest from remote without modifying working tree
     await runGitCommand(['fetch', 'origin'], absolutePath);
-    
-    // Get current branch
-    const branch = await runGitCommand(['rev-parse', '--abbrev-ref', 'HEAD'], absolutePath);
+    const upstream = await getUpstreamRef(absolutePath);
     
     // For each agent, check if there are differences between local and remote
     for (const filename of agentFilenames) {
@@ -354,7 +692,7 @@ export async function checkSubagentsForUpdates(repoPath, agentFilenames) {
         // Check if remote has changes for this file
         const diff = await runGitCommand([
           'diff', 
-          `HEAD..origin/${branch}`,
+          `HEAD..${upstream}`,
           '--stat',
           '--',
           filename
@@ -374,6 +712,25 @@ export async function checkSubagentsForUpdates(repoPath, agentFilenames) {
   return needsUpdate;
 }
 
+/**
+ * Describe what an update would pull for some installed items: the upstream
+ * commits touching them and the unified diff from HEAD to the upstream ref.
+ * Expects origin to be fetched already, as checkSkillsForUpdates() does.
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @param {string[]} paths - Skill folders or agent files
+ * @returns {Promise<{upstream: string, log: string, diff: string}>} `log` has one "<sha> <subject> (<author>, <date>)" line per commit
+ */
+export async function getUpstreamChanges(repoPath, paths) {
+  const absolutePath = resolvePath(repoPath);
+  const upstream = await getUpstreamRef(absolutePath);
+  const range = `HEAD..${upstream}`;
+
+  const log = await runGitCommand(['log', '--no-color', '--format=%h %s (%an, %ar)', range, '--', ...paths], absolutePath);
+  const diff = await runGitCommand(['diff', '--no-color', '--no-ext-diff', range, '--', ...paths], absolutePath);
+
+  return { upstream, log, diff };
+}
+
 // ==================== SUBAGENTS FUNCTIONS ====================
 
 /**
@@ -382,66 +739,13 @@ export async function checkSubagentsForUpdates(repoPath, agentFilenames) {
  * @param {string} targetPath - Where to clone the repository
  * @param {string[]} agentFilenames - Array of agent filenames to include (e.g., 'Developer.agent.md')
  * @param {(message: string) => void} onProgress - Progress callback
+ * @param {{repoUrl?: string, commit?: string, ref?: string}} [options] - Source repository, exact commit and branch/tag/commit to follow
  * @returns {Promise<void>}
  */
-export async function sparseCloneSubagents(targetPath, agentFilenames, onProgress = () => {}) {
-  const repoUrl = getSubagentsRepoUrl();
-  const absolutePath = resolvePath(targetPath);
-  const existedBefore = existsSync(absolutePath);
+export async function sparseCloneSubagents(targetPath, agentFilenames, onProgress = () => {}, options = {}) {
+  const repoUrl = options.repoUrl || getSubagentsRepoUrl();
   const patterns = agentFilenames.map(filename => `/${filename}`).join('\n');
-  let shouldAdoptExistingDirectory = false;
-  
-  // Check if target already exists and has content
-  if (existedBefore) {
-    const gitDir = join(absolutePath, '.git');
-    if (existsSync(gitDir)) {
-      throw new Error(`Directory "${targetPath}" already contains a git repository. Please remove it first or choose a different path.`);
-    }
-    const entries = readdirSync(absolutePath).filter(name => name !== '.DS_Store');
-    if (entries.length > 0) {
-      shouldAdoptExistingDirectory = true;
-    }
-  }
-
-  // Create target directory
-  mkdirSync(absolutePath, { recursive: true });
-
-  try {
-    if (shouldAdoptExistingDirectory) {
-      await initializeRepoInExistingDirectory(absolutePath, repoUrl, patterns, onProgress);
-    } else {
-      // Clone with blob filter for minimal download, no checkout yet
-      onProgress('Initializing sparse clone...');
-      await runGitCommand([
-        'clone',
-        '--filter=blob:none',
-        '--no-checkout',
-        '--sparse',
-        repoUrl,
-        '.'
-      ], absolutePath);
-
-      // Use non-cone mode for precise control over what's checked out
-      onProgress('Configuring sparse-checkout...');
-      await configureSparseCheckout(absolutePath, patterns);
-
-      // Checkout the files
-      onProgress('Checking out files...');
-      await runGitCommand(['checkout'], absolutePath);
-    }
-
-    onProgress('Done!');
-  } catch (error) {
-    // Clean up on failure
-    if (!existedBefore) {
-      try {
-        rmSync(absolutePath, { recursive: true, force: true });
-      } catch {
-        // Ignore cleanup errors
-      }
-    }
-    throw error;
-  }
+  await sparseCloneRepository(targetPath, repoUrl, patterns, onProgress, options.commit || null, options.ref || null);
 }
 
 /**
@@ -449,34 +753,13 @@ export async function sparseCloneSubagents(targetPath, agentFilenames, onProgres
  * @param {string} repoPath - Path to the existing sparse-checkout repo
  * @param {string[]} agentFilenames - Agent filenames to include (replaces existing)
  * @param {(message: string) => void} onProgress - Progress callback
+ * @param {{commit?: string, ref?: string, localChanges?: 'stash'|'keep'|'discard'}} [options] - Exact commit to check out instead
+ *   of pulling, branch/tag/commit to switch to, and what to do with local edits
  * @returns {Promise<void>}
  */
-export async function updateSubagentsSparseCheckout(repoPath, agentFilenames, onProgress = () => {}) {
-  const absolutePath = resolvePath(repoPath);
-  
-  if (!existsSync(join(absolutePath, '.git'))) {
-    throw new Error(`"${repoPath}" is not a git repository`);
-  }
-
-  // Pull latest changes first
-  onProgress('Pulling latest changes...');
-  try {
-    await runGitCommand(['pull'], absolutePath);
-  } catch (error) {
-    // Ignore pull errors (e.g., no upstream configured)
-  }
-
-  // Write new patterns to sparse-checkout file (replaces existing)
-  onProgress('Updating sparse-checkout configuration...');
-  const sparseCheckoutPath = join(absolutePath, '.git', 'info', 'sparse-checkout');
+export async function updateSubagentsSparseCheckout(repoPath, agentFilenames, onProgress = () => {}, options = {}) {
   const patterns = agentFilenames.map(filename => `/${filename}`).join('\n');
-  writeFileSync(sparseCheckoutPath, patterns + '\n');
-  
-  // Re-apply sparse-checkout
-  onProgress('Applying changes...');
-  await runGitCommand(['read-tree', '-mu', 'HEAD'], absolutePath);
-  
-  onProgress('Done!');
+  await updateSparseRepository(repoPath, patterns, onProgress, options.commit || null, options.ref || null, options.localChanges || null);
 }
 
 /**
@@ -505,3 +788,254 @@ export async function listCheckedOutSubagents(repoPath) {
     .map(p => p.replace(/^\//, ''))  // Remove leading slash
     .filter(p => p && p.endsWith('.agent.md'));
 }
+
+// ==================== LOCKFILE HELPERS ====================
+
+/**
+ * Get the commit currently checked out in a repository
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string>} Full commit SHA
+ */
+export async function getHeadCommit(repoPath) {
+  return runGitCommand(['rev-parse', 'HEAD'], resolvePath(repoPath));
+}
+
+/**
+ * Get the URL of the origin remote
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string>} Remote URL, or an empty string when none is configured
+ */
+export async function getRemoteUrl(repoPath) {
+  try {
+    return await runGitCommand(['remote', 'get-url', 'origin'], resolvePath(repoPath));
+  } catch {
+    return '';
+  }
+}
+
+function toLines(output) {
+  return output.split('\n').filter(Boolean);
+}
+
+async function listModifiedFiles(cwd, paths = []) {
+  const pathArgs = paths.length > 0 ? ['--', ...paths] : [];
+  const changed = await runGitCommand(['diff', '--name-only', 'HEAD', ...pathArgs], cwd);
+  const untracked = await runGitCommand(['ls-files', '--others', '--exclude-standard', ...pathArgs], cwd);
+  return [...toLines(changed), ...toLines(untracked)];
+}
+
+/**
+ * Find local work that deleting a checkout would lose
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @param {string[]} [paths] - Limit modified files to these items
+ * @returns {Promise<{modified: string[], unpushed: number}>} Modified or untracked files and commits not on any remote branch
+ */
+export async function getLocalChanges(repoPath, paths = []) {
+  const absolutePath = resolvePath(repoPath);
+  const unpushed = await runGitCommand(['rev-list', '--count', 'HEAD', '--not', '--remotes'], absolutePath);
+
+  return {
+    modified: await listModifiedFiles(absolutePath, paths),
+    unpushed: Number(unpushed)
+  };
+}
+
+/**
+ * Find the local work in each installed item that an update could lose
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @param {string[]} items - Installed skill folders or agent filenames
+ * @returns {Promise<Array<{item: string, modified: string[], unpushed: number}>>} Items with modified or
+ *   untracked files, or with commits not on any remote branch
+ */
+export async function findLocalEdits(repoPath, items) {
+  const absolutePath = resolvePath(repoPath);
+  const edits = [];
+
+  for (const item of items) {
+    const modified = await listModifiedFiles(absolutePath, [item]);
+    const unpushed = Number(await runGitCommand(['rev-list', '--count', 'HEAD', '--not', '--remotes', '--', item], absolutePath));
+    if (modified.length > 0 || unpushed > 0) {
+      edits.push({ item, modified, unpushed });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Discard uncommitted edits to tracked files of the given items
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @param {string[]} paths - Skill folders or agent filenames
+ */
+export async function discardLocalChanges(repoPath, paths) {
+  const absolutePath = resolvePath(repoPath);
+
+  for (const path of paths) {
+    try {
+      await runGitCommand(['checkout', 'HEAD', '--', path], absolutePath);
+    } catch {
+      // Item has no tracked files at HEAD
+    }
+  }
+}
+
+/**
+ * Inspect a sparse-checkout installation: the checked out commit, the ref it
+ * is pinned to, how far it is behind upstream, which items changed upstream
+ * and which files were modified locally. Upstream fields stay null/empty when
+ * fetching fails.
+ * @param {string} repoPath - Path to the sparse-checkout repo
+ * @param {string[]} items - Installed skill folders or agent filenames
+ * @returns {Promise<{commit: string|null, ref: string|null, behind: number|null, outdated: string[], modified: string[]}>}
+ */
+export async function getInstallationStatus(repoPath, items) {
+  const absolutePath = resolvePath(repoPath);
+  const status = { commit: null, ref: null, behind: null, outdated: [], modified: [] };
+
+  try {
+    status.commit = await runGitCommand(['rev-parse', 'HEAD'], absolutePath);
+    status.ref = await getPinnedRef(absolutePath);
+    status.modified = await listModifiedFiles(absolutePath);
+  } catch {
+    return status;
+  }
+
+  try {
+    await runGitCommand(['fetch', 'origin'], absolutePath);
+    const upstream = await getUpstreamRef(absolutePath);
+    status.behind = Number(await runGitCommand(['rev-list', '--count', `HEAD..${upstream}`], absolutePath));
+
+    if (items.length > 0) {
+      const changedUpstream = toLines(await runGitCommand(['diff', '--name-only', `HEAD..${upstream}`, '--', ...items], absolutePath));
+      status.outdated = items.filter(item => changedUpstream.some(file => file === item || file.startsWith(`${item}/`)));
+    }
+  } catch {
+    // Offline or no upstream branch: report local state only
+  }
+
+  return status;
+}
+
+/**
+ * Resolve the commit a remote ref points to without cloning.
+ * Branches win over tags; annotated tags resolve to the tagged commit and
+ * full commit SHAs are returned as they are. Short SHAs are looked up in the
+ * commit history fetched into a throwaway repository (no trees or blobs).
+ * @param {string} repoUrl - Repository URL
+ * @param {string} [ref='HEAD'] - Remote branch, tag, commit SHA or HEAD to resolve
+ * @returns {Promise<string>} Full commit SHA
+ */
+export async function getRemoteHeadCommit(repoUrl, ref = 'HEAD') {
+  if (/^[0-9a-f]{40}$/i.test(ref)) {
+    return ref.toLowerCase();
+  }
+
+  const output = await runGitCommand(['ls-remote', repoUrl, ref], process.cwd());
+  const refs = new Map(toLines(output).map(line => {
+    const [commit, name] = line.split(/\s+/);
+    return [name, commit];
+  }));
+  const commit = ref === 'HEAD'
+    ? refs.get('HEAD')
+    : refs.get(`refs/heads/${ref}`) || refs.get(`refs/tags/${ref}^{}`) || refs.get(`refs/tags/${ref}`);
+  if (commit) {
+    return commit;
+  }
+
+  if (/^[0-9a-f]{7,39}$/i.test(ref)) {
+    const directory = mkdtempSync(join(tmpdir(), 'skills-installer-resolve-'));
+    try {
+      await runGitCommand(['init', '--bare', '-q'], directory);
+      await runGitCommand(['fetch', '-q', '--filter=tree:0', '--no-tags', repoUrl,
+        '+refs/heads/*:refs/heads/*', '+refs/tags/*:refs/tags/*'], directory);
+      const resolved = await verifyCommit(directory, ref);
+      if (resolved) {
+        return resolved;
+      }
+    } catch {
+      // Unreachable repository, reported below
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  throw new Error(`Could not resolve ${ref} of ${repoUrl}`);
+}
+
+/**
+ * Get the git object hash of each item (skill folder tree or agent file blob) at a commit
+ * Items that do not exist at the commit are left out.
+ * @param {string} repoPath - Path to the repository
+ * @param {string[]} items - Skill folders or agent filenames
+ * @param {string} [ref='HEAD'] - Commit to read
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function getItemHashes(repoPath, items, ref = 'HEAD') {
+  const absolutePath = resolvePath(repoPath);
+  const hashes = {};
+
+  for (const item of items) {
+    try {
+      hashes[item] = await runGitCommand(['rev-parse', `${ref}:${item}`], absolutePath);
+    } catch {
+      // Item does not exist at this commit
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Compute the git blob hash of file content, matching `git hash-object`
+ * @param {string} content - File content
+ * @returns {string}
+ */
+export function hashGitBlob(content) {
+  const buffer = Buffer.from(content, 'utf8');
+  return createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+/**
+ * Three-way merge of file contents with `git merge-file`
+ * @param {string} current - Content with local edits
+ * @param {string} base - Content both sides started from
+ * @param {string} incoming - Content with upstream changes
+ * @param {[string, string, string]} labels - Conflict marker labels of the three versions
+ * @returns {Promise<{content: string, conflicts: number}>} Merged content, with conflict markers when `conflicts` > 0
+ */
+export async function mergeFileContents(current, base, incoming, labels) {
+  const directory = mkdtempSync(join(tmpdir(), 'skills-installer-merge-'));
+  const files = [current, base, incoming].map((content, index) => {
+    const file = join(directory, String(index));
+    writeFileSync(file, content);
+    return file;
+  });
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const proc = spawn('git', ['merge-file', '-p', ...labels.flatMap(label => ['-L', label]), ...files], {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      proc.stdout.on('data', (data) => { stdout += data.toString(); });
+      proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+      // The exit code is the number of conflicts; errors are negative
+      proc.on('close', (code) => {
+        if (code >= 0 && code < 128) {
+          resolve({ content: stdout, conflicts: code });
+        } else {
+          reject(new Error(stderr || `git merge-file failed with code ${code}`));
+        }
+      });
+      proc.on('error', reject);
+    });
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
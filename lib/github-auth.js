@@ -1,21 +1,34 @@
 /**
  * Helpers for authenticated GitHub API requests.
  * Uses env tokens first, then falls back to `gh auth token` when available.
+ *
+ * GitHub Enterprise Server is selected with GH_HOST (web host, e.g.
+ * `github.acme.com`) and/or GITHUB_API_URL (e.g. `https://github.acme.com/api/v3`).
  */
 
 import { execFileSync } from 'child_process';
 
-let cachedToken = '';
-let tokenResolved = false;
+export const DEFAULT_GITHUB_HOST = 'github.com';
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+const cachedTokens = new Map();
 
 function normalizeToken(raw) {
   if (!raw || typeof raw !== 'string') return '';
   return raw.trim();
 }
 
-function readTokenFromGhCli() {
+function stripTrailingSlashes(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+function readTokenFromGhCli(host) {
+  const args = host === DEFAULT_GITHUB_HOST
+    ? ['auth', 'token']
+    : ['auth', 'token', '--hostname', host];
+
   try {
-    const token = execFileSync('gh', ['auth', 'token'], {
+    const token = execFileSync('gh', args, {
       encoding: 'utf-8',
       stdio: ['ignore', 'pipe', 'ignore']
     });
@@ -26,22 +39,91 @@ function readTokenFromGhCli() {
 }
 
 /**
- * Returns a GitHub token if available.
- * Resolution order: GITHUB_TOKEN -> GH_TOKEN -> gh auth token.
- * Value is cached for process lifetime.
+ * Web host of the GitHub instance in use.
+ * Resolution order: GH_HOST -> host of GITHUB_API_URL -> github.com.
+ * @returns {string}
+ */
+export function getGitHubHost() {
+  const host = normalizeToken(process.env.GH_HOST);
+  if (host) {
+    return stripTrailingSlashes(host.replace(/^https?:\/\//, '')).toLowerCase();
+  }
+
+  const apiUrl = normalizeToken(process.env.GITHUB_API_URL);
+  if (apiUrl) {
+    try {
+      const { hostname } = new URL(apiUrl);
+      return hostname === 'api.github.com' ? DEFAULT_GITHUB_HOST : hostname.toLowerCase();
+    } catch {
+      throw new Error(`Invalid GITHUB_API_URL "${apiUrl}"`);
+    }
+  }
+
+  return DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * Base URL of the GitHub REST API.
+ * Resolution order: GITHUB_API_URL -> `https://<GH_HOST>/api/v3` -> https://api.github.com.
+ * @returns {string}
+ */
+export function getGitHubApiUrl() {
+  const apiUrl = normalizeToken(process.env.GITHUB_API_URL);
+  if (apiUrl) {
+    return stripTrailingSlashes(apiUrl);
+  }
+
+  const host = getGitHubHost();
+  return host === DEFAULT_GITHUB_HOST ? DEFAULT_GITHUB_API_URL : `https://${host}/api/v3`;
+}
+
+/**
+ * HTTPS clone URL of a repository on the GitHub instance in use
+ * @param {{owner: string, name: string}} repo - Repository
+ * @returns {string}
+ */
+export function getGitHubCloneUrl(repo) {
+  return `https://${getGitHubHost()}/${repo.owner}/${repo.name}.git`;
+}
+
+/**
+ * URL of a raw file on the GitHub instance in use. Raw downloads do not
+ * count against the REST API rate limit.
+ * @param {{owner: string, name: string}} repo - Repository
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} filePath - Path relative to the repository root
+ * @returns {string}
+ */
+export function getGitHubRawUrl(repo, ref, filePath) {
+  const host = getGitHubHost();
+  const base = host === DEFAULT_GITHUB_HOST
+    ? 'https://raw.githubusercontent.com'
+    : `https://${host}/raw`;
+  return `${base}/${repo.owner}/${repo.name}/${ref}/${filePath}`;
+}
+
+/**
+ * Returns a GitHub token for the host in use if available.
+ * Resolution order for github.com: GITHUB_TOKEN -> GH_TOKEN -> gh auth token.
+ * Enterprise hosts, like gh, never receive github.com tokens:
+ * GH_ENTERPRISE_TOKEN -> GITHUB_ENTERPRISE_TOKEN -> gh auth token --hostname <host>.
+ * Value is cached per host for process lifetime.
  * @returns {string}
  */
 export function getGitHubAuthToken() {
-  if (tokenResolved) return cachedToken;
+  const host = getGitHubHost();
+  if (cachedTokens.has(host)) return cachedTokens.get(host);
 
-  tokenResolved = true;
-  cachedToken =
-    normalizeToken(process.env.GITHUB_TOKEN) ||
-    normalizeToken(process.env.GH_TOKEN) ||
-    readTokenFromGhCli() ||
+  const envTokens = host === DEFAULT_GITHUB_HOST
+    ? [process.env.GITHUB_TOKEN, process.env.GH_TOKEN]
+    : [process.env.GH_ENTERPRISE_TOKEN, process.env.GITHUB_ENTERPRISE_TOKEN];
+  const token =
+    envTokens.map(normalizeToken).find(Boolean) ||
+    readTokenFromGhCli(host) ||
     '';
 
-  return cachedToken;
+  cachedTokens.set(host, token);
+  return token;
 }
 
 /**
@@ -67,6 +149,5 @@ export function getGitHubHeaders(userAgent = '@supercorks/skills-installer') {
  * Test-only cache reset helper.
  */
 export function __resetGitHubAuthCacheForTests() {
-  cachedToken = '';
-  tokenResolved = false;
+  cachedTokens.clear();
 }
@@ -0,0 +1,130 @@
+/**
+ * Shared GitHub client for REST API requests and raw file downloads.
+ *
+ * Requests are authenticated, go through the response cache, and are retried
+ * with exponential backoff on network errors, 5xx answers and rate limits that
+ * lift within a minute. Longer rate limits fail with a message that says when
+ * the limit resets and how to authenticate.
+ */
+
+import { DEFAULT_GITHUB_HOST, getGitHubAuthToken, getGitHubHeaders, getGitHubHost } from './github-auth.js';
+import { cachedFetch } from './http-cache.js';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+// Longest rate limit wait (Retry-After or reset) worth sitting through
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+let sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getHeader(response, name) {
+  return response.headers?.get?.(name) ?? null;
+}
+
+/**
+ * How long a rate limited response asks to wait
+ * @param {{status: number, headers?: Headers}} response
+ * @returns {number|null} Milliseconds, or null when the response is not rate limited
+ */
+function getRateLimitWait(response) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = getHeader(response, 'retry-after');
+  if (retryAfter !== null && /^\d+$/.test(retryAfter.trim())) {
+    return Number(retryAfter) * 1000;
+  }
+
+  if (getHeader(response, 'x-ratelimit-remaining') === '0') {
+    const reset = Number(getHeader(response, 'x-ratelimit-reset'));
+    return reset > 0 ? Math.max(0, reset * 1000 - Date.now()) : Infinity;
+  }
+
+  // A 403 without rate limit headers is a permission problem
+  return response.status === 429 ? BASE_DELAY_MS : null;
+}
+
+function getAuthHint() {
+  const host = getGitHubHost();
+  return host === DEFAULT_GITHUB_HOST
+    ? 'Set GITHUB_TOKEN or run "gh auth login" to raise the limit.'
+    : `Set GH_ENTERPRISE_TOKEN or run "gh auth login --hostname ${host}" to raise the limit.`;
+}
+
+function createRateLimitError(response, what) {
+  const limit = getHeader(response, 'x-ratelimit-limit');
+  const reset = Number(getHeader(response, 'x-ratelimit-reset'));
+  const parts = [`GitHub API rate limit exceeded while fetching ${what}${limit ? ` (${limit} requests per hour)` : ''}.`];
+
+  if (reset > 0) {
+    const resetsAt = new Date(reset * 1000);
+    const minutes = Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 60000));
+    parts.push(`It resets at ${resetsAt.toLocaleTimeString()} (in ${minutes} minute${minutes !== 1 ? 's' : ''}).`);
+  } else {
+    parts.push('Try again later.');
+  }
+
+  if (!getGitHubAuthToken()) {
+    parts.push(getAuthHint());
+  }
+
+  return Object.assign(new Error(parts.join(' ')), { status: response.status });
+}
+
+function getBackoff(attempt) {
+  return BASE_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * GET a GitHub API or raw file URL, retrying transient failures
+ * @param {string} url - Request URL
+ * @param {string} what - What is fetched, for error messages (e.g. "skills list")
+ * @returns {Promise<{ok: true, status: number, text: () => Promise<string>, json: () => Promise<any>}>}
+ * @throws {Error} When the request keeps failing, is rate limited or answers with a non-OK status; HTTP failures
+ *   carry the response `status`
+ */
+export async function requestGitHub(url, what) {
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < MAX_RETRIES;
+
+    let response;
+    try {
+      response = await cachedFetch(url, { headers: getGitHubHeaders() });
+    } catch (error) {
+      if (canRetry) {
+        await sleep(getBackoff(attempt));
+        continue;
+      }
+      throw new Error(`Failed to fetch ${what}: ${error.message}`);
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    const rateLimitWait = getRateLimitWait(response);
+    if (rateLimitWait !== null) {
+      if (canRetry && rateLimitWait <= MAX_RATE_LIMIT_WAIT_MS) {
+        await sleep(Math.max(rateLimitWait, getBackoff(attempt)));
+        continue;
+      }
+      throw createRateLimitError(response, what);
+    }
+
+    if (response.status >= 500 && canRetry) {
+      await sleep(getBackoff(attempt));
+      continue;
+    }
+
+    throw Object.assign(new Error(`Failed to fetch ${what}: ${response.status} ${response.statusText}`), { status: response.status });
+  }
+}
+
+/**
+ * Test-only hook to skip real backoff delays.
+ * @param {(ms: number) => Promise<void>} fn
+ */
+export function __setSleepForTests(fn) {
+  sleep = fn;
+}
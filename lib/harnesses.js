@@ -0,0 +1,254 @@
+/**
+ * Harness adapters: where an AI assistant reads skills and agents, and how
+ * agents are installed for it.
+ *
+ * Copilot, Claude and Codex are built in. Other assistants are supported by
+ * registering more adapters, either with registerHarness() or by listing
+ * modules under "harnesses" in the user config or .skills-installer.json (the
+ * latter only load with --trust-harnesses):
+ *
+ * {
+ *   "harnesses": ["./tools/windsurf-harness.js", "skills-installer-harness-cursor"]
+ * }
+ *
+ * Paths starting with `./`, `../`, `/` or `~/` are files; anything else is an
+ * npm package, resolved from the current directory first. A module's default
+ * export is one adapter or a list of them.
+ */
+
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { CODEX_TOML_FORMAT } from './codex-agents.js';
+import { CLAUDE_MD_FORMAT } from './claude-agents.js';
+import { checkGeneratedAgentUpdates, listInstalledGeneratedAgents } from './generated-agents.js';
+
+/**
+ * @typedef {object} HarnessTarget
+ * @property {string} path - Install path ending in `/`; `~/` for the home directory
+ * @property {string} scope - "global" or "local"; legacy targets use "legacy global" or "legacy local"
+ * @property {string} [harness] - Label shown next to the path (default: the adapter id)
+ */
+
+/**
+ * @typedef {object} HarnessAdapter
+ * @property {string} id - Unique name, shown next to the harness paths
+ * @property {HarnessTarget[]} [skillTargets] - Skill paths offered for new installs
+ * @property {HarnessTarget[]} [agentTargets] - Agent paths offered for new installs
+ * @property {HarnessTarget[]} [legacySkillTargets] - Skill paths still detected, but no longer offered
+ * @property {HarnessTarget[]} [legacyAgentTargets] - Agent paths still detected, but no longer offered
+ * @property {string} [agentInstallMode] - "sparse-git" (default) checks out the `.agent.md` sources; any other
+ *   name generates the agent files with `agentFormat`
+ * @property {import('./generated-agents.js').AgentFormat} [agentFormat] - How generated agent files are named and
+ *   converted; `addHeader` defaults to putting the header lines first
+ * @property {(path: string) => boolean} [detect] - Whether a custom agents path belongs to the harness (default:
+ *   it ends like one of `agentTargets`)
+ * @property {(absolutePath: string) => Promise<string[]>} [listInstalledAgents] - Installed source .agent.md
+ *   filenames of a generated target (default: files carrying the installer's source marker)
+ * @property {(absolutePath: string, agentFilenames: string[], options: {repo?: object, ref?: string}) => Promise<Set<string>>} [checkAgentUpdates]
+ *   Agents of a generated target whose upstream source changed (default: compare against a fresh conversion)
+ */
+
+export const BUILTIN_HARNESSES = [
+  {
+    id: 'copilot',
+    skillTargets: [
+      { path: '~/.agents/skills/', harness: 'copilot/codex', scope: 'global' },
+      { path: '.agents/skills/', harness: 'copilot/codex', scope: 'local' }
+    ],
+    agentTargets: [
+      { path: '~/.agents/agents/', scope: 'global' },
+      { path: '.agents/agents/', scope: 'local' }
+    ],
+    legacySkillTargets: [
+      { path: '.github/skills/', scope: 'legacy local' },
+      { path: '~/.copilot/skills/', scope: 'legacy global' }
+    ],
+    legacyAgentTargets: [
+      { path: '.github/agents/', scope: 'legacy local' },
+      { path: '~/.copilot/agents/', scope: 'legacy global' }
+    ]
+  },
+  {
+    id: 'claude',
+    skillTargets: [
+      { path: '~/.claude/skills/', scope: 'global' },
+      { path: '.claude/skills/', scope: 'local' }
+    ],
+    agentTargets: [
+      { path: '~/.claude/agents/', scope: 'global' },
+      { path: '.claude/agents/', scope: 'local' }
+    ],
+    agentInstallMode: 'claude-md',
+    agentFormat: CLAUDE_MD_FORMAT
+  },
+  {
+    id: 'codex',
+    agentTargets: [
+      { path: '~/.codex/agents/', scope: 'global' },
+      { path: '.codex/agents/', scope: 'local' }
+    ],
+    legacySkillTargets: [
+      { path: '~/.codex/skills/', scope: 'legacy global' }
+    ],
+    agentInstallMode: 'codex-toml',
+    agentFormat: CODEX_TOML_FORMAT
+  }
+];
+
+const TARGET_LISTS = ['skillTargets', 'agentTargets', 'legacySkillTargets', 'legacyAgentTargets'];
+
+let harnesses = [];
+
+function normalizePath(path) {
+  return path.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+function validateTargets(id, key, targets) {
+  if (!Array.isArray(targets)) {
+    throw new Error(`Harness adapter "${id}": "${key}" must be a list of targets`);
+  }
+  for (const target of targets) {
+    if (typeof target?.path !== 'string' || !target.path.endsWith('/') || typeof target.scope !== 'string') {
+      throw new Error(`Harness adapter "${id}": every entry of "${key}" needs a "path" ending in "/" and a "scope"`);
+    }
+  }
+}
+
+function validateAdapter(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+    throw new Error('Harness adapters need an "id"');
+  }
+
+  const { id } = adapter;
+  if (harnesses.some(harness => harness.id === id)) {
+    throw new Error(`Harness adapter "${id}" is already registered`);
+  }
+  for (const key of TARGET_LISTS) {
+    if (adapter[key] !== undefined) {
+      validateTargets(id, key, adapter[key]);
+    }
+  }
+
+  const installMode = adapter.agentInstallMode || 'sparse-git';
+  if (installMode === 'sparse-git') {
+    return;
+  }
+  if (harnesses.some(harness => harness.agentInstallMode === installMode)) {
+    throw new Error(`Harness adapter "${id}": install mode "${installMode}" belongs to another adapter`);
+  }
+  const format = adapter.agentFormat;
+  if (typeof format?.extension !== 'string' || typeof format.outputFilename !== 'function' || typeof format.render !== 'function') {
+    throw new Error(`Harness adapter "${id}": install mode "${installMode}" needs an "agentFormat" with "extension", "outputFilename" and "render"`);
+  }
+}
+
+/**
+ * Add a harness after the registered ones, filling in the defaults
+ * @param {HarnessAdapter} adapter
+ * @returns {HarnessAdapter} The adapter as registered
+ */
+export function registerHarness(adapter) {
+  validateAdapter(adapter);
+
+  const agentInstallMode = adapter.agentInstallMode || 'sparse-git';
+  const suffixes = (adapter.agentTargets || []).map(target => normalizePath(target.path).replace(/^~\//, ''));
+  const registered = {
+    ...adapter,
+    ...Object.fromEntries(TARGET_LISTS.map(key => [key, adapter[key] || []])),
+    detect: adapter.detect || ((path) => {
+      const normalizedPath = normalizePath(path);
+      return suffixes.some(suffix => normalizedPath === suffix || normalizedPath.endsWith(`/${suffix}`));
+    }),
+    agentInstallMode
+  };
+
+  if (agentInstallMode !== 'sparse-git') {
+    const format = {
+      addHeader: (headerLines, text) => [...headerLines, text].join('\n'),
+      ...adapter.agentFormat
+    };
+    registered.agentFormat = format;
+    registered.listInstalledAgents ??= (absolutePath) => listInstalledGeneratedAgents(format, absolutePath);
+    registered.checkAgentUpdates ??= (absolutePath, agentFilenames, options) => checkGeneratedAgentUpdates(format, absolutePath, agentFilenames, options);
+  }
+
+  harnesses.push(registered);
+  return registered;
+}
+
+/**
+ * Forget every registered harness except the built-in ones
+ */
+export function resetHarnesses() {
+  harnesses = [];
+  BUILTIN_HARNESSES.forEach(registerHarness);
+}
+
+resetHarnesses();
+
+/**
+ * @returns {HarnessAdapter[]} Registered harnesses, built-in ones first
+ */
+export function listHarnesses() {
+  return [...harnesses];
+}
+
+/**
+ * The harness that generates agents in the given install mode
+ * @param {string} installMode - From getAgentInstallMode()
+ * @returns {HarnessAdapter|null} null for sparse checkouts
+ */
+export function getAgentHarness(installMode) {
+  if (installMode === 'sparse-git') {
+    return null;
+  }
+  return harnesses.find(harness => harness.agentInstallMode === installMode) || null;
+}
+
+function resolveModulePath(spec, cwd) {
+  if (/^~(?:[\\/]|$)/.test(spec)) {
+    return join(homedir(), spec.slice(1));
+  }
+  if (/^(?:\.{1,2}[\\/]|[\\/]|[a-zA-Z]:[\\/])/.test(spec)) {
+    return resolve(cwd, spec);
+  }
+
+  // Packages installed in the project come first, then the installer's own
+  try {
+    return createRequire(join(cwd, 'package.json')).resolve(spec);
+  } catch {
+    return createRequire(import.meta.url).resolve(spec);
+  }
+}
+
+/**
+ * Import and register the adapters of the "harnesses" config key
+ * @param {string[]} [specs] - Adapter files or npm package names
+ * @param {string} [cwd] - Directory relative paths and project packages are resolved from
+ * @returns {Promise<HarnessAdapter[]>} The adapters that were registered
+ */
+export async function loadHarnesses(specs = [], cwd = process.cwd()) {
+  const loaded = [];
+
+  for (const spec of specs) {
+    let exported;
+    try {
+      const modulePath = resolveModulePath(spec, cwd);
+      if (!existsSync(modulePath)) {
+        throw new Error(`${modulePath} does not exist`);
+      }
+      exported = (await import(pathToFileURL(modulePath).href)).default;
+    } catch (error) {
+      throw new Error(`Could not load harness adapter "${spec}": ${error.message}`);
+    }
+
+    for (const adapter of [exported].flat()) {
+      loaded.push(registerHarness(adapter));
+    }
+  }
+
+  return loaded;
+}
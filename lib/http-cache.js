@@ -0,0 +1,143 @@
+/**
+ * Persistent cache for GitHub API and raw file responses.
+ *
+ * Entries live in ~/.cache/skills-installer/http/ (or $XDG_CACHE_HOME), one
+ * JSON file per request URL and credential: the URL identifies the host,
+ * repository, ref and path, and a hash of the Authorization header keeps
+ * responses fetched with a token away from runs without it or with another
+ * token. Entries younger than the TTL are served without a request; older ones
+ * are revalidated with If-None-Match, and a 304 answer does not count against
+ * the GitHub rate limit. When the network is down the cached copy is used.
+ *
+ * The cache is off until configureCache() enables it, so library callers and
+ * tests always hit the network.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+// Seconds a cached response is used without revalidating it
+export const DEFAULT_CACHE_TTL = 600;
+
+const settings = {
+  enabled: false,
+  ttl: DEFAULT_CACHE_TTL,
+  refresh: false,
+  dir: null
+};
+
+export function getCacheDir() {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'skills-installer');
+}
+
+/**
+ * Enable or tune the response cache for the rest of the process
+ * @param {{enabled?: boolean, ttl?: number, refresh?: boolean, dir?: string}} options -
+ *   `ttl` in seconds; `refresh` revalidates every entry regardless of its age
+ */
+export function configureCache(options) {
+  Object.assign(settings, options);
+}
+
+/**
+ * Identify the credential a request is sent with, without keeping the token
+ * @param {Record<string, string>} [headers] - Request headers
+ * @returns {string} Hash of the Authorization header, or '' when anonymous
+ */
+function getAuthIdentity(headers = {}) {
+  const name = Object.keys(headers).find(header => header.toLowerCase() === 'authorization');
+  return name ? createHash('sha256').update(headers[name]).digest('hex') : '';
+}
+
+function getEntryPath(url, identity) {
+  const key = createHash('sha256').update(identity ? `${identity}\n${url}` : url).digest('hex');
+  return join(settings.dir || getCacheDir(), 'http', `${key}.json`);
+}
+
+function readEntry(url, identity) {
+  const entryPath = getEntryPath(url, identity);
+  if (!existsSync(entryPath)) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(readFileSync(entryPath, 'utf-8'));
+    return entry.url === url && typeof entry.body === 'string' ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeEntry(url, identity, etag, body) {
+  const entryPath = getEntryPath(url, identity);
+  try {
+    mkdirSync(join(entryPath, '..'), { recursive: true });
+    // Write then rename so concurrent runs never read half an entry
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify({ url, etag, fetchedAt: Date.now(), body }));
+    renameSync(tempPath, entryPath);
+  } catch {
+    // An unwritable cache only costs the next run a request
+  }
+}
+
+function toResponse(body) {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * fetch() through the response cache. Resolves with a response-like object;
+ * non-OK responses are returned as is and never cached.
+ * @param {string} url - Request URL
+ * @param {{headers?: Record<string, string>}} [init] - Request options
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, text: () => Promise<string>, json: () => Promise<any>}>}
+ */
+export async function cachedFetch(url, init = {}) {
+  if (!settings.enabled) {
+    return fetch(url, init);
+  }
+
+  const identity = getAuthIdentity(init.headers);
+  const entry = readEntry(url, identity);
+  if (entry && !settings.refresh && Date.now() - entry.fetchedAt < settings.ttl * 1000) {
+    return toResponse(entry.body);
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      headers: { ...init.headers, ...(entry?.etag ? { 'If-None-Match': entry.etag } : {}) }
+    });
+  } catch (error) {
+    if (entry) {
+      return toResponse(entry.body);
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && entry) {
+    writeEntry(url, identity, entry.etag, entry.body);
+    return toResponse(entry.body);
+  }
+
+  if (response.status >= 500 && entry) {
+    return toResponse(entry.body);
+  }
+
+  if (!response.ok) {
+    return response;
+  }
+
+  const body = await response.text();
+  writeEntry(url, identity, response.headers.get('etag'), body);
+  return toResponse(body);
+}
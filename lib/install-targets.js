@@ -1,60 +1,41 @@
 /**
- * Supported install targets for skills and agents.
+ * Supported install targets for skills and agents, gathered from the
+ * registered harness adapters (see harnesses.js).
  */
 
-export const SKILL_INSTALL_TARGETS = [
-  { path: '~/.agents/skills/', harness: 'copilot/codex', scope: 'global' },
-  { path: '~/.claude/skills/', harness: 'claude', scope: 'global' },
-  { path: '.agents/skills/', harness: 'copilot/codex', scope: 'local' },
-  { path: '.claude/skills/', harness: 'claude', scope: 'local' }
-];
-
-export const LEGACY_SKILL_INSTALL_TARGETS = [
-  {
-    path: '.github/skills/',
-    harness: 'copilot',
-    scope: 'legacy local'
-  },
-  {
-    path: '~/.copilot/skills/',
-    harness: 'copilot',
-    scope: 'legacy global'
-  },
-  {
-    path: '~/.codex/skills/',
-    harness: 'codex',
-    scope: 'legacy global'
-  }
-];
-
-export const AGENT_INSTALL_TARGETS = [
-  { path: '~/.agents/agents/', harness: 'copilot', scope: 'global', installMode: 'sparse-git' },
-  { path: '~/.claude/agents/', harness: 'claude', scope: 'global', installMode: 'sparse-git' },
-  { path: '~/.codex/agents/', harness: 'codex', scope: 'global', installMode: 'codex-toml' },
-  { path: '.agents/agents/', harness: 'copilot', scope: 'local', installMode: 'sparse-git' },
-  { path: '.claude/agents/', harness: 'claude', scope: 'local', installMode: 'sparse-git' },
-  { path: '.codex/agents/', harness: 'codex', scope: 'local', installMode: 'codex-toml' }
-];
-
-export const LEGACY_AGENT_INSTALL_TARGETS = [
-  {
-    path: '.github/agents/',
-    harness: 'copilot',
-    scope: 'legacy local'
-  },
-  {
-    path: '~/.copilot/agents/',
-    harness: 'copilot',
-    scope: 'legacy global'
-  }
-];
+import { listHarnesses } from './harnesses.js';
+
+// Targets of every harness in registration order, labelled with it
+function collectTargets(key, withInstallMode = false) {
+  return listHarnesses().flatMap(harness => harness[key].map(target => ({
+    ...target,
+    harness: target.harness || harness.id,
+    ...(withInstallMode ? { installMode: harness.agentInstallMode } : {})
+  })));
+}
+
+export function skillInstallTargets() {
+  return orderTargetsGlobalFirst(collectTargets('skillTargets'));
+}
+
+export function legacySkillInstallTargets() {
+  return collectTargets('legacySkillTargets');
+}
+
+export function agentInstallTargets() {
+  return orderTargetsGlobalFirst(collectTargets('agentTargets', true));
+}
+
+export function legacyAgentInstallTargets() {
+  return collectTargets('legacyAgentTargets');
+}
 
 export function allSkillDetectionTargets() {
-  return [...SKILL_INSTALL_TARGETS, ...LEGACY_SKILL_INSTALL_TARGETS];
+  return [...skillInstallTargets(), ...legacySkillInstallTargets()];
 }
 
 export function allAgentDetectionTargets() {
-  return [...AGENT_INSTALL_TARGETS, ...LEGACY_AGENT_INSTALL_TARGETS];
+  return [...agentInstallTargets(), ...legacyAgentInstallTargets()];
 }
 
 export function orderTargetsGlobalFirst(targets) {
@@ -70,18 +51,22 @@ export function orderTargetsGlobalFirst(targets) {
   });
 }
 
+/**
+ * How agents are installed at a path: as a sparse checkout of the `.agent.md`
+ * sources, or as files generated from them for harnesses that need their own
+ * format (Codex TOML, Claude Markdown). Custom paths are matched against each
+ * harness's `detect()`.
+ * @param {string} path - Install path
+ * @returns {string} "sparse-git", or the install mode of a harness adapter such as "codex-toml" or "claude-md"
+ */
 export function getAgentInstallMode(path) {
-  const exactTarget = getTargetByPath(AGENT_INSTALL_TARGETS, path);
-  if (exactTarget?.installMode) {
+  const exactTarget = getTargetByPath(agentInstallTargets(), path);
+  if (exactTarget) {
     return exactTarget.installMode;
   }
 
-  const normalizedPath = path.replace(/\\/g, '/').replace(/\/+$/, '');
-  if (normalizedPath.endsWith('/.codex/agents') || normalizedPath === '.codex/agents' || normalizedPath === '~/.codex/agents') {
-    return 'codex-toml';
-  }
-
-  return 'sparse-git';
+  const harness = listHarnesses().find(candidate => candidate.agentInstallMode !== 'sparse-git' && candidate.detect(path));
+  return harness ? harness.agentInstallMode : 'sparse-git';
 }
 
 export function getTargetByPath(targets, path) {
@@ -0,0 +1,153 @@
+/**
+ * Read skills and subagents from a repository checkout on disk instead of the
+ * GitHub API, for offline and air-gapped installs.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Check whether a repository is a local checkout
+ * @param {{path?: string}} [repo] - Repository from parseRepoSpec()
+ * @returns {boolean}
+ */
+export function isLocalRepo(repo) {
+  return Boolean(repo?.path);
+}
+
+function assertSourceExists(repoPath) {
+  if (!existsSync(repoPath)) {
+    throw new Error(`Local source "${repoPath}" does not exist`);
+  }
+}
+
+function runLocalGit(repoPath, args) {
+  return execFileSync('git', args, {
+    cwd: repoPath,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * List the top-level entries of a local checkout, skipping dot entries. With a
+ * ref the committed tree is listed through git, otherwise the folder on disk.
+ * @param {string} repoPath - Checkout directory
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Array<{name: string, isDirectory: () => boolean, isFile: () => boolean}>} Dirent-like entries
+ */
+export function listLocalEntries(repoPath, ref) {
+  assertSourceExists(repoPath);
+
+  let entries;
+  if (ref) {
+    let output;
+    try {
+      output = runLocalGit(repoPath, ['ls-tree', '-z', ref]);
+    } catch (error) {
+      throw new Error(`Could not list ${ref} in ${repoPath}: ${error.stderr?.trim() || error.message}`);
+    }
+    // Entries look like "<mode> <type> <oid>\t<name>", NUL terminated
+    entries = output
+      .split('\0')
+      .filter(Boolean)
+      .map(line => {
+        const [meta, name] = line.split('\t');
+        const type = meta.split(' ')[1];
+        return { name, isDirectory: () => type === 'tree', isFile: () => type === 'blob' };
+      });
+  } else {
+    entries = readdirSync(repoPath, { withFileTypes: true });
+  }
+
+  return entries
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a file exists in a local checkout, at a ref when one is given
+ * @param {string} repoPath - Checkout directory
+ * @param {string} filePath - Path relative to the checkout root
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {boolean}
+ */
+export function localFileExists(repoPath, filePath, ref) {
+  if (!ref) {
+    return existsSync(join(repoPath, filePath));
+  }
+
+  try {
+    runLocalGit(repoPath, ['cat-file', '-e', `${ref}:${filePath}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a file from a local checkout. With a ref the committed version is read
+ * through git, otherwise the file on disk.
+ * @param {string} repoPath - Checkout directory
+ * @param {string} filePath - Path relative to the checkout root
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {string}
+ */
+export function readLocalFile(repoPath, filePath, ref) {
+  assertSourceExists(repoPath);
+
+  if (ref) {
+    try {
+      return runLocalGit(repoPath, ['show', `${ref}:${filePath}`]);
+    } catch (error) {
+      throw new Error(`Could not read ${filePath} at ${ref} from ${repoPath}: ${error.stderr?.trim() || error.message}`);
+    }
+  }
+
+  const absolutePath = join(repoPath, filePath);
+  if (!existsSync(absolutePath)) {
+    throw new Error(`${filePath} not found in ${repoPath}`);
+  }
+  return readFileSync(absolutePath, 'utf-8');
+}
+
+/**
+ * List the files under a folder of a local checkout with their sizes. With a
+ * ref the committed tree is listed through git, otherwise the folder on disk.
+ * @param {string} repoPath - Checkout directory
+ * @param {string} folder - Folder relative to the checkout root
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Array<{path: string, size: number}>} Paths relative to the folder, sizes in bytes
+ */
+export function listLocalFiles(repoPath, folder, ref) {
+  assertSourceExists(repoPath);
+
+  if (ref) {
+    // Entries look like "<mode> blob <oid> <size>\t<path>", NUL terminated
+    const output = runLocalGit(repoPath, ['ls-tree', '-r', '-l', '-z', ref, '--', `${folder}/`]);
+    return output
+      .split('\0')
+      .filter(Boolean)
+      .map(line => {
+        const [meta, path] = line.split('\t');
+        return { path: path.slice(folder.length + 1), size: Number(meta.trim().split(/\s+/)[3]) || 0 };
+      });
+  }
+
+  const files = [];
+  const walk = (relativeDir) => {
+    const entries = readdirSync(join(repoPath, folder, relativeDir), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (entry.isFile()) {
+        files.push({ path: relativePath, size: statSync(join(repoPath, folder, relativePath)).size });
+      }
+    }
+  };
+  walk('');
+  return files;
+}
@@ -0,0 +1,146 @@
+/**
+ * Lockfile pinning the exact upstream commit of every installation.
+ *
+ * Each target records the repository it was installed from, the branch, tag
+ * or commit it follows when pinned with `--ref`, the commit that is checked
+ * out and a git object hash per item (skill folder tree or agent file blob)
+ * so `install --frozen` can reproduce and verify it.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+
+export const LOCKFILE_FILENAME = 'skills-lock.json';
+const LOCKFILE_VERSION = 1;
+const LOCK_SECTIONS = ['skills', 'agents'];
+
+function normalizeTargetPath(path) {
+  return path.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+function toEntry(entry) {
+  return {
+    repository: entry.repository,
+    ...(entry.ref ? { ref: entry.ref } : {}),
+    commit: entry.commit,
+    items: { ...entry.items }
+  };
+}
+
+function validateEntry(entry, section, path, lockfilePath) {
+  const isValid = entry
+    && typeof entry === 'object'
+    && typeof entry.repository === 'string'
+    && (entry.ref === undefined || (typeof entry.ref === 'string' && entry.ref !== ''))
+    && /^[0-9a-f]{40}$/.test(entry.commit || '')
+    && entry.items
+    && typeof entry.items === 'object'
+    && Object.values(entry.items).every(hash => typeof hash === 'string');
+
+  if (!isValid) {
+    throw new Error(`Invalid "${section}" entry "${path}" in ${lockfilePath}`);
+  }
+}
+
+/**
+ * Read the lockfile, returning an empty lock when it does not exist yet
+ * @param {string} [lockfilePath] - Lockfile path, relative to cwd
+ * @param {string} [cwd] - Directory relative paths are resolved from
+ * @returns {{path: string, exists: boolean, skills: Record<string, object>, agents: Record<string, object>}}
+ */
+export function readLockfile(lockfilePath = LOCKFILE_FILENAME, cwd = process.cwd()) {
+  const absolutePath = resolve(cwd, lockfilePath);
+  const lockfile = { path: absolutePath, exists: false, skills: {}, agents: {} };
+
+  if (!existsSync(absolutePath)) {
+    return lockfile;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(absolutePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${lockfilePath}: ${error.message}`);
+  }
+
+  if (data?.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`Unsupported ${lockfilePath} version: ${data?.lockfileVersion}`);
+  }
+
+  for (const section of LOCK_SECTIONS) {
+    for (const [path, entry] of Object.entries(data[section] || {})) {
+      validateEntry(entry, section, path, lockfilePath);
+      lockfile[section][path] = toEntry(entry);
+    }
+  }
+
+  lockfile.exists = true;
+  return lockfile;
+}
+
+/**
+ * Write the lockfile to disk
+ * @param {{path: string, skills: Record<string, object>, agents: Record<string, object>}} lockfile
+ */
+export function writeLockfile(lockfile) {
+  const data = { lockfileVersion: LOCKFILE_VERSION };
+  for (const section of LOCK_SECTIONS) {
+    data[section] = lockfile[section];
+  }
+
+  writeFileSync(lockfile.path, JSON.stringify(data, null, 2) + '\n');
+  lockfile.exists = true;
+}
+
+/**
+ * Find the lock entry for a target path
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {'skills'|'agents'} section
+ * @param {string} targetPath - Install path as entered by the user
+ * @returns {{path: string, repository: string, ref?: string, commit: string, items: Record<string, string>}|null}
+ */
+export function getLockEntry(lockfile, section, targetPath) {
+  const normalizedPath = normalizeTargetPath(targetPath);
+  const path = Object.keys(lockfile[section]).find(key => normalizeTargetPath(key) === normalizedPath);
+  return path ? { path, ...lockfile[section][path] } : null;
+}
+
+/**
+ * Record the installed state of a target path, replacing any previous entry
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {'skills'|'agents'} section
+ * @param {string} targetPath - Install path as entered by the user
+ * @param {{repository: string, ref?: string, commit: string, items: Record<string, string>}} entry
+ */
+export function setLockEntry(lockfile, section, targetPath, entry) {
+  const existing = getLockEntry(lockfile, section, targetPath);
+  const path = existing?.path || targetPath;
+  lockfile[section][path] = toEntry(entry);
+}
+
+/**
+ * Remove the lock entry of a target path
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {'skills'|'agents'} section
+ * @param {string} targetPath - Install path as entered by the user
+ * @returns {boolean} Whether an entry was removed
+ */
+export function removeLockEntry(lockfile, section, targetPath) {
+  const existing = getLockEntry(lockfile, section, targetPath);
+  if (!existing) {
+    return false;
+  }
+
+  delete lockfile[section][existing.path];
+  return true;
+}
+
+/**
+ * List every locked target of a section
+ * @param {object} lockfile - Lockfile from readLockfile()
+ * @param {'skills'|'agents'} section
+ * @returns {Array<{path: string, repository: string, ref?: string, commit: string, items: Record<string, string>}>}
+ */
+export function listLockEntries(lockfile, section) {
+  return Object.entries(lockfile[section]).map(([path, entry]) => ({ path, ...entry }));
+}
@@ -0,0 +1,76 @@
+/**
+ * Declarative project manifest listing which skills and subagents each
+ * install path should contain. Used by `skills-installer sync`.
+ *
+ * Example skills.json:
+ * {
+ *   "skills": { ".claude/skills/": ["address-pr-comments"] },
+ *   "agents": { ".claude/agents/": ["Developer.agent.md"] },
+ *   "gitignore": true
+ * }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+
+export const MANIFEST_FILENAME = 'skills.json';
+
+function normalizeSection(section, sectionName, manifestPath) {
+  if (section === undefined) {
+    return [];
+  }
+
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`"${sectionName}" in ${manifestPath} must map install paths to lists of items`);
+  }
+
+  return Object.entries(section).map(([path, items]) => {
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string' || !item.trim())) {
+      throw new Error(`"${sectionName}" entry "${path}" in ${manifestPath} must be a list of item names`);
+    }
+    if (items.length === 0) {
+      throw new Error(`"${sectionName}" entry "${path}" in ${manifestPath} lists no items`);
+    }
+
+    return {
+      path,
+      items: Array.from(new Set(items.map(item => item.trim())))
+    };
+  });
+}
+
+/**
+ * Read and validate a project manifest
+ * @param {string} [manifestPath] - Manifest path, relative to cwd
+ * @param {string} [cwd] - Directory relative paths are resolved from
+ * @returns {{path: string, skills: Array<{path: string, items: string[]}>, agents: Array<{path: string, items: string[]}>, gitignore?: boolean}}
+ */
+export function readManifest(manifestPath = MANIFEST_FILENAME, cwd = process.cwd()) {
+  const absolutePath = resolve(cwd, manifestPath);
+
+  if (!existsSync(absolutePath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(absolutePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${manifestPath}: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${manifestPath} must contain a JSON object`);
+  }
+
+  if (data.gitignore !== undefined && typeof data.gitignore !== 'boolean') {
+    throw new Error(`"gitignore" in ${manifestPath} must be true or false`);
+  }
+
+  return {
+    path: absolutePath,
+    skills: normalizeSection(data.skills, 'skills', manifestPath),
+    agents: normalizeSection(data.agents, 'agents', manifestPath),
+    gitignore: data.gitignore
+  };
+}
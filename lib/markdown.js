@@ -0,0 +1,182 @@
+/**
+ * Render Markdown as terminal lines for the picker preview.
+ *
+ * Covers what SKILL.md and .agent.md files use: frontmatter, headings,
+ * emphasis, inline code, links, lists, quotes, rules, tables and fenced code.
+ * Prose is word-wrapped to the terminal width; code and tables are cut off
+ * instead, so their layout survives.
+ */
+
+const BOLD = ['\x1B[1m', '\x1B[22m'];
+const ITALIC = ['\x1B[3m', '\x1B[23m'];
+const UNDERLINE = ['\x1B[4m', '\x1B[24m'];
+const DIM = ['\x1B[2m', '\x1B[22m'];
+const CYAN = ['\x1B[36m', '\x1B[39m'];
+const RESET = '\x1B[0m';
+
+const style = ([open, close], text) => `${open}${text}${close}`;
+
+/**
+ * Visible length of a line, ignoring ANSI escapes
+ * @param {string} text
+ * @returns {number}
+ */
+export function visibleLength(text) {
+  return text.replace(/\x1B\[[0-9;]*m/g, '').length;
+}
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text;
+}
+
+/**
+ * Apply inline formatting. Code spans are styled first and left alone by the
+ * other rules; underscores only count at word boundaries so snake_case stays.
+ */
+function renderInline(text) {
+  return text
+    .split(/(`[^`]+`)/)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        return style(CYAN, part.slice(1, -1));
+      }
+      return part
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, (_, alt) => style(DIM, `[image: ${alt}]`))
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, label, url) => `${style(UNDERLINE, label)} ${style(DIM, `(${url})`)}`)
+        .replace(/\*\*([^*]+)\*\*|\b__([^_]+)__\b/g, (_, a, b) => style(BOLD, a ?? b))
+        .replace(/\*([^*\s][^*]*)\*|\b_([^_\s][^_]*)_\b/g, (_, a, b) => style(ITALIC, a ?? b));
+    })
+    .join('');
+}
+
+/**
+ * Word-wrap formatted text
+ * @param {string} text - Text, possibly with ANSI escapes
+ * @param {number} width - Columns available for the first line
+ * @param {string} [indent] - Prefix of continuation lines
+ * @returns {string[]}
+ */
+function wrap(text, width, indent = '') {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/ +/).filter(Boolean)) {
+    const limit = lines.length === 0 ? width : width - indent.length;
+    if (line && visibleLength(line) + 1 + visibleLength(word) > limit) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+  return lines.map((wrapped, index) => (index === 0 ? wrapped : `${indent}${wrapped}`));
+}
+
+/**
+ * Render Markdown to terminal lines
+ * @param {string} markdown - Markdown source
+ * @param {number} [width] - Terminal columns
+ * @returns {string[]} Lines without trailing newlines, each ending with a style reset
+ */
+export function renderMarkdown(markdown, width = 80) {
+  const source = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const out = [];
+  let paragraph = [];
+  let index = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      out.push(...wrap(renderInline(paragraph.join(' ')), width));
+      paragraph = [];
+    }
+  };
+  const pushBlank = () => {
+    if (out.length > 0 && out[out.length - 1] !== '') {
+      out.push('');
+    }
+  };
+
+  // Frontmatter is shown as is, dimmed
+  if (source[0]?.trim() === '---') {
+    const end = source.indexOf('---', 1);
+    if (end > 0) {
+      source.slice(0, end + 1).forEach(line => out.push(style(DIM, truncate(line, width))));
+      out.push('');
+      index = end + 1;
+    }
+  }
+
+  for (; index < source.length; index++) {
+    const line = source[index];
+    const trimmed = line.trim();
+
+    const fence = trimmed.match(/^(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      const language = trimmed.slice(3).trim();
+      if (language) {
+        out.push(style(DIM, `  ${language}`));
+      }
+      for (index++; index < source.length && !source[index].trim().startsWith(fence[1]); index++) {
+        out.push(`  ${style(CYAN, truncate(source[index], width - 2))}`);
+      }
+      continue;
+    }
+
+    if (!trimmed) {
+      flushParagraph();
+      pushBlank();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      pushBlank();
+      const text = renderInline(heading[2].replace(/\s+#+$/, ''));
+      out.push(...wrap(heading[1].length <= 2 ? style(UNDERLINE, style(BOLD, text)) : style(BOLD, text), width));
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      out.push(style(DIM, '─'.repeat(Math.min(width, 60))));
+      continue;
+    }
+
+    if (trimmed.startsWith('|')) {
+      flushParagraph();
+      out.push(truncate(trimmed, width));
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      const prefix = style(DIM, '│ ');
+      wrap(renderInline(quote[1]), width - 2).forEach(wrapped => out.push(`${prefix}${wrapped}`));
+      continue;
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const indent = ' '.repeat(Math.min(item[1].length, 8));
+      const bullet = /\d/.test(item[2]) ? item[2] : '•';
+      const task = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+      const text = task ? `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}` : item[3];
+      const hanging = `${indent}${' '.repeat(bullet.length + 1)}`;
+      out.push(...wrap(`${indent}${bullet} ${renderInline(text)}`, width, hanging));
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+  while (out[out.length - 1] === '') {
+    out.pop();
+  }
+
+  return out.map(line => (line ? `${line}${RESET}` : line));
+}
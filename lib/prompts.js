@@ -5,14 +5,15 @@
 import inquirer from 'inquirer';
 import * as readline from 'readline';
 import {
-  AGENT_INSTALL_TARGETS,
-  SKILL_INSTALL_TARGETS,
+  agentInstallTargets,
   allAgentDetectionTargets,
   allSkillDetectionTargets,
   formatTargetLabel,
   getTargetByPath,
-  orderTargetsGlobalFirst
+  orderTargetsGlobalFirst,
+  skillInstallTargets
 } from './install-targets.js';
+import { renderMarkdown } from './markdown.js';
 
 const SKILL_PATH_CHOICES = {
   CUSTOM: '__custom__'
@@ -22,6 +23,9 @@ const AGENT_PATH_CHOICES = {
   CUSTOM: '__custom__'
 };
 
+// Placeholder description of items whose metadata is loaded on expand
+const LAZY_DESCRIPTION = 'Press right arrow to load description';
+
 /**
  * Extract the first sentence from a description
  * @param {string} text - Full description text
@@ -29,7 +33,7 @@ const AGENT_PATH_CHOICES = {
  * @returns {string}
  */
 function getFirstSentence(text, maxLength = 60) {
-  if (!text) return '';
+  if (!text || maxLength < 4) return '';
   // Match first sentence (ends with . ! or ?)
   const match = text.match(/^[^.!?]+[.!?]/);
   const sentence = match ? match[0].trim() : text;
@@ -37,6 +41,70 @@ function getFirstSentence(text, maxLength = 60) {
   return sentence.slice(0, maxLength - 3) + '...';
 }
 
+/**
+ * Count the terminal rows lines take up once long lines wrap
+ * @param {string[]} lines - Lines without trailing newlines
+ * @param {number} columns - Terminal width
+ * @returns {number}
+ */
+function countRows(lines, columns) {
+  return lines.reduce((rows, line) => {
+    const length = line.replace(/\x1B\[[0-9;]*m/g, '').length;
+    return rows + Math.max(1, Math.ceil(length / columns));
+  }, 0);
+}
+
+/**
+ * Format a file size for the preview file list
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Lines of the upstream changes view: the commits, then the colored diff.
+ * Lines are cut at the terminal width so the view never wraps.
+ * @param {{log: string, diff: string}} changes
+ * @param {number} columns - Terminal width
+ * @returns {string[]}
+ */
+function formatChangeLines({ log, diff }, columns) {
+  const cut = (line) => (line.length > columns ? `${line.slice(0, columns - 1)}…` : line);
+  const lines = [];
+
+  const commits = (log || '').split('\n').filter(Boolean);
+  if (commits.length > 0) {
+    lines.push(`Commits (${commits.length}):`);
+    commits.forEach(commit => lines.push(cut(`  ${commit}`)));
+    lines.push('─'.repeat(Math.min(columns, 60)));
+  }
+
+  if (!diff) {
+    lines.push('No differences in the installed files');
+    return lines;
+  }
+
+  for (const line of diff.split('\n')) {
+    const text = cut(line);
+    if (/^(diff --git|index |--- |\+\+\+ )/.test(line)) {
+      lines.push(`\x1B[1m${text}\x1B[0m`);
+    } else if (line.startsWith('@@')) {
+      lines.push(`\x1B[36m${text}\x1B[0m`);
+    } else if (line.startsWith('+')) {
+      lines.push(`\x1B[32m${text}\x1B[0m`);
+    } else if (line.startsWith('-')) {
+      lines.push(`\x1B[31m${text}\x1B[0m`);
+    } else {
+      lines.push(text);
+    }
+  }
+  return lines;
+}
+
 /**
  * Prompt user to select what to install
  * @returns {Promise<{skills: boolean, subagents: boolean}>}
@@ -71,9 +139,10 @@ export async function promptInstallPath(existingInstalls = [], availableSkillCou
   const choices = [];
   const detectionTargets = allSkillDetectionTargets();
   const existingByPath = new Map(existingInstalls.map(install => [install.path, install]));
-  const standardPaths = new Set(SKILL_INSTALL_TARGETS.map(target => target.path));
+  const installTargets = skillInstallTargets();
+  const standardPaths = new Set(installTargets.map(target => target.path));
   
-  orderTargetsGlobalFirst(SKILL_INSTALL_TARGETS).forEach(target => {
+  installTargets.forEach(target => {
     const install = existingByPath.get(target.path);
     choices.push({
       name: install
@@ -162,9 +231,10 @@ export async function promptAgentInstallPath(existingInstalls = [], availableAge
   const choices = [];
   const detectionTargets = allAgentDetectionTargets();
   const existingByPath = new Map(existingInstalls.map(install => [install.path, install]));
-  const standardPaths = new Set(AGENT_INSTALL_TARGETS.map(target => target.path));
+  const installTargets = agentInstallTargets();
+  const standardPaths = new Set(installTargets.map(target => target.path));
   
-  orderTargetsGlobalFirst(AGENT_INSTALL_TARGETS).forEach(target => {
+  installTargets.forEach(target => {
     const install = existingByPath.get(target.path);
     choices.push({
       name: install
@@ -262,21 +332,56 @@ export async function promptGitignore(installPath) {
   return shouldIgnore;
 }
 
+/**
+ * Prompt user what an update does with local edits to installed items
+ * @param {string} installPath - The installation holding the edits
+ * @param {'sparse-git'|'codex-toml'|'claude-md'} [installMode] - Checkouts stash edits, generated agent files merge them
+ * @returns {Promise<'stash'|'merge'|'keep'|'discard'>}
+ */
+export async function promptLocalChanges(installPath, installMode = 'sparse-git') {
+  const choices = installMode !== 'sparse-git'
+    ? [
+      { name: 'Merge the upstream changes into them (three-way, conflicts are marked)', value: 'merge' },
+      { name: 'Keep the edited files as they are', value: 'keep' },
+      { name: 'Overwrite them with the upstream version', value: 'discard' }
+    ]
+    : [
+      { name: 'Stash them, update, then reapply them (conflicts are reported)', value: 'stash' },
+      { name: 'Keep the edited items as they are and update the others', value: 'keep' },
+      { name: 'Discard them, including unpushed commits, and take upstream', value: 'discard' }
+    ];
+
+  const { localChanges } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'localChanges',
+      message: `What should the update do with the local changes in "${installPath}"?`,
+      choices
+    }
+  ]);
+
+  return localChanges;
+}
+
 /**
  * Prompt user to select skills to install with expand/collapse support
- * @param {Array<{name: string, description: string, folder: string}>} skills - Available skills
+ * @param {Array<{name: string, description: string, folder: string, source?: string}>} skills - Available skills, grouped by source when there are several
  * @param {string[]} installedSkills - Already installed skill folder names (will be pre-selected)
  * @param {Set<string>} skillsNeedingUpdate - Skill folder names that have updates available
  * @param {(skillFolder: string) => Promise<{name?: string, description?: string}>} metadataLoader - Lazy metadata loader
+ * @param {(skillFolder: string) => Promise<{content: string, files?: Array<{path: string, size: number}>}>} [previewLoader] - Loads the SKILL.md preview
+ * @param {(skillFolder: string) => Promise<{log: string, diff: string}>} [changesLoader] - Loads the upstream changes of skills needing an update
  * @returns {Promise<string[]>} Selected skill folder names
  */
-export async function promptSkillSelection(skills, installedSkills = [], skillsNeedingUpdate = new Set(), metadataLoader = null) {
+export async function promptSkillSelection(skills, installedSkills = [], skillsNeedingUpdate = new Set(), metadataLoader = null, previewLoader = null, changesLoader = null) {
   return promptItemSelection(
-    skills.map(s => ({ id: s.folder, name: s.name, description: s.description })),
+    skills.map(s => ({ id: s.folder, name: s.name, description: s.description, group: s.source })),
     installedSkills,
     '📦 Available Skills',
     skillsNeedingUpdate,
-    metadataLoader
+    metadataLoader,
+    previewLoader,
+    changesLoader
   );
 }
 
@@ -286,28 +391,54 @@ export async function promptSkillSelection(skills, installedSkills = [], skillsN
  * @param {string[]} installedSubagents - Already installed subagent filenames (will be pre-selected)
  * @param {Set<string>} subagentsNeedingUpdate - Subagent filenames that have updates available
  * @param {(agentFilename: string) => Promise<{name?: string, description?: string}>} metadataLoader - Lazy metadata loader
+ * @param {(agentFilename: string) => Promise<{content: string, files?: Array<{path: string, size: number}>}>} [previewLoader] - Loads the agent preview
+ * @param {(agentFilename: string) => Promise<{log: string, diff: string}>} [changesLoader] - Loads the upstream changes of agents needing an update
  * @returns {Promise<string[]>} Selected subagent filenames
  */
-export async function promptSubagentSelection(subagents, installedSubagents = [], subagentsNeedingUpdate = new Set(), metadataLoader = null) {
+export async function promptSubagentSelection(subagents, installedSubagents = [], subagentsNeedingUpdate = new Set(), metadataLoader = null, previewLoader = null, changesLoader = null) {
   return promptItemSelection(
     subagents.map(s => ({ id: s.filename, name: s.name, description: s.description })),
     installedSubagents,
     '🤖 Available Subagents',
     subagentsNeedingUpdate,
-    metadataLoader
+    metadataLoader,
+    previewLoader,
+    changesLoader
   );
 }
 
 /**
- * Generic item selection prompt with expand/collapse support
- * @param {Array<{id: string, name: string, description: string}>} items - Available items
+ * Check whether an item matches a picker filter. Descriptions only count once
+ * they are loaded, so the lazy-load placeholder never matches.
+ * @param {{id: string, name: string, description: string}} item - Picker item
+ * @param {string} query - Filter text, matched case-insensitively
+ * @param {boolean} descriptionLoaded - Whether the item description is real
+ * @returns {boolean}
+ */
+function matchesFilter(item, query, descriptionLoaded) {
+  const needle = query.toLowerCase();
+  const haystacks = [item.name, item.id, descriptionLoaded ? item.description : ''];
+  return haystacks.some(text => (text || '').toLowerCase().includes(needle));
+}
+
+/**
+ * Generic item selection prompt with expand/collapse support.
+ * Items with different `group` values are listed under a header per group.
+ * `/` filters the list by name, id and loaded description; selections of
+ * items hidden by the filter are kept. `P` opens a scrollable preview of the
+ * item's Markdown and `D` what an update would pull.
+ * @param {Array<{id: string, name: string, description: string, group?: string}>} items - Available items
  * @param {string[]} installedItems - Already installed item IDs (will be pre-selected)
  * @param {string} title - Title to display
  * @param {Set<string>} itemsNeedingUpdate - Item IDs that have updates available
  * @param {(itemId: string) => Promise<{name?: string, description?: string}>} metadataLoader - Lazy metadata loader
+ * @param {(itemId: string) => Promise<{content: string, files?: Array<{path: string, size: number}>}>} [previewLoader] - Loads the full
+ *   Markdown shown by `P`, with the files of the item
+ * @param {(itemId: string) => Promise<{log: string, diff: string}>} [changesLoader] - Loads the upstream commits and
+ *   diff shown by `D` for items needing an update
  * @returns {Promise<string[]>} Selected item IDs
  */
-function promptItemSelection(items, installedItems = [], title = '📦 Available Items', itemsNeedingUpdate = new Set(), metadataLoader = null) {
+function promptItemSelection(items, installedItems = [], title = '📦 Available Items', itemsNeedingUpdate = new Set(), metadataLoader = null, previewLoader = null, changesLoader = null) {
   return new Promise((resolve, reject) => {
     const rl = readline.createInterface({
       input: process.stdin,
@@ -326,19 +457,67 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
       ? new Set(installedItems) 
       : new Set(items.map(item => item.id));
     const expanded = new Set();
-    const metadataCache = new Set();
+    // Items listed with their metadata need no lazy load
+    const metadataCache = new Set(
+      items.filter(item => item.description && item.description !== LAZY_DESCRIPTION).map(item => item.id)
+    );
     const metadataLoading = new Set();
+    // Active filter text, and whether keys are typed into it
+    let filter = '';
+    let editingFilter = false;
+    // Last filter, kept for n/N after the filter is cleared
+    let lastQuery = '';
+
+    const isMatch = (item, query) => matchesFilter(item, query, metadataCache.has(item.id));
+    const getVisibleItems = () => (filter ? items.filter(item => isMatch(item, filter)) : items);
+    let visible = items;
+
+    // Recompute the visible items, keeping the cursor on the same item when it is still listed
+    const applyFilter = (keepCurrent = true) => {
+      const currentId = visible[cursor]?.id;
+      visible = getVisibleItems();
+      const index = keepCurrent ? visible.findIndex(item => item.id === currentId) : -1;
+      cursor = index >= 0 ? index : 0;
+    };
 
-    const render = () => {
-      // Clear screen and move to top
-      process.stdout.write('\x1B[2J\x1B[H');
-      
-      console.log(`\n${title}`);
-      console.log('─'.repeat(60));
-      console.log('↑↓ navigate  SPACE toggle  → expand/load  ← collapse  A all  ENTER confirm\n');
-      console.log('Select items to install:\n');
+    const jumpToMatch = (step) => {
+      if (visible.length === 0 || !lastQuery) return;
+      for (let offset = 1; offset <= visible.length; offset++) {
+        const index = ((cursor + step * offset) % visible.length + visible.length) % visible.length;
+        if (isMatch(visible[index], lastQuery)) {
+          cursor = index;
+          return;
+        }
+      }
+    };
+
+    // Open preview, and loaded previews by "<kind>:<item id>" ({content, files}, {log, diff} or {error})
+    let preview = null;
+    const previews = new Map();
+
+    // First list line shown when the list is taller than the terminal
+    let scrollTop = 0;
+    // Items that fit in the viewport, for PageUp/PageDown
+    let pageSize = 1;
+
+    // Build the list lines, one terminal row each, with the line range of every item
+    const buildListLines = (columns) => {
+      const lines = [];
+      const ranges = [];
+      const isGrouped = new Set(items.map(item => item.group)).size > 1;
+      const reset = '\x1B[0m';
+
+      if (visible.length === 0) {
+        lines.push(`  No items match "${filter}"`);
+      }
+
+      visible.forEach((item, i) => {
+        const start = lines.length;
+        if (isGrouped && (i === 0 || visible[i - 1].group !== item.group)) {
+          if (i > 0) lines.push('');
+          lines.push(`── ${item.group} ──`);
+        }
 
-      items.forEach((item, i) => {
         const isSelected = selected.has(item.id);
         const isCursor = i === cursor;
         const isExpanded = expanded.has(item.id);
@@ -351,39 +530,230 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
         
         // Highlight current line
         const highlight = isCursor ? '\x1B[36m' : '';  // Cyan for selected
-        const reset = '\x1B[0m';
-        
-        const shortDesc = getFirstSentence(item.description);
+        const itemLine = lines.length;
         
         if (isExpanded) {
-          console.log(`${highlight}${pointer} ${checkbox} ${item.name}${reset}${updateFlag}`);
+          lines.push(`${highlight}${pointer} ${checkbox} ${item.name}${reset}${updateFlag}`);
           // Show full description indented
           const fullDesc = metadataLoading.has(item.id)
             ? 'Loading description...'
             : (item.description || 'No description available');
-          const lines = fullDesc.match(/.{1,55}/g) || [fullDesc];
-          lines.forEach(line => {
-            console.log(`     ${highlight}${line}${reset}`);
+          const width = Math.max(10, Math.min(55, columns - 5));
+          const descLines = fullDesc.match(new RegExp(`.{1,${width}}`, 'g')) || [fullDesc];
+          descLines.forEach(line => {
+            lines.push(`     ${highlight}${line}${reset}`);
           });
         } else {
-          console.log(`${highlight}${pointer} ${checkbox} ${item.name}${reset}${updateFlag} ${highlight}${expandIcon} ${shortDesc}${reset}`);
+          // Shorten the description so the line never wraps
+          const prefixLength = `${pointer} ${checkbox} ${item.name}${needsUpdate ? ' (update)' : ''} ${expandIcon} `.length;
+          const shortDesc = getFirstSentence(item.description, Math.min(60, columns - prefixLength - 1));
+          lines.push(`${highlight}${pointer} ${checkbox} ${item.name}${reset}${updateFlag} ${highlight}${expandIcon} ${shortDesc}${reset}`);
         }
+
+        ranges.push({ start, itemLine, end: lines.length });
       });
 
+      return { lines, ranges };
+    };
+
+    const getPreviewLines = (columns) => {
+      const loaded = previews.get(`${preview.kind}:${preview.item.id}`);
+      if (!loaded) {
+        return [preview.kind === 'changes' ? 'Loading upstream changes...' : 'Loading preview...'];
+      }
+      if (loaded.error) {
+        return [`${preview.kind === 'changes' ? 'Upstream changes' : 'Preview'} unavailable: ${loaded.error}`];
+      }
+      if (preview.kind === 'changes') {
+        return formatChangeLines(loaded, columns);
+      }
+
+      const lines = [];
+      const files = loaded.files || [];
+      if (files.length > 0) {
+        const pathWidth = Math.max(...files.map(file => file.path.length));
+        lines.push(`Files (${files.length}):`);
+        files.forEach(file => lines.push(`  ${file.path.padEnd(pathWidth)}  ${formatSize(file.size)}`));
+        lines.push('─'.repeat(Math.min(columns, 60)));
+      }
+      return [...lines, ...renderMarkdown(loaded.content, columns)];
+    };
+
+    const renderPreview = () => {
+      const columns = process.stdout.columns || 80;
+      const heading = preview.kind === 'changes' ? `🔀 Upstream changes: ${preview.item.name}` : `📄 ${preview.item.name}`;
+      const header = ['', heading, '─'.repeat(60)];
+      const lines = getPreviewLines(columns);
+      const footerHint = '↑↓ scroll  PGUP/PGDN page  HOME/END top/bottom  ESC/← back';
+      const available = process.stdout.rows
+        ? Math.max(1, process.stdout.rows - countRows(header, columns) - countRows(['', footerHint], columns) - 1)
+        : Infinity;
+
+      preview.pageSize = Math.min(lines.length, available);
+      preview.scroll = Math.max(0, Math.min(preview.scroll, lines.length - preview.pageSize));
+      const shown = lines.slice(preview.scroll, preview.scroll + preview.pageSize);
+      const position = lines.length > shown.length
+        ? `  (lines ${preview.scroll + 1}-${preview.scroll + shown.length} of ${lines.length})`
+        : '';
+
+      process.stdout.write('\x1B[2J\x1B[H');
+      [...header, ...shown, '', `${footerHint}${position}`].forEach(line => console.log(line));
+    };
+
+    // Open the preview ('preview') or upstream changes ('changes') of an item
+    const openPreview = (item, kind) => {
+      const key = `${kind}:${item.id}`;
+      const loader = kind === 'changes' ? changesLoader : previewLoader;
+      preview = { item, kind, scroll: 0, pageSize: 1 };
+      if (!previews.has(key)) {
+        loader(item.id)
+          .then(loaded => previews.set(key, loaded))
+          .catch(error => previews.set(key, { error: error.message }))
+          .finally(() => {
+            if (preview?.item === item && preview.kind === kind) {
+              render();
+            }
+          });
+      }
+      render();
+    };
+
+    // Keys while the preview is open
+    const handlePreviewKeypress = (str, key) => {
+      switch (key.name) {
+        case 'up':
+          preview.scroll -= 1;
+          break;
+        case 'down':
+          preview.scroll += 1;
+          break;
+        case 'pageup':
+          preview.scroll -= preview.pageSize;
+          break;
+        case 'pagedown':
+          preview.scroll += preview.pageSize;
+          break;
+        case 'home':
+          preview.scroll = 0;
+          break;
+        case 'end':
+          preview.scroll = Infinity;
+          break;
+        case 'escape':
+        case 'left':
+        case 'q':
+        case 'p':
+        case 'd':
+          preview = null;
+          break;
+        default:
+          return;
+      }
+      render();
+    };
+
+    const render = () => {
+      if (preview) {
+        renderPreview();
+        return;
+      }
+
+      const columns = process.stdout.columns || 80;
+      const header = [
+        '',
+        title,
+        '─'.repeat(60),
+        `↑↓ navigate  PGUP/PGDN page  HOME/END jump  SPACE toggle  → expand/load  ← collapse  ${previewLoader ? 'P preview  ' : ''}${changesLoader && itemsNeedingUpdate.size > 0 ? 'D changes  ' : ''}A all  / filter  n/N next/prev match  ENTER confirm`,
+        '',
+        'Select items to install:',
+        ''
+      ];
+
       const selectedCount = selected.size;
       const updateCount = Array.from(selected).filter(id => itemsNeedingUpdate.has(id)).length;
       const updateNote = updateCount > 0 ? ` (${updateCount} to update)` : '';
-      console.log(`\n${selectedCount} item${selectedCount !== 1 ? 's' : ''} selected${updateNote}`);
+      const footer = ['', `${selectedCount} item${selectedCount !== 1 ? 's' : ''} selected${updateNote}`];
+
+      if (editingFilter || filter) {
+        const hint = editingFilter ? 'ENTER apply  ESC clear' : 'ESC clear';
+        footer.push(`Filter: /${filter}${editingFilter ? '█' : ''}  (${visible.length} of ${items.length} shown, ${hint})`);
+      }
+
+      const { lines, ranges } = buildListLines(columns);
+      // Rows left for the list; the last row holds the cursor after the footer
+      const available = process.stdout.rows
+        ? process.stdout.rows - countRows(header, columns) - countRows(footer, columns) - 1
+        : Infinity;
+
+      let shown = lines;
+      if (lines.length > available) {
+        const height = Math.max(1, available - 2);
+        const current = ranges[cursor];
+        if (current) {
+          if (current.start < scrollTop) {
+            scrollTop = current.start;
+          } else if (current.end > scrollTop + height) {
+            scrollTop = Math.min(current.itemLine, current.end - height);
+          }
+        }
+        scrollTop = Math.max(0, Math.min(scrollTop, lines.length - height));
+
+        const above = ranges.filter(range => range.itemLine < scrollTop).length;
+        const below = ranges.filter(range => range.itemLine >= scrollTop + height).length;
+        pageSize = Math.max(1, ranges.length - above - below);
+        shown = [
+          above > 0 ? `  ↑ ${above} more above` : '',
+          ...lines.slice(scrollTop, scrollTop + height),
+          below > 0 ? `  ↓ ${below} more below` : ''
+        ];
+      } else {
+        scrollTop = 0;
+        pageSize = Math.max(1, ranges.length);
+      }
+
+      // Clear screen and move to top
+      process.stdout.write('\x1B[2J\x1B[H');
+      [...header, ...shown, ...footer].forEach(line => console.log(line));
     };
 
     const cleanup = () => {
       process.stdin.removeListener('keypress', handleKeypress);
+      process.stdout.removeListener('resize', render);
       if (process.stdin.isTTY) {
         process.stdin.setRawMode(false);
       }
       rl.close();
     };
 
+    // Keys typed while the filter is being edited
+    const handleFilterKeypress = (str, key) => {
+      switch (key.name) {
+        case 'return':
+          editingFilter = false;
+          break;
+        case 'escape':
+          editingFilter = false;
+          filter = '';
+          applyFilter();
+          break;
+        case 'backspace':
+          filter = filter.slice(0, -1);
+          applyFilter(false);
+          break;
+        case 'up':
+        case 'down':
+          return false;
+        default:
+          if (!str || str.length !== 1 || key.ctrl || key.meta || str < ' ') return true;
+          filter += str;
+          applyFilter(false);
+      }
+      if (filter) {
+        lastQuery = filter;
+      }
+      return true;
+    };
+
     const handleKeypress = (str, key) => {
       if (!key) return;
 
@@ -393,17 +763,78 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
         return;
       }
 
+      if (preview) {
+        handlePreviewKeypress(str, key);
+        return;
+      }
+
+      if (editingFilter && handleFilterKeypress(str, key)) {
+        render();
+        return;
+      }
+
+      if (str === '/') {
+        editingFilter = true;
+        render();
+        return;
+      }
+
+      if (str === 'N') {
+        jumpToMatch(-1);
+        render();
+        return;
+      }
+
+      const currentItem = visible[cursor];
+      if (!currentItem && ['up', 'down', 'pageup', 'pagedown', 'home', 'end', 'right', 'left', 'space'].includes(key.name)) {
+        return;
+      }
+
       switch (key.name) {
         case 'up':
-          cursor = cursor > 0 ? cursor - 1 : items.length - 1;
+          cursor = cursor > 0 ? cursor - 1 : visible.length - 1;
           render();
           break;
         case 'down':
-          cursor = cursor < items.length - 1 ? cursor + 1 : 0;
+          cursor = cursor < visible.length - 1 ? cursor + 1 : 0;
+          render();
+          break;
+        case 'pageup':
+          cursor = Math.max(0, cursor - pageSize);
+          render();
+          break;
+        case 'pagedown':
+          cursor = Math.min(visible.length - 1, cursor + pageSize);
+          render();
+          break;
+        case 'home':
+          cursor = 0;
+          render();
+          break;
+        case 'end':
+          cursor = visible.length - 1;
+          render();
+          break;
+        case 'n':
+          jumpToMatch(1);
+          render();
+          break;
+        case 'p':
+          if (previewLoader && currentItem) {
+            openPreview(currentItem, 'preview');
+          }
+          break;
+        case 'd':
+          if (changesLoader && currentItem && itemsNeedingUpdate.has(currentItem.id)) {
+            openPreview(currentItem, 'changes');
+          }
+          break;
+        case 'escape':
+          filter = '';
+          applyFilter();
           render();
           break;
         case 'right':
-          const currentItem = items[cursor];
           expanded.add(currentItem.id);
           if (metadataLoader && !metadataCache.has(currentItem.id) && !metadataLoading.has(currentItem.id)) {
             metadataLoading.add(currentItem.id);
@@ -415,12 +846,12 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
                 }
                 if (metadata?.description) {
                   currentItem.description = metadata.description;
-                } else if (!currentItem.description || currentItem.description === 'Press right arrow to load description') {
+                } else if (!currentItem.description || currentItem.description === LAZY_DESCRIPTION) {
                   currentItem.description = 'Description unavailable';
                 }
               })
               .catch(() => {
-                if (!currentItem.description || currentItem.description === 'Press right arrow to load description') {
+                if (!currentItem.description || currentItem.description === LAZY_DESCRIPTION) {
                   currentItem.description = 'Description unavailable (metadata fetch failed)';
                 }
               })
@@ -433,24 +864,23 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
           render();
           break;
         case 'left':
-          expanded.delete(items[cursor].id);
+          expanded.delete(currentItem.id);
           render();
           break;
         case 'space':
-          const itemId = items[cursor].id;
-          if (selected.has(itemId)) {
-            selected.delete(itemId);
+          if (selected.has(currentItem.id)) {
+            selected.delete(currentItem.id);
           } else {
-            selected.add(itemId);
+            selected.add(currentItem.id);
           }
           render();
           break;
         case 'a':
-          // Toggle all
-          if (selected.size === items.length) {
-            selected.clear();
+          // Toggle all listed items; items hidden by the filter keep their selection
+          if (visible.every(item => selected.has(item.id))) {
+            visible.forEach(item => selected.delete(item.id));
           } else {
-            items.forEach(item => selected.add(item.id));
+            visible.forEach(item => selected.add(item.id));
           }
           render();
           break;
@@ -475,6 +905,7 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
     };
 
     process.stdin.on('keypress', handleKeypress);
+    process.stdout.on('resize', render);
     render();
   });
 }
@@ -485,9 +916,19 @@ function promptItemSelection(items, installedItems = [], title = '📦 Available
  * @returns {{stop: (finalMessage: string) => void}}
  */
 export function showSpinner(message) {
+  // Piped output (CI logs) cannot redraw lines, so print plain progress instead
+  if (!process.stdout.isTTY || typeof process.stdout.clearLine !== 'function') {
+    console.log(message);
+    return {
+      stop: (finalMessage) => {
+        console.log(finalMessage);
+      }
+    };
+  }
+
   const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let i = 0;
-  
+
   process.stdout.write(`${frames[0]} ${message}`);
   
   const interval = setInterval(() => {
@@ -2,11 +2,14 @@
  * Fetch and parse available skills from the GitHub repository
  */
 
-import { getGitHubHeaders } from './github-auth.js';
+import { getGitHubApiUrl, getGitHubCloneUrl, getGitHubRawUrl } from './github-auth.js';
+import { requestGitHub } from './github-client.js';
+import { readRepositoryFile, readRepositoryFiles, withGitFallback } from './git-discovery.js';
+import { DEFAULT_SKILLS_REPO } from './config.js';
+import { parseMetadata } from './frontmatter.js';
+import { isLocalRepo, listLocalEntries, listLocalFiles, localFileExists, readLocalFile } from './local-source.js';
 
-const REPO_OWNER = 'supercorks';
-const REPO_NAME = 'agent-skills';
-const GITHUB_API = 'https://api.github.com';
+const { owner: REPO_OWNER, name: REPO_NAME } = DEFAULT_SKILLS_REPO;
 
 // Folders to exclude from skill detection (not actual skills)
 const EXCLUDED_FOLDERS = ['.github', '.claude', 'node_modules'];
@@ -20,96 +23,319 @@ function humanizeSkillName(folder) {
 }
 
 /**
- * Fetch the list of skill directories from the repository
- * Skills are at the repo root level, each folder with a SKILL.md is a skill
- * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
+ * List skills from a local checkout: every root folder holding a SKILL.md.
+ * Metadata is read right away since it needs no network round trip.
+ * @param {string} repoPath - Checkout directory
+ * @param {string} [ref] - Branch, tag or commit to list instead of the files on disk
+ * @returns {Array<{name: string, description: string, folder: string}>}
  */
-export async function fetchAvailableSkills() {
-  const repoUrl = `${GITHUB_API}/repos/${REPO_OWNER}/${REPO_NAME}/contents`;
-  
-  const response = await fetch(repoUrl, {
-    headers: getGitHubHeaders()
-  });
+function listLocalSkills(repoPath, ref) {
+  return listLocalEntries(repoPath, ref)
+    .filter(entry => entry.isDirectory() && !EXCLUDED_FOLDERS.includes(entry.name))
+    .filter(entry => localFileExists(repoPath, `${entry.name}/SKILL.md`, ref))
+    .map(entry => {
+      const metadata = parseMetadata(readLocalFile(repoPath, `${entry.name}/SKILL.md`, ref));
+      return {
+        folder: entry.name,
+        name: metadata.name || humanizeSkillName(entry.name),
+        description: metadata.description || 'No description available'
+      };
+    });
+}
+
+const PLACEHOLDER_DESCRIPTION = 'Press right arrow to load description';
+
+// Parallel raw downloads when batch-loading SKILL.md frontmatter
+const METADATA_CONCURRENCY = 8;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Find skill folders in a recursive Git tree: root folders holding a SKILL.md
+ * @param {Array<{path: string, type: string}>} tree - Entries from the Git Trees API
+ * @returns {string[]}
+ */
+function findSkillFolders(tree) {
+  return tree
+    .filter(entry => entry.type === 'blob' && /^[^/]+\/SKILL\.md$/.test(entry.path))
+    .map(entry => entry.path.slice(0, entry.path.indexOf('/')))
+    .filter(folder => !EXCLUDED_FOLDERS.includes(folder) && !folder.startsWith('.'))
+    .sort((a, b) => a.localeCompare(b));
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch skills list: ${response.status} ${response.statusText}`);
+/**
+ * Download the SKILL.md of a skill without using the API rate limit
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} folder - Skill folder
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<{name: string, description: string}|null>} null when the download fails
+ */
+async function fetchRawSkillMetadata(repo, folder, ref) {
+  try {
+    const response = await requestGitHub(getGitHubRawUrl(repo, ref, `${folder}/SKILL.md`), `${folder}/SKILL.md`);
+    return parseMetadata(await response.text());
+  } catch {
+    return null;
   }
+}
 
+/**
+ * List root folders through the contents API, for trees too large to be
+ * returned in one request. Folders are not checked for a SKILL.md and
+ * metadata is loaded lazily in the UI.
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
+ */
+async function listRootFolders(repo, ref) {
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  const response = await requestGitHub(`${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/contents${query}`, 'skills list');
   const contents = await response.json();
-  
-  // Filter to directories that aren't excluded
-  const potentialSkillDirs = contents.filter(
-    item => item.type === 'dir' && !EXCLUDED_FOLDERS.includes(item.name) && !item.name.startsWith('.')
-  );
+  return contents
+    .filter(item => item.type === 'dir' && !EXCLUDED_FOLDERS.includes(item.name) && !item.name.startsWith('.'))
+    .map(dir => ({
+      folder: dir.name,
+      name: humanizeSkillName(dir.name),
+      description: PLACEHOLDER_DESCRIPTION
+    }));
+}
 
-  // Keep listing lightweight: metadata is loaded lazily on expand in the UI
-  return potentialSkillDirs.map(dir => ({
-    folder: dir.name,
-    name: humanizeSkillName(dir.name),
-    description: 'Press right arrow to load description'
+/**
+ * List skills through the GitHub API: the whole tree with one Git Trees API
+ * request, then every SKILL.md as a raw file so names and descriptions are
+ * known up front. Skills whose SKILL.md cannot be downloaded keep a
+ * placeholder description that the picker loads lazily.
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
+ */
+async function listSkillsFromApi(repo, ref) {
+  const treeUrl = `${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/git/trees/${encodeURIComponent(ref || 'HEAD')}?recursive=1`;
+
+  const response = await requestGitHub(treeUrl, 'skills list');
+  const { tree, truncated } = await response.json();
+  if (truncated) {
+    return listRootFolders(repo, ref);
+  }
+
+  const folders = findSkillFolders(tree);
+  const metadata = await mapConcurrent(folders, METADATA_CONCURRENCY, folder => fetchRawSkillMetadata(repo, folder, ref || 'HEAD'));
+
+  return folders.map((folder, index) => ({
+    folder,
+    name: metadata[index]?.name || humanizeSkillName(folder),
+    description: metadata[index]
+      ? metadata[index].description || 'No description available'
+      : PLACEHOLDER_DESCRIPTION
   }));
 }
 
 /**
- * Fetch and parse SKILL.md frontmatter for a specific skill
- * @param {string} skillFolder - The skill folder name
- * @returns {Promise<{name: string, description: string}>}
+ * List skills from a cached git clone of the repository, without the API
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
  */
-export async function fetchSkillMetadata(skillFolder) {
-  const skillMdUrl = `${GITHUB_API}/repos/${REPO_OWNER}/${REPO_NAME}/contents/${skillFolder}/SKILL.md`;
-  
-  try {
-    const response = await fetch(skillMdUrl, {
-      headers: getGitHubHeaders()
-    });
+async function listSkillsWithGit(repo, ref) {
+  const files = await readRepositoryFiles(repo, ref, path => /^[^/]+\/SKILL\.md$/.test(path));
+  const contents = new Map(files.map(file => [file.path.slice(0, file.path.indexOf('/')), file.content]));
+
+  return findSkillFolders(files.map(file => ({ path: file.path, type: 'blob' }))).map(folder => {
+    const metadata = parseMetadata(contents.get(folder));
+    return {
+      folder,
+      name: metadata.name || humanizeSkillName(folder),
+      description: metadata.description || 'No description available'
+    };
+  });
+}
+
+/**
+ * Fetch the list of skills from the repository
+ * Skills are at the repo root level, each folder with a SKILL.md is a skill.
+ * When the GitHub API cannot be used (blocked by a proxy, rate limited) the
+ * repository is listed with git alone.
+ * @param {{owner: string, name: string, path?: string}} [repo] - Skills repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to list instead of the default branch (the files on disk for local checkouts)
+ * @returns {Promise<Array<{name: string, description: string, folder: string}>>}
+ */
+export async function fetchAvailableSkills(repo = DEFAULT_SKILLS_REPO, ref) {
+  if (isLocalRepo(repo)) {
+    return listLocalSkills(repo.path, ref);
+  }
+
+  return withGitFallback(() => listSkillsFromApi(repo, ref), () => listSkillsWithGit(repo, ref));
+}
+
+/**
+ * Merge the skills of several sources into one list for the picker.
+ * With more than one source every folder is qualified as `<source id>/<folder>`
+ * and skills whose display names collide get the source id appended.
+ * @param {Array<{source: {id: string}, skills: Array<{name: string, description: string, folder: string}>}>} catalogs
+ * @returns {Array<{name: string, description: string, folder: string, source: string}>}
+ */
+export function mergeSkillSources(catalogs) {
+  if (catalogs.length === 1) {
+    return catalogs[0].skills.map(skill => ({ ...skill, source: catalogs[0].source.id }));
+  }
+
+  const nameCounts = new Map();
+  catalogs.flatMap(catalog => catalog.skills).forEach(skill => {
+    const key = skill.name.toLowerCase();
+    nameCounts.set(key, (nameCounts.get(key) || 0) + 1);
+  });
+
+  return catalogs.flatMap(({ source, skills }) => skills.map(skill => ({
+    ...skill,
+    name: nameCounts.get(skill.name.toLowerCase()) > 1 ? `${skill.name} (${source.id})` : skill.name,
+    folder: `${source.id}/${skill.folder}`,
+    source: source.id
+  })));
+}
+
+/**
+ * Resolve skill names given on the command line against a merged skill list.
+ * Qualified names (`<source id>/<folder>`) match exactly; a bare folder name
+ * matches when exactly one source provides it.
+ * @param {string[]} requested - Requested skill names
+ * @param {Array<{folder: string}>} skills - Skills from mergeSkillSources()
+ * @returns {{ids: string[], missing: string[], ambiguous: Array<{name: string, matches: string[]}>}}
+ */
+export function resolveSkillNames(requested, skills) {
+  const result = { ids: [], missing: [], ambiguous: [] };
+
+  for (const name of requested) {
+    const matches = skills.some(skill => skill.folder === name)
+      ? [name]
+      : skills.filter(skill => skill.folder.endsWith(`/${name}`)).map(skill => skill.folder);
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch skill metadata: ${response.status} ${response.statusText}`);
+    if (matches.length === 1) {
+      result.ids.push(matches[0]);
+    } else if (matches.length === 0) {
+      result.missing.push(name);
+    } else {
+      result.ambiguous.push({ name, matches });
     }
+  }
+
+  return result;
+}
 
-    const data = await response.json();
-    const content = Buffer.from(data.content, 'base64').toString('utf-8');
-    
-    return parseSkillFrontmatter(content);
-  } catch (error) {
-    throw error;
+/**
+ * Fetch and parse SKILL.md frontmatter for a specific skill
+ * @param {string} skillFolder - The skill folder name
+ * @param {{owner: string, name: string, path?: string}} [repo] - Skills repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to read instead of the default branch
+ * @returns {Promise<{name: string, description: string, [key: string]: any}>} Every frontmatter field, see parseMetadata()
+ */
+export async function fetchSkillMetadata(skillFolder, repo = DEFAULT_SKILLS_REPO, ref) {
+  if (isLocalRepo(repo)) {
+    return parseMetadata(readLocalFile(repo.path, `${skillFolder}/SKILL.md`, ref));
   }
+
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  const skillMdUrl = `${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/contents/${skillFolder}/SKILL.md${query}`;
+  const content = await withGitFallback(
+    async () => {
+      const response = await requestGitHub(skillMdUrl, 'skill metadata');
+      const data = await response.json();
+      return Buffer.from(data.content, 'base64').toString('utf-8');
+    },
+    () => readRepositoryFile(repo, `${skillFolder}/SKILL.md`, ref)
+  );
+  return parseMetadata(content);
 }
 
 /**
- * Parse the SKILL.md frontmatter to extract name and description
- * Supports both ```skill code fence and standard --- frontmatter
- * @param {string} content - The SKILL.md file content
- * @returns {{name: string, description: string}}
+ * List the files of a skill folder with the Git Trees API. The recursive tree
+ * is the one listing skills uses, so it usually comes from the response cache;
+ * trees too large for one response fall back to the folder's top level.
+ * @param {{owner: string, name: string}} repo - Skills repository
+ * @param {string} skillFolder - Skill folder
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{path: string, size: number}>>}
  */
-function parseSkillFrontmatter(content) {
-  // Try to match ```skill fenced frontmatter first
-  const skillFenceMatch = content.match(/```skill\s*\n---\s*\n([\s\S]*?)\n---\s*\n/);
-  
-  // Fall back to standard --- frontmatter
-  const standardMatch = content.match(/^---\s*\n([\s\S]*?)\n---/);
-  
-  const frontmatterContent = skillFenceMatch?.[1] || standardMatch?.[1];
-  
-  if (!frontmatterContent) {
-    return { name: '', description: '' };
+async function listSkillFilesFromApi(repo, skillFolder, ref) {
+  const treeUrl = `${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/git/trees/${encodeURIComponent(ref || 'HEAD')}?recursive=1`;
+  const { tree, truncated } = await (await requestGitHub(treeUrl, 'skill files')).json();
+
+  if (truncated) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const response = await requestGitHub(`${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/contents/${skillFolder}${query}`, 'skill files');
+    return (await response.json())
+      .filter(item => item.type === 'file')
+      .map(item => ({ path: item.name, size: item.size }));
   }
 
-  const nameMatch = frontmatterContent.match(/name:\s*['"]?([^'"\n]+)['"]?/);
-  const descMatch = frontmatterContent.match(/description:\s*['"]?([^'"\n]+)['"]?/);
+  return tree
+    .filter(entry => entry.type === 'blob' && entry.path.startsWith(`${skillFolder}/`))
+    .map(entry => ({ path: entry.path.slice(skillFolder.length + 1), size: entry.size }));
+}
 
-  return {
-    name: nameMatch?.[1]?.trim() || '',
-    description: descMatch?.[1]?.trim() || ''
-  };
+/**
+ * Load what the picker preview shows for a skill: the whole SKILL.md and the
+ * files of the skill folder with their sizes
+ * @param {string} skillFolder - The skill folder name
+ * @param {{owner: string, name: string, path?: string}} [repo] - Skills repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to read instead of the default branch
+ * @returns {Promise<{content: string, files: Array<{path: string, size: number}>}>} Sizes in bytes
+ */
+export async function fetchSkillPreview(skillFolder, repo = DEFAULT_SKILLS_REPO, ref) {
+  if (isLocalRepo(repo)) {
+    return {
+      content: readLocalFile(repo.path, `${skillFolder}/SKILL.md`, ref),
+      files: listLocalFiles(repo.path, skillFolder, ref)
+    };
+  }
+
+  return withGitFallback(
+    async () => {
+      const [response, files] = await Promise.all([
+        requestGitHub(getGitHubRawUrl(repo, ref || 'HEAD', `${skillFolder}/SKILL.md`), `${skillFolder}/SKILL.md`),
+        listSkillFilesFromApi(repo, skillFolder, ref)
+      ]);
+      return { content: await response.text(), files };
+    },
+    async () => {
+      const files = await readRepositoryFiles(repo, ref, path => path.startsWith(`${skillFolder}/`));
+      const skillMd = files.find(file => file.path === `${skillFolder}/SKILL.md`);
+      if (!skillMd) {
+        throw new Error(`${skillFolder}/SKILL.md not found in ${repo.owner}/${repo.name}`);
+      }
+      return {
+        content: skillMd.content,
+        files: files.map(file => ({ path: file.path.slice(skillFolder.length + 1), size: file.size }))
+      };
+    }
+  );
 }
 
 /**
- * Get the repository clone URL
+ * Get the repository clone URL (the directory itself for a local checkout)
+ * @param {{owner: string, name: string, path?: string}} [repo] - Skills repository or local checkout
  * @returns {string}
  */
-export function getRepoUrl() {
-  return `https://github.com/${REPO_OWNER}/${REPO_NAME}.git`;
+export function getRepoUrl(repo = DEFAULT_SKILLS_REPO) {
+  return isLocalRepo(repo) ? repo.path : getGitHubCloneUrl(repo);
 }
 
 export { REPO_OWNER, REPO_NAME };
@@ -2,11 +2,14 @@
  * Fetch and parse available subagents from the GitHub repository
  */
 
-import { getGitHubHeaders } from './github-auth.js';
+import { getGitHubApiUrl, getGitHubCloneUrl } from './github-auth.js';
+import { requestGitHub } from './github-client.js';
+import { readRepositoryFile, readRepositoryFiles, withGitFallback } from './git-discovery.js';
+import { DEFAULT_AGENTS_REPO } from './config.js';
+import { parseFrontmatter, parseMetadata } from './frontmatter.js';
+import { isLocalRepo, listLocalEntries, readLocalFile } from './local-source.js';
 
-const SUBAGENTS_REPO_OWNER = 'supercorks';
-const SUBAGENTS_REPO_NAME = 'subagents';
-const GITHUB_API = 'https://api.github.com';
+const { owner: SUBAGENTS_REPO_OWNER, name: SUBAGENTS_REPO_NAME } = DEFAULT_AGENTS_REPO;
 
 function humanizeAgentName(filename) {
   const base = filename.replace('.agent.md', '');
@@ -17,45 +20,41 @@ function humanizeAgentName(filename) {
     .join(' ');
 }
 
-function extractSubagentSections(content) {
-  const standardMatch = content.match(/^(---\s*\n[\s\S]*?\n---)(?:\s*\n)?/);
-  if (standardMatch) {
-    return {
-      frontmatter: standardMatch[1].replace(/^---\s*\n|\n---$/g, ''),
-      body: content.slice(standardMatch[0].length).trim(),
-    };
-  }
-
-  const chatAgentMatch = content.match(/^```chatagent\s*\n---\s*\n([\s\S]*?)\n---\s*\n```(?:\s*\n)?/);
-  if (chatAgentMatch) {
-    return {
-      frontmatter: chatAgentMatch[1],
-      body: content.slice(chatAgentMatch[0].length).trim(),
-    };
-  }
-
-  return {
-    frontmatter: '',
-    body: content.trim(),
-  };
-}
-
 /**
  * Fetch the list of subagent files from the repository
  * Subagents are .agent.md files at the repo root
+ * @param {{owner: string, name: string, path?: string}} [repo] - Subagents repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to list instead of the default branch (the files on disk for local checkouts)
  * @returns {Promise<Array<{name: string, description: string, filename: string}>>}
  */
-export async function fetchAvailableSubagents() {
-  const repoUrl = `${GITHUB_API}/repos/${SUBAGENTS_REPO_OWNER}/${SUBAGENTS_REPO_NAME}/contents`;
-  
-  const response = await fetch(repoUrl, {
-    headers: getGitHubHeaders()
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch subagents list: ${response.status} ${response.statusText}`);
+export async function fetchAvailableSubagents(repo = DEFAULT_AGENTS_REPO, ref) {
+  // Local checkouts are parsed right away since that needs no network round trip
+  if (isLocalRepo(repo)) {
+    return listLocalEntries(repo.path, ref)
+      .filter(entry => entry.isFile() && entry.name.endsWith('.agent.md'))
+      .map(entry => {
+        const definition = parseSubagentDefinition(readLocalFile(repo.path, entry.name, ref), entry.name);
+        return {
+          filename: entry.name,
+          name: definition.name,
+          description: definition.description || 'No description available'
+        };
+      });
   }
 
+  return withGitFallback(() => listSubagentsFromApi(repo, ref), () => listSubagentsWithGit(repo, ref));
+}
+
+/**
+ * List subagents through the contents API
+ * @param {{owner: string, name: string}} repo - Subagents repository
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{name: string, description: string, filename: string}>>}
+ */
+async function listSubagentsFromApi(repo, ref) {
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  const repoUrl = `${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/contents${query}`;
+  const response = await requestGitHub(repoUrl, 'subagents list');
   const contents = await response.json();
   
   // Filter to .agent.md files only
@@ -71,15 +70,37 @@ export async function fetchAvailableSubagents() {
   }));
 }
 
+/**
+ * List subagents from a cached git clone of the repository, without the API.
+ * Files are read anyway, so metadata is parsed right away.
+ * @param {{owner: string, name: string}} repo - Subagents repository
+ * @param {string} [ref] - Branch, tag or commit
+ * @returns {Promise<Array<{name: string, description: string, filename: string}>>}
+ */
+async function listSubagentsWithGit(repo, ref) {
+  const files = await readRepositoryFiles(repo, ref, path => !path.includes('/') && path.endsWith('.agent.md'));
+
+  return files.map(file => {
+    const definition = parseSubagentDefinition(file.content, file.path);
+    return {
+      filename: file.path,
+      name: definition.name,
+      description: definition.description || 'No description available'
+    };
+  });
+}
+
 /**
  * Fetch and parse frontmatter from a subagent file
  * @param {string} filename - The agent filename
- * @returns {Promise<{name: string, description: string}>}
+ * @param {{owner: string, name: string, path?: string}} [repo] - Subagents repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to read instead of the default branch
+ * @returns {Promise<{name: string, description: string, [key: string]: any}>} Every frontmatter field, see parseMetadata()
  */
-export async function fetchSubagentMetadata(filename) {
+export async function fetchSubagentMetadata(filename, repo = DEFAULT_AGENTS_REPO, ref) {
   try {
-    const content = await fetchSubagentContent(filename);
-    return parseSubagentFrontmatter(content);
+    const content = await fetchSubagentContent(filename, { repo, ...(ref ? { ref } : {}) });
+    return parseMetadata(content);
   } catch (error) {
     throw error;
   }
@@ -88,46 +109,40 @@ export async function fetchSubagentMetadata(filename) {
 /**
  * Fetch the raw source for a subagent file
  * @param {string} filename - The agent filename
+ * @param {{ref?: string, repo?: {owner: string, name: string, path?: string}}} [options] - Branch, tag or commit to read instead of the default branch, and the subagents repository
  * @returns {Promise<string>}
  */
-export async function fetchSubagentContent(filename) {
-  const fileUrl = `${GITHUB_API}/repos/${SUBAGENTS_REPO_OWNER}/${SUBAGENTS_REPO_NAME}/contents/${filename}`;
-  
-  try {
-    const response = await fetch(fileUrl, {
-      headers: getGitHubHeaders()
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch subagent metadata: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return Buffer.from(data.content, 'base64').toString('utf-8');
-  } catch (error) {
-    throw error;
+export async function fetchSubagentContent(filename, options = {}) {
+  if (isLocalRepo(options.repo)) {
+    return readLocalFile(options.repo.path, filename, options.ref);
   }
+
+  const repo = options.repo || DEFAULT_AGENTS_REPO;
+  const refQuery = options.ref ? `?ref=${encodeURIComponent(options.ref)}` : '';
+  const fileUrl = `${getGitHubApiUrl()}/repos/${repo.owner}/${repo.name}/contents/${filename}${refQuery}`;
+
+  return withGitFallback(
+    async () => {
+      const response = await requestGitHub(fileUrl, 'subagent metadata');
+      const data = await response.json();
+      return Buffer.from(data.content, 'base64').toString('utf-8');
+    },
+    () => readRepositoryFile(repo, filename, options.ref)
+  );
 }
 
 /**
- * Parse the subagent frontmatter to extract name and description
- * Supports both standard YAML frontmatter and chatagent format
- * @param {string} content - The .agent.md file content
- * @returns {{name: string, description: string}}
+ * Load what the picker preview shows for a subagent: the body of its file
+ * @param {string} filename - The agent filename
+ * @param {{owner: string, name: string, path?: string}} [repo] - Subagents repository or local checkout
+ * @param {string} [ref] - Branch, tag or commit to read instead of the default branch
+ * @returns {Promise<{content: string, files: Array<{path: string, size: number}>}>} The agent file itself as the only file
  */
-function parseSubagentFrontmatter(content) {
-  const { frontmatter: frontmatterContent } = extractSubagentSections(content);
-  
-  if (!frontmatterContent) {
-    return { name: '', description: '' };
-  }
-
-  const nameMatch = frontmatterContent.match(/name:\s*['"]?([^'"\n]+)['"]?/);
-  const descMatch = frontmatterContent.match(/description:\s*['"]?([^'"\n]+)['"]?/);
-
+export async function fetchSubagentPreview(filename, repo = DEFAULT_AGENTS_REPO, ref) {
+  const content = await fetchSubagentContent(filename, { repo, ...(ref ? { ref } : {}) });
   return {
-    name: nameMatch?.[1]?.trim() || '',
-    description: descMatch?.[1]?.trim() || ''
+    content: parseSubagentDefinition(content, filename).body,
+    files: [{ path: filename, size: Buffer.byteLength(content) }]
   };
 }
 
@@ -135,13 +150,14 @@ function parseSubagentFrontmatter(content) {
  * Parse a subagent file into metadata and body content.
  * @param {string} content - The .agent.md file content
  * @param {string} filename - The source filename for fallback naming
- * @returns {{name: string, description: string, body: string, filename: string}}
+ * @returns {{name: string, description: string, body: string, filename: string, tools?: string[], model?: string, [key: string]: any}}
  */
 export function parseSubagentDefinition(content, filename = '') {
-  const metadata = parseSubagentFrontmatter(content);
-  const { body } = extractSubagentSections(content);
+  const metadata = parseMetadata(content);
+  const { body } = parseFrontmatter(content);
 
   return {
+    ...metadata,
     filename,
     name: metadata.name || humanizeAgentName(filename),
     description: metadata.description || '',
@@ -150,11 +166,12 @@ export function parseSubagentDefinition(content, filename = '') {
 }
 
 /**
- * Get the subagents repository clone URL
+ * Get the subagents repository clone URL (the directory itself for a local checkout)
+ * @param {{owner: string, name: string, path?: string}} [repo] - Subagents repository or local checkout
  * @returns {string}
  */
-export function getSubagentsRepoUrl() {
-  return `https://github.com/${SUBAGENTS_REPO_OWNER}/${SUBAGENTS_REPO_NAME}.git`;
+export function getSubagentsRepoUrl(repo = DEFAULT_AGENTS_REPO) {
+  return isLocalRepo(repo) ? repo.path : getGitHubCloneUrl(repo);
 }
 
 export { SUBAGENTS_REPO_OWNER, SUBAGENTS_REPO_NAME, humanizeAgentName };
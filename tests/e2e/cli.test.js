@@ -46,7 +46,7 @@ function runCLI(cwd, args = [], options = {}) {
     const binPath = join(process.cwd(), 'bin', 'install.js');
     const proc = spawn('node', [binPath, ...args], {
       cwd,
-      env: { ...process.env, FORCE_COLOR: '0', NO_COLOR: '1' },
+      env: { ...process.env, FORCE_COLOR: '0', NO_COLOR: '1', ...options.env },
       stdio: ['pipe', 'pipe', 'pipe'],
       timeout: options.timeout || 5000
     });
@@ -148,6 +148,654 @@ describe('CLI Interface', () => {
   });
 });
 
+// ============================================================================
+// Non-interactive Mode Tests
+// ============================================================================
+
+describe('Non-interactive Mode', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Install from CI without prompts', () => {
+    it('should document non-interactive flags in help', async () => {
+      const result = await runCLI(tempDir.path, ['--help']);
+
+      expect(result.stdout).toContain('--skills');
+      expect(result.stdout).toContain('--agents');
+      expect(result.stdout).toContain('--target');
+      expect(result.stdout).toContain('--no-gitignore');
+      expect(result.stdout).toContain('--yes');
+    });
+
+    it('should exit with usage code when no target is given without --yes', async () => {
+      const result = await runCLI(tempDir.path, ['install', '--skills', 'test-skill']);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('No skills target given');
+      expect(result.stdout).not.toContain('What would you like to install?');
+    });
+
+    it('should exit with usage code for prompt-only flags without items', async () => {
+      const result = await runCLI(tempDir.path, ['install', '--yes']);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('require --skills and/or --agents');
+    });
+
+    it('should exit with usage code for ambiguous targets', async () => {
+      const result = await runCLI(tempDir.path, [
+        'install',
+        '--skills', 'test-skill',
+        '--agents', 'Developer.agent.md',
+        '--target', 'custom/path/'
+      ]);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('--skills-target or --agents-target');
+    });
+
+    it('should install offline from a local checkout with --source', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      createUpstreamSkillsRepo(upstreamPath);
+
+      const result = await runCLI(projectPath, [
+        'install',
+        '--source', `file://${upstreamPath}`,
+        '--skills', 'test-skill',
+        '--target', '.claude/skills/',
+        '--no-gitignore'
+      ], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(0);
+      expect(readFileSync(join(projectPath, '.claude/skills/test-skill/SKILL.md'), 'utf-8')).toContain('name: Test Skill');
+      const lockfile = JSON.parse(readFileSync(join(projectPath, 'skills-lock.json'), 'utf-8'));
+      expect(lockfile.skills['.claude/skills/'].repository).toBe(upstreamPath);
+
+      const missing = await runCLI(projectPath, [
+        'install', '--source', upstreamPath, '--skills', 'other-skill', '--target', '.claude/skills/'
+      ], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(missing.exitCode).toBe(3);
+      expect(missing.stderr).toContain('Available: test-skill');
+    });
+
+    it('should pin the installation to the ref given with --ref', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      git('tag v1');
+      writeFileSync(join(upstreamPath, 'test-skill', 'SKILL.md'), '---\nname: Test Skill\ndescription: v2\n---\n');
+      git('commit -q -am v2');
+
+      const env = { HOME: tempDir.path };
+      const result = await runCLI(projectPath, [
+        'install', '--source', upstreamPath, '--skills', 'test-skill', '--target', '.claude/skills/', '--no-gitignore', '--ref', 'v1'
+      ], { timeout: 20000, env });
+
+      expect(result.exitCode).toBe(0);
+      expect(readFileSync(join(projectPath, '.claude/skills/test-skill/SKILL.md'), 'utf-8')).toContain('description: v1');
+      const lockfile = JSON.parse(readFileSync(join(projectPath, 'skills-lock.json'), 'utf-8'));
+      expect(lockfile.skills['.claude/skills/'].ref).toBe('v1');
+
+      const status = await runCLI(projectPath, ['status', '--json'], { timeout: 20000, env });
+      expect(JSON.parse(status.stdout).skills[0]).toMatchObject({ ref: 'v1', behind: 0 });
+
+      const frozen = await runCLI(projectPath, ['install', '--frozen', '--ref', 'main']);
+      expect(frozen.exitCode).toBe(2);
+    });
+
+    it('should install agents for a harness adapter listed in the config', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      writeFileSync(join(upstreamPath, 'Developer.agent.md'), '---\nname: Developer\ndescription: Builds features\n---\n\nBuild it.\n');
+      git('add -A');
+      git('commit -q -m agent');
+      writeFileSync(join(projectPath, 'windsurf-harness.mjs'), `export default {
+  id: 'windsurf',
+  agentTargets: [{ path: '.windsurf/agents/', scope: 'local' }],
+  agentInstallMode: 'windsurf-md',
+  agentFormat: {
+    extension: '.md',
+    outputFilename: filename => filename.replace(/\\.agent\\.md$/, '.md'),
+    render: (content, filename) => ({ text: content, name: filename, description: '', warnings: [] })
+  }
+};
+`);
+      writeFileSync(join(projectPath, '.skills-installer.json'), JSON.stringify({ harnesses: ['./windsurf-harness.mjs'] }));
+
+      const env = { HOME: tempDir.path };
+      const untrusted = await runCLI(projectPath, ['update', '--source', upstreamPath], { timeout: 20000, env });
+      expect(untrusted.stdout).toContain('Not loading the harness adapters in .skills-installer.json (./windsurf-harness.mjs)');
+
+      const result = await runCLI(projectPath, [
+        'install', '--source', upstreamPath, '--agents', 'Developer.agent.md', '--agents-target', '.windsurf/agents/', '--no-gitignore',
+        '--trust-harnesses'
+      ], { timeout: 20000, env });
+
+      expect(result.exitCode).toBe(0);
+      const generated = readFileSync(join(projectPath, '.windsurf/agents/Developer.md'), 'utf-8');
+      expect(generated).toMatch(/^# Generated by @supercorks\/skills-installer from Developer\.agent\.md\n/);
+      expect(generated).toContain('Build it.');
+
+      const update = await runCLI(projectPath, ['update', '--source', upstreamPath, '--trust-harnesses'], { timeout: 20000, env });
+      expect(update.stdout).toContain('📍 .windsurf/agents/');
+      expect(update.stdout).toContain('All 1 subagent up to date');
+
+      // Read-only commands never run adapter code
+      const status = await runCLI(projectPath, ['status', '--json', '--source', upstreamPath], { timeout: 20000, env });
+      expect(status.stdout).not.toContain('Not loading');
+      expect(JSON.parse(status.stdout).agents).toEqual([]);
+    });
+
+    it('should exit with usage code for unknown options', async () => {
+      const result = await runCLI(tempDir.path, ['install', '--frobnicate']);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('Unknown option: --frobnicate');
+    });
+  });
+});
+
+// ============================================================================
+// Manifest Sync Tests
+// ============================================================================
+
+describe('Manifest Sync', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Converge installs to the team manifest', () => {
+    it('should list the sync command in help', async () => {
+      const result = await runCLI(tempDir.path, ['--help']);
+
+      expect(result.stdout).toContain('sync');
+      expect(result.stdout).toContain('--manifest');
+    });
+
+    it('should fail when the manifest is missing', async () => {
+      const result = await runCLI(tempDir.path, ['sync']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Manifest not found: skills.json');
+    });
+
+    it('should fail when the manifest lists no targets', async () => {
+      writeFileSync(join(tempDir.path, 'team.json'), '{}');
+
+      const result = await runCLI(tempDir.path, ['sync', '--manifest', 'team.json']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('does not list any skills or agents targets');
+    });
+
+    it('should fail on an invalid repository', async () => {
+      writeFileSync(join(tempDir.path, 'skills.json'), JSON.stringify({ skills: { '.claude/skills/': ['x'] } }));
+
+      const result = await runCLI(tempDir.path, ['sync', '--skills-repo', 'not-a-repo']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid repository "not-a-repo"');
+    });
+
+    it('should reject install-only flags', async () => {
+      const result = await runCLI(tempDir.path, ['sync', '--skills', 'test-skill']);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('Option --skills is not supported by "sync"');
+    });
+  });
+});
+
+// ============================================================================
+// Lockfile Tests
+// ============================================================================
+
+function createUpstreamSkillsRepo(basePath) {
+  const git = (command) => execSync(`git ${command}`, { cwd: basePath, stdio: 'pipe' }).toString().trim();
+  mkdirSync(join(basePath, 'test-skill'), { recursive: true });
+  git('init -q -b main');
+  git('config user.email test@example.com');
+  git('config user.name Test');
+  writeFileSync(join(basePath, 'test-skill', 'SKILL.md'), '---\nname: Test Skill\ndescription: v1\n---\n');
+  git('add -A');
+  git('commit -q -m v1');
+  return git;
+}
+
+describe('Lockfile', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Reproduce the locked install in CI', () => {
+    it('should fail when there is no lockfile', async () => {
+      const result = await runCLI(tempDir.path, ['install', '--frozen']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('skills-lock.json does not pin any installations');
+    });
+
+    it('should reject --frozen combined with a selection', async () => {
+      const result = await runCLI(tempDir.path, ['install', '--frozen', '--skills', 'test-skill']);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('--frozen installs exactly what skills-lock.json pins');
+    });
+
+    it('should install the locked commit and update it later', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      const lockedCommit = git('rev-parse HEAD');
+
+      writeFileSync(join(projectPath, 'skills-lock.json'), JSON.stringify({
+        lockfileVersion: 1,
+        skills: {
+          '.claude/skills/': {
+            repository: upstreamPath,
+            commit: lockedCommit,
+            items: { 'test-skill': git('rev-parse HEAD:test-skill') }
+          }
+        },
+        agents: {}
+      }));
+
+      const install = await runCLI(projectPath, ['install', '--frozen'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(install.exitCode).toBe(0);
+      expect(readFileSync(join(projectPath, '.claude/skills/test-skill/SKILL.md'), 'utf-8')).toContain('v1');
+
+      writeFileSync(join(upstreamPath, 'test-skill', 'SKILL.md'), '---\nname: Test Skill\ndescription: v2\n---\n');
+      git('commit -q -am v2');
+
+      const update = await runCLI(projectPath, ['update'], { timeout: 20000, env: { HOME: tempDir.path } });
+      const lockfile = JSON.parse(readFileSync(join(projectPath, 'skills-lock.json'), 'utf-8'));
+
+      expect(update.exitCode).toBe(0);
+      expect(update.stdout).toContain(`${lockedCommit.slice(0, 7)} → `);
+      expect(lockfile.skills['.claude/skills/'].commit).toBe(git('rev-parse HEAD'));
+      expect(readFileSync(join(projectPath, '.claude/skills/test-skill/SKILL.md'), 'utf-8')).toContain('v2');
+    });
+
+  });
+});
+
+// ============================================================================
+// Update Tests
+// ============================================================================
+
+describe('Update Command', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Refresh installations without re-selecting', () => {
+    it('should fail when the target has no installation', async () => {
+      const result = await runCLI(tempDir.path, ['update', '--target', '.claude/skills/']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('No installation found at .claude/skills/');
+    });
+
+    it('should report when nothing is installed', async () => {
+      const result = await runCLI(tempDir.path, ['update'], { env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('No skills or subagents installations found.');
+    });
+
+    it('should exit with 3 when no installation contains the named items', async () => {
+      const result = await runCLI(tempDir.path, ['update', 'missing-skill'], { env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(3);
+      expect(result.stderr).toContain('No installation contains missing-skill');
+    });
+
+    it('should leave up-to-date installations untouched', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      mkdirSync(join(projectPath, '.claude'), { recursive: true });
+      execSync(`git clone -q "${upstreamPath}" .claude/skills`, { cwd: projectPath, stdio: 'pipe' });
+      execSync('git sparse-checkout set --no-cone /test-skill/', { cwd: join(projectPath, '.claude/skills'), stdio: 'pipe' });
+
+      const result = await runCLI(projectPath, ['update', 'test-skill'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('All 1 skill up to date');
+      expect(git('rev-parse HEAD')).toBe(execSync('git rev-parse HEAD', { cwd: join(projectPath, '.claude/skills') }).toString().trim());
+    });
+
+    it('should report conflicting local edits instead of hiding them', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      mkdirSync(join(projectPath, '.claude'), { recursive: true });
+      execSync(`git clone -q "${upstreamPath}" .claude/skills`, { cwd: projectPath, stdio: 'pipe' });
+      execSync('git sparse-checkout set --no-cone /test-skill/', { cwd: join(projectPath, '.claude/skills'), stdio: 'pipe' });
+      writeFileSync(join(projectPath, '.claude/skills/test-skill/SKILL.md'), '---\nname: Test Skill\ndescription: mine\n---\n');
+      writeFileSync(join(upstreamPath, 'test-skill', 'SKILL.md'), '---\nname: Test Skill\ndescription: v2\n---\n');
+      git('commit -q -am v2');
+
+      const result = await runCLI(projectPath, ['update'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toContain('Local changes in .claude/skills/');
+      expect(result.stdout).toContain('• test-skill: modified test-skill/SKILL.md');
+      expect(result.stderr).toContain('Local changes conflict with the update in test-skill/SKILL.md');
+    });
+
+    it('should print upstream changes without pulling them in preview mode', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      const installedCommit = git('rev-parse HEAD');
+      mkdirSync(join(projectPath, '.claude'), { recursive: true });
+      execSync(`git clone -q "${upstreamPath}" .claude/skills`, { cwd: projectPath, stdio: 'pipe' });
+      execSync('git sparse-checkout set --no-cone /test-skill/', { cwd: join(projectPath, '.claude/skills'), stdio: 'pipe' });
+      writeFileSync(join(upstreamPath, 'test-skill', 'SKILL.md'), '---\nname: Test Skill\ndescription: v2\n---\n');
+      git('commit -q -am "Describe v2"');
+
+      const result = await runCLI(projectPath, ['update', '--preview'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('── test-skill ');
+      expect(result.stdout).toMatch(/Commits \(1\):\n {3}[0-9a-f]+ Describe v2 \(Test, /);
+      expect(result.stdout).toContain('-description: v1\n+description: v2');
+      expect(result.stdout).toContain('Nothing was changed');
+      expect(execSync('git rev-parse HEAD', { cwd: join(projectPath, '.claude/skills') }).toString().trim()).toBe(installedCommit);
+    });
+  });
+});
+
+// ============================================================================
+// Status Tests
+// ============================================================================
+
+describe('Installation Status', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: See every installation at a glance', () => {
+    it('should report an empty JSON status when nothing is installed', async () => {
+      const result = await runCLI(tempDir.path, ['status', '--json'], { env: { HOME: tempDir.path } });
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual({ skills: [], agents: [] });
+    });
+
+    it('should describe a local skills installation', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      const git = createUpstreamSkillsRepo(upstreamPath);
+      const commit = git('rev-parse HEAD');
+
+      writeFileSync(join(projectPath, 'skills-lock.json'), JSON.stringify({
+        lockfileVersion: 1,
+        skills: {
+          '.claude/skills/': { repository: upstreamPath, commit, items: { 'test-skill': git('rev-parse HEAD:test-skill') } }
+        },
+        agents: {}
+      }));
+      await runCLI(projectPath, ['install', '--frozen'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      const json = await runCLI(projectPath, ['list', '--json'], { timeout: 20000, env: { HOME: tempDir.path } });
+      const report = JSON.parse(json.stdout);
+
+      expect(report.skills).toEqual([{
+        path: '.claude/skills/',
+        harness: 'claude',
+        scope: 'local',
+        installMode: 'sparse-git',
+        repository: upstreamPath,
+        items: ['test-skill'],
+        commit,
+        ref: null,
+        behind: 0,
+        outdated: [],
+        modified: []
+      }]);
+
+      const text = await runCLI(projectPath, ['status'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(text.exitCode).toBe(0);
+      expect(text.stdout).toContain('.claude/skills/ (claude | local | sparse-git)');
+      expect(text.stdout).toContain(`Commit: ${commit.slice(0, 7)} (up to date)`);
+    });
+
+    it('should list each skill source cloned below a target', async () => {
+      const projectPath = join(tempDir.path, 'project');
+      mkdirSync(projectPath);
+      const sources = ['agent-skills', 'team-skills'].map(id => {
+        const upstreamPath = join(tempDir.path, id);
+        const git = createUpstreamSkillsRepo(upstreamPath);
+        return { id, upstreamPath, commit: git('rev-parse HEAD'), hash: git('rev-parse HEAD:test-skill') };
+      });
+
+      writeFileSync(join(projectPath, 'skills-lock.json'), JSON.stringify({
+        lockfileVersion: 1,
+        skills: Object.fromEntries(sources.map(source => [
+          `.claude/skills/${source.id}/`,
+          { repository: source.upstreamPath, commit: source.commit, items: { 'test-skill': source.hash } }
+        ])),
+        agents: {}
+      }));
+      await runCLI(projectPath, ['install', '--frozen'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      const json = await runCLI(projectPath, ['status', '--json'], { timeout: 20000, env: { HOME: tempDir.path } });
+      const report = JSON.parse(json.stdout);
+
+      expect(report.skills.map(install => [install.path, install.harness, install.repository])).toEqual([
+        ['.claude/skills/agent-skills/', 'claude', sources[0].upstreamPath],
+        ['.claude/skills/team-skills/', 'claude', sources[1].upstreamPath]
+      ]);
+    });
+
+    it('should reject unsupported options', async () => {
+      const result = await runCLI(tempDir.path, ['status', '--frozen']);
+
+      expect(result.exitCode).toBe(2);
+    });
+  });
+});
+
+// ============================================================================
+// Uninstall Tests
+// ============================================================================
+
+describe('Uninstall Command', () => {
+  let tempDir;
+  let projectPath;
+  let installPath;
+  let upstreamPath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    upstreamPath = join(tempDir.path, 'upstream');
+    const git = createUpstreamSkillsRepo(upstreamPath);
+    mkdirSync(join(upstreamPath, 'other-skill'));
+    writeFileSync(join(upstreamPath, 'other-skill', 'SKILL.md'), '---\nname: Other Skill\ndescription: Other\n---\n');
+    git('add -A');
+    git('commit -q -m other');
+
+    projectPath = join(tempDir.path, 'project');
+    installPath = join(projectPath, '.claude/skills');
+    mkdirSync(join(projectPath, '.claude'), { recursive: true });
+    execSync(`git clone -q "${upstreamPath}" .claude/skills`, { cwd: projectPath, stdio: 'pipe' });
+    execSync('git sparse-checkout set --no-cone /test-skill/ /other-skill/', { cwd: installPath, stdio: 'pipe' });
+    writeFileSync(join(projectPath, '.gitignore'), 'node_modules\n\n# AI Agent Skills\n.claude/skills/\n');
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  const uninstall = (args) => runCLI(projectPath, ['uninstall', ...args, '--skills-repo', upstreamPath], { timeout: 20000, env: { HOME: tempDir.path } });
+
+  describe('User Story: Tear down an installation', () => {
+    it('should require an install path', async () => {
+      const result = await uninstall([]);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stderr).toContain('uninstall needs an install path');
+    });
+
+    it('should fail when the path has no installation', async () => {
+      const result = await uninstall(['.agents/skills/']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('No installation found at .agents/skills/');
+    });
+
+    it('should delete the checkout and its .gitignore block', async () => {
+      const result = await uninstall(['.claude/skills/']);
+
+      expect(result.exitCode).toBe(0);
+      expect(existsSync(installPath)).toBe(false);
+      expect(readFileSync(join(projectPath, '.gitignore'), 'utf-8')).toBe('node_modules\n');
+    });
+
+    it('should keep .gitignore entries the installer did not write', async () => {
+      writeFileSync(join(projectPath, '.gitignore'), 'node_modules\n.claude/skills/\n');
+
+      const result = await uninstall(['.claude/skills/']);
+
+      expect(result.exitCode).toBe(0);
+      expect(readFileSync(join(projectPath, '.gitignore'), 'utf-8')).toBe('node_modules\n.claude/skills/\n');
+    });
+
+    it('should refuse to delete uncommitted edits unless forced', async () => {
+      writeFileSync(join(installPath, 'test-skill', 'SKILL.md'), 'my edits\n');
+
+      const refused = await uninstall(['.claude/skills/']);
+
+      expect(refused.exitCode).toBe(1);
+      expect(refused.stderr).toContain('uncommitted changes (test-skill/SKILL.md)');
+      expect(existsSync(installPath)).toBe(true);
+
+      const forced = await uninstall(['.claude/skills/', '--force']);
+
+      expect(forced.exitCode).toBe(0);
+      expect(existsSync(installPath)).toBe(false);
+    });
+
+    it('should refuse to delete unpushed commits unless forced', async () => {
+      execSync('git -c user.email=t@example.com -c user.name=T commit -q --allow-empty -m local', { cwd: installPath, stdio: 'pipe' });
+
+      const result = await uninstall(['.claude/skills/']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('1 unpushed commit');
+    });
+
+    it('should never delete a repository the installer did not create', async () => {
+      execSync('git init -q && git -c user.email=t@example.com -c user.name=T commit -q --allow-empty -m init', { cwd: projectPath, stdio: 'pipe' });
+
+      const project = await uninstall(['.', '--force']);
+
+      expect(project.exitCode).toBe(1);
+      expect(project.stderr).toContain('No installation found at .');
+      expect(existsSync(join(projectPath, '.git'))).toBe(true);
+
+      const otherRepo = await runCLI(projectPath, ['uninstall', '.claude/skills/', '--force'], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      expect(otherRepo.exitCode).toBe(1);
+      expect(otherRepo.stderr).toContain('refusing to delete it');
+      expect(existsSync(installPath)).toBe(true);
+    });
+
+    it('should remove the per-source clones below a target and its .gitignore block with the last one', async () => {
+      const teamPath = join(tempDir.path, 'team-skills');
+      createUpstreamSkillsRepo(teamPath);
+      rmSync(installPath, { recursive: true, force: true });
+      for (const [source, folders] of [[upstreamPath, '/test-skill/ /other-skill/'], [teamPath, '/test-skill/']]) {
+        const clonePath = join(installPath, source === upstreamPath ? 'upstream' : 'team-skills');
+        execSync(`git clone -q "${source}" "${clonePath}"`, { stdio: 'pipe' });
+        execSync(`git sparse-checkout set --no-cone ${folders}`, { cwd: clonePath, stdio: 'pipe' });
+      }
+      const uninstallSources = (args) => runCLI(projectPath, ['uninstall', ...args, '--skills-repo', upstreamPath, '--skills-repo', teamPath], { timeout: 20000, env: { HOME: tempDir.path } });
+
+      const team = await uninstallSources(['.claude/skills/team-skills/']);
+
+      expect(team.exitCode).toBe(0);
+      expect(existsSync(join(installPath, 'team-skills'))).toBe(false);
+      expect(readFileSync(join(projectPath, '.gitignore'), 'utf-8')).toContain('.claude/skills/');
+
+      const item = await uninstallSources(['.claude/skills/', 'upstream/other-skill']);
+
+      expect(item.exitCode).toBe(0);
+      expect(existsSync(join(installPath, 'upstream', 'other-skill'))).toBe(false);
+      expect(existsSync(join(installPath, 'upstream', 'test-skill', 'SKILL.md'))).toBe(true);
+
+      const target = await uninstallSources(['.claude/skills/']);
+
+      expect(target.exitCode).toBe(0);
+      expect(target.stdout).toContain('Deleted .claude/skills/upstream/');
+      expect(existsSync(join(installPath, 'upstream'))).toBe(false);
+      expect(readFileSync(join(projectPath, '.gitignore'), 'utf-8')).toBe('node_modules\n');
+    });
+  });
+
+  describe('User Story: Remove individual items', () => {
+    it('should remove only the named skill and keep the .gitignore block', async () => {
+      const result = await uninstall(['.claude/skills/', 'other-skill']);
+
+      expect(result.exitCode).toBe(0);
+      expect(existsSync(join(installPath, 'other-skill'))).toBe(false);
+      expect(existsSync(join(installPath, 'test-skill', 'SKILL.md'))).toBe(true);
+      expect(readFileSync(join(installPath, '.git/info/sparse-checkout'), 'utf-8')).not.toContain('other-skill');
+      expect(readFileSync(join(projectPath, '.gitignore'), 'utf-8')).toContain('.claude/skills/');
+    });
+
+    it('should exit with 3 for items that are not installed', async () => {
+      const result = await uninstall(['.claude/skills/', 'missing-skill']);
+
+      expect(result.exitCode).toBe(3);
+      expect(result.stderr).toContain('.claude/skills/ does not contain missing-skill');
+    });
+  });
+});
+
 // ============================================================================
 // Git Availability Tests
 // ============================================================================
@@ -0,0 +1,151 @@
+/**
+ * Integration tests for Claude agent conversion and file sync.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const mockFetchSubagentContent = vi.fn();
+
+vi.mock('../../lib/subagents.js', async () => {
+  const actual = await vi.importActual('../../lib/subagents.js');
+  return {
+    ...actual,
+    fetchSubagentContent: mockFetchSubagentContent,
+  };
+});
+
+const { CLAUDE_MD_FORMAT, configureClaudeMapping } = await import('../../lib/claude-agents.js');
+const {
+  checkGeneratedAgentUpdates,
+  convertGeneratedAgent,
+  findEditedGeneratedAgents,
+  listInstalledGeneratedAgents,
+  removeGeneratedAgents,
+  syncGeneratedAgents,
+} = await import('../../lib/generated-agents.js');
+const { parseFrontmatter } = await import('../../lib/frontmatter.js');
+
+describe('Claude Agents Conversion', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'claude-agents-test-'));
+    mockFetchSubagentContent.mockReset();
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+    configureClaudeMapping();
+  });
+
+  it('should convert a Markdown subagent into a Claude agent file', () => {
+    const markdown = `---
+name: Code Reviewer
+description: 'Reviews pull requests: bugs first'
+tools: [Read, Grep, Glob]
+model: sonnet
+tags: [review]
+---
+
+# Review Checklist
+
+Look for correctness issues first.`;
+
+    const converted = convertGeneratedAgent(CLAUDE_MD_FORMAT, markdown, 'code-review.agent.md', { sourceCommit: 'a'.repeat(40) });
+
+    expect(converted.outputFilename).toBe('code-review.md');
+    expect(converted.content.startsWith(`---
+# Generated by @supercorks/skills-installer from code-review.agent.md
+# Source commit: ${'a'.repeat(40)}
+# Content hash: `)).toBe(true);
+    expect(parseFrontmatter(converted.content)).toEqual({
+      attributes: {
+        name: 'code-reviewer',
+        description: 'Reviews pull requests: bugs first',
+        tools: 'Read, Grep, Glob',
+        model: 'sonnet',
+      },
+      body: '# Review Checklist\n\nLook for correctness issues first.',
+    });
+    expect(converted.warnings).toEqual([]);
+  });
+
+  it('should leave tools out when the agent may use all of them', () => {
+    const markdown = `---\nname: Developer\ndescription: Builds features\ntools: ['*']\nmcp-servers:\n  github:\n    command: npx\n---\n\nBuild it.`;
+
+    const converted = convertGeneratedAgent(CLAUDE_MD_FORMAT, markdown, 'developer.agent.md');
+
+    expect(converted.content).not.toContain('tools:');
+    expect(converted.warnings).toEqual(['"mcp-servers" was left out; configure the servers in Claude\'s MCP settings']);
+  });
+
+  it('should map Copilot tools and models onto Claude names', () => {
+    const markdown = `---\nname: Planner\ndescription: Plans work\ntools: [codebase, editFiles, 'Bash(git:*)', mcp__github__get_issue, read]\nmodel: Claude Sonnet 4\n---\n\nPlan it.`;
+
+    const converted = convertGeneratedAgent(CLAUDE_MD_FORMAT, markdown, 'planner.agent.md');
+
+    expect(parseFrontmatter(converted.content).attributes).toMatchObject({
+      tools: 'Read, Grep, Glob, Edit, MultiEdit, Write, Bash(git:*), mcp__github__get_issue',
+      model: 'sonnet',
+    });
+    expect(converted.warnings).toEqual([]);
+  });
+
+  it('should leave out tools and models without a Claude equivalent', () => {
+    const markdown = `---\nname: Planner\ndescription: Plans work\ntools: [codebase, problems, githubRepo]\nmodel: GPT-4.1\n---\n\nPlan it.`;
+
+    const converted = convertGeneratedAgent(CLAUDE_MD_FORMAT, markdown, 'planner.agent.md');
+
+    expect(parseFrontmatter(converted.content).attributes.tools).toBe('Read, Grep, Glob');
+    expect(converted.content).not.toContain('model:');
+    expect(converted.warnings).toEqual([
+      'tool "problems" has no Claude equivalent and was left out; map it in claudeMapping.tools',
+      'tool "githubRepo" has no Claude equivalent and was left out; map it in claudeMapping.tools',
+      'model "GPT-4.1" has no Claude equivalent and was left out; map it in claudeMapping.models',
+    ]);
+
+    configureClaudeMapping({ models: { 'gpt-4.1': 'opus' }, tools: { githubrepo: 'WebFetch' } });
+    const remapped = convertGeneratedAgent(CLAUDE_MD_FORMAT, markdown, 'planner.agent.md');
+
+    expect(parseFrontmatter(remapped.content).attributes).toMatchObject({ tools: 'Read, Grep, Glob, WebFetch', model: 'opus' });
+  });
+
+  it('should sync, update and remove only installer-generated files', async () => {
+    writeFileSync(join(tempDir, 'manual.md'), '---\nname: manual\ndescription: Manual agent\n---\n\nKeep me\n', 'utf8');
+    mockFetchSubagentContent.mockResolvedValue(`---\nname: Developer\ndescription: Builds features\n---\n\nBuild it.`);
+
+    await syncGeneratedAgents(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md']);
+
+    expect(await listInstalledGeneratedAgents(CLAUDE_MD_FORMAT, tempDir)).toEqual(['developer.agent.md']);
+    expect(readFileSync(join(tempDir, 'developer.md'), 'utf8')).toContain('name: developer\ndescription: Builds features\n---\n\nBuild it.\n');
+
+    mockFetchSubagentContent.mockResolvedValue(`---\nname: Developer\ndescription: Builds features\n---\n\nBuild it well.`);
+    expect(await checkGeneratedAgentUpdates(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md'])).toEqual(new Set(['developer.agent.md']));
+
+    expect(await removeGeneratedAgents(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md'])).toEqual(['developer.agent.md']);
+    expect(() => readFileSync(join(tempDir, 'developer.md'), 'utf8')).toThrow();
+    expect(readFileSync(join(tempDir, 'manual.md'), 'utf8')).toContain('Keep me');
+  });
+
+  it('should merge upstream changes into hand-edited files', async () => {
+    const firstCommit = 'a'.repeat(40);
+    const secondCommit = 'b'.repeat(40);
+    mockFetchSubagentContent.mockImplementation(async (filename, options) =>
+      `---\nname: Developer\ndescription: Builds features\n---\n\nStep 1\nStep 2\nStep 3\nStep 4\n${options.ref === firstCommit ? 'Step 5' : 'Step 5, then report'}`);
+    await syncGeneratedAgents(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md'], undefined, { ref: firstCommit });
+
+    const filePath = join(tempDir, 'developer.md');
+    writeFileSync(filePath, readFileSync(filePath, 'utf8').replace('Step 1', 'Step 1, carefully'), 'utf8');
+    expect(findEditedGeneratedAgents(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md'])).toEqual([{ item: 'developer.agent.md', modified: ['developer.md'] }]);
+
+    await syncGeneratedAgents(CLAUDE_MD_FORMAT, tempDir, ['developer.agent.md'], undefined, { ref: secondCommit, localChanges: 'merge' });
+
+    const merged = readFileSync(filePath, 'utf8');
+    expect(merged.startsWith(`---\n# Generated by @supercorks/skills-installer from developer.agent.md\n# Source commit: ${secondCommit}\n`)).toBe(true);
+    expect(merged).toContain('Step 1, carefully');
+    expect(merged).toContain('Step 5, then report');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Integration tests for lib/cli-args.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { EXIT_CODES, parseArgs } from '../../lib/cli-args.js';
+
+describe('CLI Argument Parsing', () => {
+  describe('User Story: Run installs from CI scripts', () => {
+    it('should parse the command and comma-separated item lists', () => {
+      const parsed = parseArgs(['install', '--skills', 'a, b', '--agents', 'Developer.agent.md']);
+
+      expect(parsed.command).toBe('install');
+      expect(parsed.options.skills).toEqual(['a', 'b']);
+      expect(parsed.options.agents).toEqual(['Developer.agent.md']);
+    });
+
+    it('should merge repeated list options and collect repeated targets', () => {
+      const parsed = parseArgs([
+        '--skills=a',
+        '--skills', 'b,c',
+        '--target', '.claude/skills/',
+        '--target=.agents/skills/'
+      ]);
+
+      expect(parsed.command).toBeUndefined();
+      expect(parsed.options.skills).toEqual(['a', 'b', 'c']);
+      expect(parsed.options.targets).toEqual(['.claude/skills/', '.agents/skills/']);
+    });
+
+    it('should map dashed option names to camelCase keys', () => {
+      const parsed = parseArgs(['--skills-target', 'x/', '--agents-target', 'y/']);
+
+      expect(parsed.options.skillTargets).toEqual(['x/']);
+      expect(parsed.options.agentTargets).toEqual(['y/']);
+    });
+
+    it('should support negatable booleans and short aliases', () => {
+      expect(parseArgs(['--gitignore']).options.gitignore).toBe(true);
+      expect(parseArgs(['--no-gitignore']).options.gitignore).toBe(false);
+      expect(parseArgs(['-y']).options.yes).toBe(true);
+      expect(parseArgs(['-h']).options.help).toBe(true);
+      expect(parseArgs(['-v']).options.version).toBe(true);
+    });
+
+    it('should collect positionals after the command', () => {
+      const parsed = parseArgs(['install', 'extra', '--', '--not-an-option']);
+
+      expect(parsed.positionals).toEqual(['extra', '--not-an-option']);
+    });
+  });
+
+  describe('User Story: See usage errors for invalid flags', () => {
+    it('should reject unknown options with the usage exit code', () => {
+      try {
+        parseArgs(['--frobnicate']);
+        throw new Error('expected parseArgs to throw');
+      } catch (error) {
+        expect(error.message).toBe('Unknown option: --frobnicate');
+        expect(error.exitCode).toBe(EXIT_CODES.USAGE);
+      }
+    });
+
+    it('should reject value options without a value', () => {
+      expect(() => parseArgs(['--target'])).toThrow('Option --target requires a value');
+      expect(() => parseArgs(['--skills', '--yes'])).toThrow('Option --skills requires a value');
+    });
+
+    it('should reject values passed to boolean options', () => {
+      expect(() => parseArgs(['--yes=no'])).toThrow('does not take a value');
+      expect(() => parseArgs(['--no-gitignore=1'])).toThrow('does not take a value');
+    });
+  });
+});
@@ -18,11 +18,18 @@ vi.mock('../../lib/subagents.js', async () => {
 });
 
 const {
+  DEFAULT_CODEX_MAPPING,
   checkCodexAgentUpdates,
+  configureCodexMapping,
   convertSubagentMarkdownToCodexToml,
+  findEditedCodexAgents,
+  getCodexAgentChanges,
+  isCodexAgentEdited,
   listInstalledCodexAgents,
+  removeCodexAgents,
   syncCodexAgents,
 } = await import('../../lib/codex-agents.js');
+const { hashGitBlob } = await import('../../lib/git.js');
 
 function makeTempDir() {
   return mkdtempSync(join(tmpdir(), 'codex-agents-test-'));
@@ -124,4 +131,261 @@ Look for correctness issues first.`;
 
     expect(Array.from(updates)).toEqual(['developer.agent.md']);
   });
+
+  it('should diff the installed TOML against the current source conversion', async () => {
+    writeFileSync(
+      join(tempDir, 'developer.toml'),
+      '# Generated by @supercorks/skills-installer from developer.agent.md\nname = "developer"\ndescription = "Developer"\ndeveloper_instructions = \'\'\'\nOld body\n\'\'\'\n',
+      'utf8'
+    );
+
+    mockFetchSubagentContent.mockResolvedValue(`---\nname: Developer\ndescription: Developer\n---\n\nNew body`);
+
+    const changes = await getCodexAgentChanges(tempDir, 'developer.agent.md');
+
+    expect(changes.log).toBe('');
+    expect(changes.diff).toContain('--- a/developer.toml (installed)\n+++ b/developer.toml (upstream)');
+    expect(changes.diff).toContain('-Old body\n+New body');
+  });
+
+  it('should remove only installer-generated files for the given agents', async () => {
+    writeFileSync(
+      join(tempDir, 'developer.toml'),
+      '# Generated by @supercorks/skills-installer from developer.agent.md\nname = "developer"\n',
+      'utf8'
+    );
+    writeFileSync(join(tempDir, 'manual.toml'), 'name = "developer"\n', 'utf8');
+
+    const removed = await removeCodexAgents(tempDir, ['developer.agent.md', 'tester.agent.md']);
+
+    expect(removed).toEqual(['developer.agent.md']);
+    expect(() => readFileSync(join(tempDir, 'developer.toml'), 'utf8')).toThrow();
+    expect(readFileSync(join(tempDir, 'manual.toml'), 'utf8')).toContain('developer');
+  });
+
+  it('should refuse to write agents whose source does not match the locked hash', async () => {
+    mockFetchSubagentContent.mockResolvedValue(`---\nname: Developer\ndescription: Developer\n---\n\nChanged body`);
+
+    await expect(syncCodexAgents(tempDir, ['developer.agent.md'], undefined, {
+      expectedHashes: { 'developer.agent.md': '0'.repeat(40) }
+    })).rejects.toThrow('developer.agent.md does not match the locked content');
+
+    expect(() => readFileSync(join(tempDir, 'developer.toml'), 'utf8')).toThrow();
+  });
+
+  it('should return the source hash of every synced agent', async () => {
+    const source = `---\nname: Developer\ndescription: Developer\n---\n\nBody`;
+    mockFetchSubagentContent.mockResolvedValue(source);
+
+    const hashes = await syncCodexAgents(tempDir, ['developer.agent.md']);
+
+    expect(hashes).toEqual({ 'developer.agent.md': hashGitBlob(source) });
+    expect(mockFetchSubagentContent).toHaveBeenCalledWith('developer.agent.md', {});
+  });
+});
+
+describe('Hand-edited Codex Agents', () => {
+  const firstCommit = 'a'.repeat(40);
+  const secondCommit = 'b'.repeat(40);
+  const source = (lastLine) => `---\nname: Developer\ndescription: Builds features\n---\n\nStep 1\nStep 2\nStep 3\nStep 4\n${lastLine}`;
+  let tempDir;
+  let tomlPath;
+
+  beforeEach(async () => {
+    tempDir = makeTempDir();
+    tomlPath = join(tempDir, 'developer.toml');
+    mockFetchSubagentContent.mockReset();
+    mockFetchSubagentContent.mockImplementation(async (filename, options) => source(options.ref === firstCommit ? 'Step 5' : 'Step 5, then report'));
+    await syncCodexAgents(tempDir, ['developer.agent.md'], undefined, { ref: firstCommit });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const editDescription = () => {
+    writeFileSync(tomlPath, readFileSync(tomlPath, 'utf8').replace('Builds features', 'Builds features in TypeScript'), 'utf8');
+  };
+
+  it('should record the source commit and a content hash in the header', () => {
+    const toml = readFileSync(tomlPath, 'utf8');
+
+    expect(toml).toContain(`# Source commit: ${firstCommit}\n# Content hash: `);
+    expect(isCodexAgentEdited(toml)).toBe(false);
+    expect(isCodexAgentEdited(toml.replace('Step 1', 'First step'))).toBe(true);
+    // Files written before hashes were added cannot tell
+    expect(isCodexAgentEdited('# Generated by @supercorks/skills-installer from developer.agent.md\nname = "developer"\n')).toBe(false);
+  });
+
+  it('should tell hand edits from upstream changes', async () => {
+    editDescription();
+
+    expect(findEditedCodexAgents(tempDir, ['developer.agent.md'])).toEqual([{ item: 'developer.agent.md', modified: ['developer.toml'] }]);
+    expect(await checkCodexAgentUpdates(tempDir, ['developer.agent.md'], { ref: firstCommit })).toEqual(new Set());
+    expect(await checkCodexAgentUpdates(tempDir, ['developer.agent.md'], { ref: secondCommit })).toEqual(new Set(['developer.agent.md']));
+  });
+
+  it('should keep edited files by default', async () => {
+    editDescription();
+    const edited = readFileSync(tomlPath, 'utf8');
+    const progress = [];
+
+    await syncCodexAgents(tempDir, ['developer.agent.md'], message => progress.push(message), { ref: secondCommit });
+
+    expect(readFileSync(tomlPath, 'utf8')).toBe(edited);
+    expect(progress).toContain('Kept local edits to developer.toml');
+  });
+
+  it('should merge upstream changes into edited files', async () => {
+    editDescription();
+    const progress = [];
+
+    await syncCodexAgents(tempDir, ['developer.agent.md'], message => progress.push(message), { ref: secondCommit, localChanges: 'merge' });
+
+    const merged = readFileSync(tomlPath, 'utf8');
+    expect(merged).toContain('Builds features in TypeScript');
+    expect(merged).toContain('Step 5, then report');
+    expect(merged).toContain(`# Source commit: ${secondCommit}`);
+    expect(isCodexAgentEdited(merged)).toBe(true);
+    expect(progress).toContain('Merged local edits into developer.toml');
+  });
+
+  it('should mark conflicting edits when merging', async () => {
+    writeFileSync(tomlPath, readFileSync(tomlPath, 'utf8').replace('Step 5', 'Step 5, then stop'), 'utf8');
+    const progress = [];
+
+    await syncCodexAgents(tempDir, ['developer.agent.md'], message => progress.push(message), { ref: secondCommit, localChanges: 'merge' });
+
+    const merged = readFileSync(tomlPath, 'utf8');
+    expect(merged).toContain('<<<<<<< developer.toml (local)\nStep 5, then stop\n=======\nStep 5, then report\n>>>>>>> developer.toml (upstream)');
+    expect(progress).toContain('⚠️  Merged local edits into developer.toml with 1 conflict; resolve the conflict markers');
+  });
+
+  it('should overwrite edited files when discarding', async () => {
+    editDescription();
+
+    await syncCodexAgents(tempDir, ['developer.agent.md'], undefined, { ref: secondCommit, localChanges: 'discard' });
+
+    const toml = readFileSync(tomlPath, 'utf8');
+    expect(toml).not.toContain('TypeScript');
+    expect(isCodexAgentEdited(toml)).toBe(false);
+  });
+});
+
+describe('Codex Agent Frontmatter Mapping', () => {
+  const reviewer = `---
+name: Reviewer
+description: Reviews code
+model: gpt-5
+reasoning-effort: high
+tools: Read, Grep, Bash(git diff:*), github/*
+color: blue
+mcp-servers:
+  github:
+    type: local
+    command: npx
+    args: ['-y', '@modelcontextprotocol/server-github']
+    env:
+      GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
+    tools: ['list_issues']
+    timeout: 10
+---
+
+Review the diff.`;
+
+  afterEach(() => {
+    configureCodexMapping();
+  });
+
+  it('should map model, reasoning, tools and MCP servers onto Codex keys', () => {
+    const { toml } = convertSubagentMarkdownToCodexToml(reviewer, 'reviewer.agent.md');
+
+    expect(toml).toContain('description = "Reviews code"\nmodel = "gpt-5"\nmodel_reasoning_effort = "high"\nsandbox_mode = "workspace-write"\ndeveloper_instructions');
+    expect(toml).toContain(`'''
+
+[mcp_servers.github]
+command = "npx"
+args = ["-y", "@modelcontextprotocol/server-github"]
+env = { GITHUB_TOKEN = "\${{ secrets.GITHUB_TOKEN }}" }
+enabled_tools = ["list_issues"]
+`);
+  });
+
+  it('should warn about frontmatter that has no Codex equivalent', () => {
+    const { warnings } = convertSubagentMarkdownToCodexToml(reviewer, 'reviewer.agent.md');
+
+    expect(warnings).toEqual([
+      '"color" has no Codex equivalent and was left out',
+      'mcp-servers.github.env uses ${{ }} expressions, which Codex does not expand',
+      'mcp-servers.github.timeout has no Codex equivalent',
+    ]);
+  });
+
+  it('should leave out Claude models and keep read-only agents read-only', () => {
+    const markdown = `---\nname: Explorer\ndescription: Explores\nmodel: sonnet\ntools: [Read, Glob]\n---\n\nExplore.`;
+
+    const { toml, warnings } = convertSubagentMarkdownToCodexToml(markdown, 'explorer.agent.md');
+
+    expect(toml).not.toContain('model =');
+    expect(toml).toContain('sandbox_mode = "read-only"');
+    expect(warnings).toEqual(['model "sonnet" has no Codex equivalent; map it in codexMapping.models']);
+  });
+
+  it('should map Copilot tool names and leave the sandbox unset for tools without a mode', () => {
+    const copilot = (tools) => convertSubagentMarkdownToCodexToml(`---\nname: Dev\ndescription: Builds\ntools: ${tools}\n---\n\nBuild.`, 'dev.agent.md');
+
+    expect(copilot("['codebase', 'editFiles']").toml).toContain('sandbox_mode = "workspace-write"');
+    expect(copilot("['codebase', 'runInTerminal', 'new', 'problems']").toml).toContain('sandbox_mode = "workspace-write"');
+    expect(copilot("['codebase', 'search', 'usages']").toml).toContain('sandbox_mode = "read-only"');
+
+    const network = copilot("['codebase', 'fetch']");
+    expect(network.toml).not.toContain('sandbox_mode');
+    expect(network.warnings).toEqual([]);
+
+    const unknown = copilot("['codebase', 'teleport']");
+    expect(unknown.toml).not.toContain('sandbox_mode');
+    expect(unknown.warnings).toEqual(['tool "teleport" has no Codex equivalent; sandbox_mode was left out']);
+  });
+
+  it('should turn model names into Codex model ids', () => {
+    const modelOf = (model) => convertSubagentMarkdownToCodexToml(`---\nname: Dev\ndescription: Builds\nmodel: ${model}\n---\n\nBuild.`, 'dev.agent.md');
+
+    expect(modelOf('GPT-5 (Preview)').toml).toContain('model = "gpt-5"\n');
+    expect(modelOf('GPT-5 mini').toml).toContain('model = "gpt-5-mini"\n');
+    expect(modelOf('GPT-5-Codex').toml).toContain('model = "gpt-5-codex"\n');
+    expect(modelOf('Claude Sonnet 4').warnings).toEqual(['model "Claude Sonnet 4" has no Codex equivalent; map it in codexMapping.models']);
+
+    const display = modelOf('Gemini 2.5 Pro');
+    expect(display.toml).not.toContain('model =');
+    expect(display.warnings).toEqual(['model "Gemini 2.5 Pro" is not a Codex model id and was left out; map it in codexMapping.models']);
+
+    configureCodexMapping({ models: { 'gemini 2.5 pro': 'gpt-5' } });
+    expect(modelOf('Gemini 2.5 Pro').toml).toContain('model = "gpt-5"\n');
+  });
+
+  it('should extend the default tables with the configured mapping', () => {
+    configureCodexMapping({ models: { sonnet: 'gpt-5-codex' }, tools: { webfetch: 'danger-full-access' } });
+    const markdown = `---\nname: Explorer\ndescription: Explores\nmodel: sonnet\ntools: Read, WebFetch\n---\n\nExplore.`;
+
+    const { toml, warnings } = convertSubagentMarkdownToCodexToml(markdown, 'explorer.agent.md');
+
+    expect(toml).toContain('model = "gpt-5-codex"\nsandbox_mode = "danger-full-access"');
+    expect(warnings).toEqual([]);
+    expect(DEFAULT_CODEX_MAPPING.models).toEqual({});
+  });
+
+  it('should report conversion warnings while syncing', async () => {
+    const tempDir = makeTempDir();
+    mockFetchSubagentContent.mockReset();
+    mockFetchSubagentContent.mockResolvedValue(`---\nname: Developer\ndescription: Builds\ncolor: red\n---\n\nBuild.`);
+    const progress = [];
+
+    try {
+      await syncCodexAgents(tempDir, ['developer.agent.md'], message => progress.push(message));
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    expect(progress).toContain('⚠️  developer.agent.md: "color" has no Codex equivalent and was left out');
+  });
 });
@@ -0,0 +1,215 @@
+/**
+ * Integration tests for lib/config.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const homeDir = mkdtempSync(join(tmpdir(), 'config-home-'));
+
+vi.mock('os', async () => {
+  const actual = await vi.importActual('os');
+  return { ...actual, homedir: () => homeDir };
+});
+
+const {
+  CONFIG_FILENAME,
+  DEFAULT_AGENTS_REPO,
+  DEFAULT_SKILLS_REPO,
+  getUserConfigPath,
+  isSameRepository,
+  loadConfig,
+  parseRepoSpec,
+  resolveHarnessSpecs,
+  resolveRepos
+} = await import('../../lib/config.js');
+
+describe('Installer Configuration', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'config-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+    rmSync(join(homeDir, '.config'), { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  function writeUserConfig(data) {
+    mkdirSync(join(homeDir, '.config', 'skills-installer'), { recursive: true });
+    writeFileSync(getUserConfigPath(), JSON.stringify(data));
+  }
+
+  describe('User Story: Point the installer at an internal fork', () => {
+    it('should default to the supercorks repositories', () => {
+      expect(resolveRepos({}, tempDir)).toEqual({
+        skills: DEFAULT_SKILLS_REPO,
+        skillSources: [{ ...DEFAULT_SKILLS_REPO, id: 'agent-skills' }],
+        agents: DEFAULT_AGENTS_REPO
+      });
+    });
+
+    it('should let the project config override the user config and flags override both', () => {
+      writeUserConfig({ skillsRepo: 'user/skills', agentsRepo: 'user/agents' });
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ skillsRepo: 'project/skills' }));
+
+      expect(resolveRepos({}, tempDir)).toEqual({
+        skills: { owner: 'project', name: 'skills' },
+        skillSources: [{ owner: 'project', name: 'skills', id: 'skills' }],
+        agents: { owner: 'user', name: 'agents' }
+      });
+      expect(resolveRepos({ agentsRepo: 'flag/agents' }, tempDir).agents).toEqual({ owner: 'flag', name: 'agents' });
+    });
+
+    it('should reject config files that are not valid', () => {
+      writeFileSync(join(tempDir, CONFIG_FILENAME), '{ nope');
+      expect(() => resolveRepos({}, tempDir)).toThrow('Could not parse');
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ skillsRepo: 42 }));
+      expect(() => resolveRepos({}, tempDir)).toThrow('"skillsRepo"');
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ cacheTtl: -1 }));
+      expect(() => resolveRepos({}, tempDir)).toThrow('"cacheTtl"');
+    });
+  });
+
+  describe('User Story: Map subagents onto Codex agents', () => {
+    it('should load a Codex mapping from the config', () => {
+      const codexMapping = { models: { sonnet: 'gpt-5' }, tools: { webfetch: 'workspace-write', teleport: 'inherit' } };
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ codexMapping }));
+
+      expect(loadConfig(tempDir).codexMapping).toEqual(codexMapping);
+    });
+
+    it('should reject mappings that are not valid', () => {
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ codexMapping: { agents: {} } }));
+      expect(() => loadConfig(tempDir)).toThrow('"codexMapping.agents"');
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ codexMapping: { models: { sonnet: 5 } } }));
+      expect(() => loadConfig(tempDir)).toThrow('"codexMapping.models.sonnet"');
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ codexMapping: { tools: { bash: 'full' } } }));
+      expect(() => loadConfig(tempDir)).toThrow('must be one of read-only, workspace-write, danger-full-access, inherit');
+    });
+
+    it('should load and check a Claude mapping', () => {
+      const claudeMapping = { models: { 'gpt-4.1': 'sonnet' }, tools: { githubrepo: 'WebFetch' } };
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ claudeMapping }));
+      expect(loadConfig(tempDir).claudeMapping).toEqual(claudeMapping);
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ claudeMapping: { fields: {} } }));
+      expect(() => loadConfig(tempDir)).toThrow('"claudeMapping.fields"');
+    });
+  });
+
+  describe('User Story: Load adapters for other assistants', () => {
+    it('should accept a list of harness adapter modules', () => {
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ harnesses: ['./tools/windsurf.js', 'skills-installer-harness-cursor'] }));
+      expect(loadConfig(tempDir).harnesses).toEqual(['./tools/windsurf.js', 'skills-installer-harness-cursor']);
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ harnesses: './tools/windsurf.js' }));
+      expect(() => loadConfig(tempDir)).toThrow('"harnesses"');
+    });
+
+    it('should only load project adapters when they are trusted', () => {
+      mkdirSync(join(homeDir, '.config', 'skills-installer'), { recursive: true });
+      writeFileSync(getUserConfigPath(), JSON.stringify({ harnesses: ['skills-installer-harness-cursor'] }));
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ harnesses: ['./tools/windsurf.js'] }));
+
+      expect(resolveHarnessSpecs(false, tempDir)).toEqual({
+        specs: ['skills-installer-harness-cursor'],
+        ignored: ['./tools/windsurf.js']
+      });
+      expect(resolveHarnessSpecs(true, tempDir)).toEqual({
+        specs: ['skills-installer-harness-cursor', './tools/windsurf.js'],
+        ignored: []
+      });
+    });
+  });
+
+  describe('User Story: Install skills from several sources', () => {
+    it('should accept a list of skills repositories in the config', () => {
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({
+        skillsRepo: ['supercorks/agent-skills', 'acme/team-skills', 'https://github.com/Supercorks/agent-skills.git']
+      }));
+
+      const repos = resolveRepos({}, tempDir);
+
+      expect(repos.skills).toEqual(DEFAULT_SKILLS_REPO);
+      expect(repos.skillSources).toEqual([
+        { ...DEFAULT_SKILLS_REPO, id: 'agent-skills' },
+        { owner: 'acme', name: 'team-skills', id: 'team-skills' }
+      ]);
+    });
+
+    it('should prefix the owner when two sources share a repository name', () => {
+      const repos = resolveRepos({ skillsRepo: ['supercorks/agent-skills', 'acme/agent-skills'] }, tempDir);
+
+      expect(repos.skillSources.map(source => source.id)).toEqual(['supercorks-agent-skills', 'acme-agent-skills']);
+    });
+
+    it('should reject an empty or mixed list', () => {
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ skillsRepo: [] }));
+      expect(() => resolveRepos({}, tempDir)).toThrow('or a list of them');
+
+      writeFileSync(join(tempDir, CONFIG_FILENAME), JSON.stringify({ skillsRepo: ['acme/skills', 7] }));
+      expect(() => resolveRepos({}, tempDir)).toThrow('or a list of them');
+    });
+  });
+
+  describe('User Story: Recognize repositories in any URL form', () => {
+    it('should parse owner/name and GitHub URLs', () => {
+      const expected = { owner: 'acme', name: 'agent-skills' };
+
+      expect(parseRepoSpec('acme/agent-skills')).toEqual(expected);
+      expect(parseRepoSpec('https://github.com/acme/agent-skills.git')).toEqual(expected);
+      expect(parseRepoSpec('git@github.com:acme/agent-skills.git')).toEqual(expected);
+    });
+
+    it('should reject anything else', () => {
+      expect(() => parseRepoSpec('agent-skills')).toThrow('Invalid repository "agent-skills"');
+    });
+
+    it('should accept URLs on the configured GitHub Enterprise host', () => {
+      const url = 'https://github.acme.com/acme/agent-skills.git';
+      expect(() => parseRepoSpec(url)).toThrow('Invalid repository');
+
+      process.env.GH_HOST = 'github.acme.com';
+      try {
+        expect(parseRepoSpec(url)).toEqual({ owner: 'acme', name: 'agent-skills' });
+        expect(parseRepoSpec('git@github.acme.com:acme/agent-skills.git')).toEqual({ owner: 'acme', name: 'agent-skills' });
+      } finally {
+        delete process.env.GH_HOST;
+      }
+    });
+
+    it('should parse local checkouts given as paths or file:// URLs', () => {
+      expect(parseRepoSpec('/srv/mirror/agent-skills/')).toEqual({ name: 'agent-skills', path: '/srv/mirror/agent-skills' });
+      expect(parseRepoSpec('file:///srv/mirror/agent-skills')).toEqual({ name: 'agent-skills', path: '/srv/mirror/agent-skills' });
+      expect(parseRepoSpec('./mirror/subagents')).toEqual({ name: 'subagents', path: join(process.cwd(), 'mirror', 'subagents') });
+      expect(parseRepoSpec('~/mirror/subagents').path).toBe(join(homeDir, 'mirror', 'subagents'));
+    });
+
+    it('should use --source for both kinds unless a kind is set explicitly', () => {
+      const repos = resolveRepos({ source: '/srv/mirror', agentsRepo: 'acme/subagents' }, tempDir);
+
+      expect(repos.skills).toEqual({ name: 'mirror', path: '/srv/mirror' });
+      expect(repos.agents).toEqual({ owner: 'acme', name: 'subagents' });
+    });
+
+    it('should compare repositories regardless of URL form and case', () => {
+      expect(isSameRepository('https://github.com/Acme/Skills', 'git@github.com:acme/skills.git')).toBe(true);
+      expect(isSameRepository('acme/skills', 'acme/agents')).toBe(false);
+      expect(isSameRepository('/tmp/upstream', '/tmp/upstream')).toBe(true);
+      expect(isSameRepository('/tmp/upstream/', 'file:///tmp/upstream')).toBe(true);
+      expect(isSameRepository('/tmp/upstream', 'acme/upstream')).toBe(false);
+    });
+  });
+});
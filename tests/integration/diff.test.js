@@ -0,0 +1,57 @@
+/**
+ * Integration tests for lib/diff.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createUnifiedDiff } from '../../lib/diff.js';
+
+describe('Unified Diff', () => {
+  describe('User Story: Review what an update changes', () => {
+    it('should return an empty diff for identical texts', () => {
+      expect(createUnifiedDiff('a\nb\n', 'a\nb', 'a/file', 'b/file')).toBe('');
+    });
+
+    it('should show changes with three lines of context', () => {
+      const oldText = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+      const newText = ['1', '2', '3', '4', 'five', '6', '7', '8'].join('\n');
+
+      expect(createUnifiedDiff(oldText, newText, 'a/file', 'b/file')).toBe([
+        '--- a/file',
+        '+++ b/file',
+        '@@ -2,7 +2,7 @@',
+        ' 2',
+        ' 3',
+        ' 4',
+        '-5',
+        '+five',
+        ' 6',
+        ' 7',
+        ' 8'
+      ].join('\n'));
+    });
+
+    it('should split distant changes into hunks', () => {
+      const oldText = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`).join('\n');
+      const newText = ['line 0', ...oldText.split('\n').slice(0, 19)].join('\n');
+
+      expect(createUnifiedDiff(oldText, newText, 'a/file', 'b/file')).toBe([
+        '--- a/file',
+        '+++ b/file',
+        '@@ -1,3 +1,4 @@',
+        '+line 0',
+        ' line 1',
+        ' line 2',
+        ' line 3',
+        '@@ -17,4 +18,3 @@',
+        ' line 17',
+        ' line 18',
+        ' line 19',
+        '-line 20'
+      ].join('\n'));
+    });
+
+    it('should number an empty side like diff -u', () => {
+      expect(createUnifiedDiff('', 'new\n', 'a/file', 'b/file')).toBe('--- a/file\n+++ b/file\n@@ -0,0 +1 @@\n+new');
+    });
+  });
+});
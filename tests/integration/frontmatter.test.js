@@ -0,0 +1,134 @@
+/**
+ * Integration tests for lib/frontmatter.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseFrontmatter, parseMetadata } from '../../lib/frontmatter.js';
+
+describe('Frontmatter', () => {
+  describe('User Story: Read descriptions the way authors wrote them', () => {
+    it('should parse folded and multi-line descriptions', () => {
+      const metadata = parseMetadata(`---
+name: Deploy
+description: >
+  Ship the current branch
+  to production.
+---
+# Deploy`);
+
+      expect(metadata.name).toBe('Deploy');
+      expect(metadata.description).toBe('Ship the current branch to production.');
+    });
+
+    it('should keep quotes, apostrophes and colons inside values', () => {
+      const metadata = parseMetadata(`---
+name: "Reviewer's \\"Helper\\""
+description: 'Use it when a PR''s note says name: value'
+---
+`);
+
+      expect(metadata.name).toBe('Reviewer\'s "Helper"');
+      expect(metadata.description).toBe('Use it when a PR\'s note says name: value');
+    });
+
+    it('should not pick up keys nested in other values', () => {
+      const metadata = parseMetadata(`---
+metadata:
+  name: nested
+description: Top level only
+---
+`);
+
+      expect(metadata.name).toBe('');
+      expect(metadata.description).toBe('Top level only');
+      expect(metadata.metadata).toEqual({ name: 'nested' });
+    });
+  });
+
+  describe('User Story: Return every field', () => {
+    it('should return tags, version, tools, model and harnesses', () => {
+      const metadata = parseMetadata(`---
+name: Developer
+description: Writes code
+tags: [backend, testing]
+version: 1.10
+tools: Read, Grep, Bash
+model: sonnet
+harnesses:
+  - Claude
+  - codex
+---
+`);
+
+      expect(metadata).toEqual({
+        name: 'Developer',
+        description: 'Writes code',
+        tags: ['backend', 'testing'],
+        version: '1.10',
+        tools: ['Read', 'Grep', 'Bash'],
+        model: 'sonnet',
+        harnesses: ['claude', 'codex']
+      });
+    });
+
+    it('should read allowed-tools as tools', () => {
+      const metadata = parseMetadata('---\nallowed-tools: Bash(git log:*) Read\n---\n');
+
+      expect(metadata.tools).toEqual(['Bash(git log:*)', 'Read']);
+    });
+
+    it('should keep multi-word tags, tools and harness names together', () => {
+      const metadata = parseMetadata(`---
+tags: machine learning, data science
+tools: Bash(git diff, git log), Read
+harnesses: GitHub Copilot, Claude Code
+---
+`);
+
+      expect(metadata.tags).toEqual(['machine learning', 'data science']);
+      expect(metadata.tools).toEqual(['Bash(git diff, git log)', 'Read']);
+      expect(metadata.harnesses).toEqual(['github copilot', 'claude code']);
+    });
+  });
+
+  describe('User Story: Support every frontmatter format', () => {
+    it('should parse ```skill and ```chatagent fences', () => {
+      for (const fence of ['skill', 'chatagent']) {
+        const { attributes, body } = parseFrontmatter(`\`\`\`${fence}
+---
+name: Fenced
+---
+\`\`\`
+
+# Body`);
+
+        expect(attributes).toEqual({ name: 'Fenced' });
+        expect(body).toBe('# Body');
+      }
+    });
+
+    it('should only read a fence at the top of the file', () => {
+      const example = 'Write skills like this:\n\n```skill\n---\nname: Example\ndescription: From a code sample\n---\n```\n';
+
+      expect(parseMetadata(`# Guide\n\n${example}`)).toEqual({ name: '', description: '' });
+      expect(parseFrontmatter(`\uFEFF\n\n\`\`\`chatagent\n---\nname: Leading\n---\n\`\`\`\nBody`)).toEqual({
+        attributes: { name: 'Leading' },
+        body: 'Body'
+      });
+    });
+
+    it('should handle CRLF line endings and a frontmatter at the end of the file', () => {
+      expect(parseFrontmatter('---\r\nname: Windows\r\n---\r\nBody\r\n')).toEqual({
+        attributes: { name: 'Windows' },
+        body: 'Body'
+      });
+      expect(parseMetadata('---\ndescription: Only\n---').description).toBe('Only');
+    });
+
+    it('should treat missing or invalid frontmatter as empty', () => {
+      expect(parseMetadata('# No frontmatter')).toEqual({ name: '', description: '' });
+      expect(parseMetadata('---\nname: [unclosed\n---\n')).toEqual({ name: '', description: '' });
+      expect(parseFrontmatter('---\n---\nBody')).toEqual({ attributes: {}, body: 'Body' });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Integration tests for lib/git-discovery.js
+ * Lists and reads a repository through a cached blobless clone, with
+ * https://github.com/ redirected to a local upstream by git config.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { readRepositoryFile, readRepositoryFiles, withGitFallback } from '../../lib/git-discovery.js';
+
+const ENV_KEYS = ['XDG_CACHE_HOME', 'GIT_CONFIG_COUNT', 'GIT_CONFIG_KEY_0', 'GIT_CONFIG_VALUE_0'];
+
+function createUpstream(basePath) {
+  const git = (command) => execSync(`git ${command}`, { cwd: basePath, stdio: 'pipe' }).toString().trim();
+  mkdirSync(join(basePath, 'deploy'), { recursive: true });
+  mkdirSync(join(basePath, 'docs'), { recursive: true });
+  git('init -q -b main');
+  git('config user.email test@example.com');
+  git('config user.name Test');
+  git('config uploadpack.allowFilter true');
+  git('config uploadpack.allowAnySHA1InWant true');
+  writeFileSync(join(basePath, 'deploy', 'SKILL.md'), '---\nname: Deploy\n---\n');
+  writeFileSync(join(basePath, 'docs', 'README.md'), '# Docs\n');
+  writeFileSync(join(basePath, 'Developer.agent.md'), '---\nname: Developer\n---\n');
+  git('add -A');
+  git('commit -q -m one');
+  git('tag v1');
+  return git;
+}
+
+describe('Git Discovery', () => {
+  const savedEnv = {};
+  const repo = { owner: 'acme', name: 'skills' };
+  let tempDir;
+  let upstreamPath;
+  let git;
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+    }
+    tempDir = mkdtempSync(join(tmpdir(), 'git-discovery-test-'));
+    upstreamPath = join(tempDir, 'acme', 'skills.git');
+    mkdirSync(upstreamPath, { recursive: true });
+    git = createUpstream(upstreamPath);
+
+    process.env.XDG_CACHE_HOME = join(tempDir, 'cache');
+    process.env.GIT_CONFIG_COUNT = '1';
+    process.env.GIT_CONFIG_KEY_0 = `url.file://${tempDir}/.insteadOf`;
+    process.env.GIT_CONFIG_VALUE_0 = 'https://github.com/';
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('User Story: Discover skills when the API is blocked', () => {
+    it('should list and read files from a cached clone', async () => {
+      const files = await readRepositoryFiles(repo, undefined, path => path.endsWith('.md'));
+
+      expect(files).toEqual([
+        { path: 'Developer.agent.md', content: '---\nname: Developer\n---\n', size: 24 },
+        { path: 'deploy/SKILL.md', content: '---\nname: Deploy\n---\n', size: 21 },
+        { path: 'docs/README.md', content: '# Docs\n', size: 7 }
+      ]);
+      expect(readdirSync(join(tempDir, 'cache', 'skills-installer', 'repos'))).toHaveLength(1);
+    });
+
+    it('should read a file at a tag and fail for missing files', async () => {
+      writeFileSync(join(upstreamPath, 'deploy', 'SKILL.md'), '---\nname: Deploy v2\n---\n');
+      git('commit -q -am two');
+
+      expect(await readRepositoryFile(repo, 'deploy/SKILL.md', 'v1')).toBe('---\nname: Deploy\n---\n');
+      expect(await readRepositoryFile(repo, 'deploy/SKILL.md')).toBe('---\nname: Deploy v2\n---\n');
+      await expect(readRepositoryFile(repo, 'missing/SKILL.md')).rejects.toThrow('missing/SKILL.md not found in acme/skills');
+      await expect(readRepositoryFile(repo, 'deploy/SKILL.md', 'nope')).rejects.toThrow('named "nope"');
+    });
+
+    it('should not check out any files', async () => {
+      await readRepositoryFiles(repo, undefined, () => false);
+
+      const [clone] = readdirSync(join(tempDir, 'cache', 'skills-installer', 'repos'));
+      expect(existsSync(join(tempDir, 'cache', 'skills-installer', 'repos', clone, 'deploy'))).toBe(false);
+    });
+  });
+
+  describe('User Story: Prefer the API when it works', () => {
+    it('should report the API error when git fails too', async () => {
+      expect(await withGitFallback(async () => 'api', async () => 'git')).toBe('api');
+      expect(await withGitFallback(async () => { throw new Error('403'); }, async () => 'git')).toBe('git');
+      await expect(withGitFallback(
+        async () => { throw new Error('403 Forbidden'); },
+        async () => { throw new Error('clone failed'); }
+      )).rejects.toThrow('403 Forbidden');
+    });
+
+    it('should not clone when the repository does not exist', async () => {
+      const notFound = Object.assign(new Error('Failed to fetch skills list: 404 Not Found'), { status: 404 });
+      const unauthorized = Object.assign(new Error('Failed to fetch skills list: 401 Unauthorized'), { status: 401 });
+      const viaGit = vi.fn(async () => 'git');
+
+      await expect(withGitFallback(async () => { throw notFound; }, viaGit)).rejects.toThrow('404 Not Found');
+      await expect(withGitFallback(async () => { throw unauthorized; }, viaGit)).rejects.toThrow('401 Unauthorized');
+      expect(viaGit).not.toHaveBeenCalled();
+
+      const serverError = Object.assign(new Error('Failed to fetch skills list: 502 Bad Gateway'), { status: 502 });
+      expect(await withGitFallback(async () => { throw serverError; }, viaGit)).toBe('git');
+    });
+  });
+});
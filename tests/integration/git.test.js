@@ -15,7 +15,17 @@ import {
   isInsideGitWorkTree,
   listCheckedOutSkills,
   checkSkillsForUpdates,
+  getUpstreamChanges,
+  findLocalEdits,
   checkSubagentsForUpdates,
+  getHeadCommit,
+  getInstallationStatus,
+  getItemHashes,
+  getPinnedRef,
+  getRemoteHeadCommit,
+  hashGitBlob,
+  sparseCloneSkills,
+  updateSparseCheckout,
 } from '../../lib/git.js';
 
 // ============================================================================
@@ -464,3 +474,348 @@ describe('Update Detection', () => {
     });
   });
 });
+
+// ============================================================================
+// Lockfile Support Tests
+// ============================================================================
+
+function createUpstreamRepo(basePath) {
+  const git = (command) => execSync(`git ${command}`, { cwd: basePath, stdio: 'pipe' }).toString().trim();
+  git('init -q -b main');
+  git('config user.email test@example.com');
+  git('config user.name Test');
+  mkdirSync(join(basePath, 'skill-a'));
+  writeFileSync(join(basePath, 'skill-a', 'SKILL.md'), 'version one\n');
+  git('add -A');
+  git('commit -q -m one');
+  const firstCommit = git('rev-parse HEAD');
+  writeFileSync(join(basePath, 'skill-a', 'SKILL.md'), 'version two\n');
+  git('commit -q -am two');
+  return { git, firstCommit };
+}
+
+describe('Lockfile Support', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Hash items the same way git does', () => {
+    it('should match git hash-object for blob content', () => {
+      const expected = execSync('git hash-object --stdin', { input: 'hello\n' }).toString().trim();
+      expect(hashGitBlob('hello\n')).toBe(expected);
+    });
+  });
+
+  describe('User Story: Install the commit pinned in the lockfile', () => {
+    it('should clone a pinned commit and report its item hashes', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const installPath = join(tempDir.path, 'install');
+      mkdirSync(upstreamPath);
+      const { git, firstCommit } = createUpstreamRepo(upstreamPath);
+
+      await sparseCloneSkills(installPath, ['skill-a', 'missing-skill'], () => {}, {
+        repoUrl: upstreamPath,
+        commit: firstCommit
+      });
+
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+      expect(readFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'utf-8')).toBe('version one\n');
+
+      const hashes = await getItemHashes(installPath, ['skill-a', 'missing-skill']);
+      expect(hashes).toEqual({ 'skill-a': git(`rev-parse ${firstCommit}:skill-a`) });
+    });
+  });
+
+  describe('User Story: Inspect the state of an installation', () => {
+    it('should report commits behind upstream, outdated items and local edits', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const installPath = join(tempDir.path, 'install');
+      mkdirSync(upstreamPath);
+      const { firstCommit } = createUpstreamRepo(upstreamPath);
+
+      await sparseCloneSkills(installPath, ['skill-a'], () => {}, {
+        repoUrl: upstreamPath,
+        commit: firstCommit
+      });
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'scratch\n');
+
+      const status = await getInstallationStatus(installPath, ['skill-a']);
+
+      expect(status.commit).toBe(firstCommit);
+      expect(status.behind).toBe(1);
+      expect(status.outdated).toEqual(['skill-a']);
+      expect(status.modified).toEqual(['skill-a/SKILL.md', 'skill-a/notes.md']);
+    });
+
+    it('should list the upstream commits and diff of an item', async () => {
+      const upstreamPath = join(tempDir.path, 'upstream');
+      const installPath = join(tempDir.path, 'install');
+      mkdirSync(upstreamPath);
+      const { firstCommit } = createUpstreamRepo(upstreamPath);
+
+      await sparseCloneSkills(installPath, ['skill-a'], () => {}, {
+        repoUrl: upstreamPath,
+        commit: firstCommit
+      });
+      expect(await checkSkillsForUpdates(installPath, ['skill-a'])).toEqual(new Set(['skill-a']));
+
+      const changes = await getUpstreamChanges(installPath, ['skill-a']);
+
+      expect(changes.log).toMatch(/^[0-9a-f]+ two \(Test, .+\)$/);
+      expect(changes.diff).toContain('--- a/skill-a/SKILL.md');
+      expect(changes.diff).toContain('-version one\n+version two');
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+    });
+
+    it('should return empty status for a non-git directory', async () => {
+      const status = await getInstallationStatus(tempDir.path, ['skill-a']);
+
+      expect(status).toEqual({ commit: null, ref: null, behind: null, outdated: [], modified: [] });
+    });
+  });
+});
+
+// ============================================================================
+// Local Edits Tests
+// ============================================================================
+
+describe('Local Edits', () => {
+  let tempDir;
+  let installPath;
+  let upstreamPath;
+  let firstCommit;
+  let upstream;
+  let local;
+
+  beforeEach(async () => {
+    tempDir = createTempDir();
+    upstreamPath = join(tempDir.path, 'upstream');
+    installPath = join(tempDir.path, 'install');
+    mkdirSync(upstreamPath);
+    ({ firstCommit, git: upstream } = createUpstreamRepo(upstreamPath));
+    await sparseCloneSkills(installPath, ['skill-a'], () => {}, { repoUrl: upstreamPath, commit: firstCommit });
+    local = (command) => execSync(`git ${command}`, { cwd: installPath, stdio: 'pipe' }).toString().trim();
+    local('config user.email test@example.com');
+    local('config user.name Test');
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  const readSkill = () => readFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'utf-8');
+
+  describe('User Story: See which skills hold local work', () => {
+    it('should report modified files and unpushed commits per item', async () => {
+      expect(await findLocalEdits(installPath, ['skill-a'])).toEqual([]);
+
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+      local('commit -q -am local');
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'scratch\n');
+
+      expect(await findLocalEdits(installPath, ['skill-a', 'skill-b'])).toEqual([
+        { item: 'skill-a', modified: ['skill-a/notes.md'], unpushed: 1 }
+      ]);
+    });
+  });
+
+  describe('User Story: Update without losing local edits', () => {
+    it('should stash local files and reapply them after pulling', async () => {
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'scratch\n');
+
+      await updateSparseCheckout(installPath, ['skill-a'], () => {}, { localChanges: 'stash' });
+
+      expect(readSkill()).toBe('version two\n');
+      expect(readFileSync(join(installPath, 'skill-a', 'notes.md'), 'utf-8')).toBe('scratch\n');
+      expect(local('stash list')).toBe('');
+    });
+
+    it('should report conflicts with the stashed edits and keep the stash', async () => {
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+
+      await expect(updateSparseCheckout(installPath, ['skill-a'], () => {}, { localChanges: 'stash' }))
+        .rejects.toThrow('Local changes conflict with the update in skill-a/SKILL.md');
+
+      expect(readSkill()).toContain('<<<<<<<');
+      expect(local('stash list')).toContain('skills-installer: local changes before update');
+    });
+
+    it('should roll back local commits that conflict with upstream', async () => {
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+      local('commit -q -am local');
+      const localCommit = local('rev-parse HEAD');
+
+      await expect(updateSparseCheckout(installPath, ['skill-a'], () => {}, { localChanges: 'stash' }))
+        .rejects.toThrow('Local commits conflict with upstream changes in skill-a/SKILL.md');
+
+      expect(await getHeadCommit(installPath)).toBe(localCommit);
+      expect(readSkill()).toBe('local edit\n');
+    });
+
+    it('should keep edited skills as they are and update the others', async () => {
+      mkdirSync(join(upstreamPath, 'skill-b'));
+      writeFileSync(join(upstreamPath, 'skill-b', 'SKILL.md'), 'b one\n');
+      upstream('add -A');
+      upstream('commit -q -m three');
+      await updateSparseCheckout(installPath, ['skill-a', 'skill-b']);
+
+      writeFileSync(join(upstreamPath, 'skill-a', 'SKILL.md'), 'version three\n');
+      writeFileSync(join(upstreamPath, 'skill-b', 'SKILL.md'), 'b two\n');
+      upstream('commit -q -am four');
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'scratch\n');
+
+      await updateSparseCheckout(installPath, ['skill-a', 'skill-b'], () => {}, { localChanges: 'keep' });
+
+      expect(await getHeadCommit(installPath)).toBe(upstream('rev-parse HEAD'));
+      expect(readFileSync(join(installPath, 'skill-b', 'SKILL.md'), 'utf-8')).toBe('b two\n');
+      expect(readSkill()).toBe('local edit\n');
+      expect(readFileSync(join(installPath, 'skill-a', 'notes.md'), 'utf-8')).toBe('scratch\n');
+      expect(local('stash list')).toBe('');
+    });
+
+    it('should keep the previous version of skills whose edits are committed', async () => {
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'committed notes\n');
+      local('add -A');
+      local('commit -q -m notes');
+      writeFileSync(join(installPath, 'skill-a', 'scratch.md'), 'untracked\n');
+
+      await updateSparseCheckout(installPath, ['skill-a'], () => {}, { localChanges: 'keep' });
+
+      expect(readSkill()).toBe('version one\n');
+      expect(readFileSync(join(installPath, 'skill-a', 'notes.md'), 'utf-8')).toBe('committed notes\n');
+      expect(readFileSync(join(installPath, 'skill-a', 'scratch.md'), 'utf-8')).toBe('untracked\n');
+    });
+
+    it('should stay on the current commit when the remote cannot be reached', async () => {
+      local(`remote set-url origin "${join(tempDir.path, 'missing')}"`);
+      const messages = [];
+
+      await updateSparseCheckout(installPath, ['skill-a'], message => messages.push(message));
+
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+      expect(readSkill()).toBe('version one\n');
+      expect(messages.some(message => message.startsWith('⚠️  Could not pull origin/main, staying on the current commit'))).toBe(true);
+    });
+
+    it('should drop edits and unpushed commits when discarding', async () => {
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'local edit\n');
+      local('commit -q -am local');
+      writeFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'another edit\n');
+      writeFileSync(join(installPath, 'skill-a', 'notes.md'), 'scratch\n');
+
+      await updateSparseCheckout(installPath, ['skill-a'], () => {}, { localChanges: 'discard' });
+
+      expect(readSkill()).toBe('version two\n');
+      expect(existsSync(join(installPath, 'skill-a', 'notes.md'))).toBe(false);
+      expect(await findLocalEdits(installPath, ['skill-a'])).toEqual([]);
+    });
+  });
+});
+
+// ============================================================================
+// Ref Pinning Tests
+// ============================================================================
+
+describe('Ref Pinning', () => {
+  let tempDir;
+  let upstreamPath;
+  let installPath;
+  let git;
+  let firstCommit;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    upstreamPath = join(tempDir.path, 'upstream');
+    installPath = join(tempDir.path, 'install');
+    mkdirSync(upstreamPath);
+    ({ git, firstCommit } = createUpstreamRepo(upstreamPath));
+    git(`tag v1 ${firstCommit}`);
+    git('branch beta');
+  });
+
+  afterEach(() => {
+    tempDir?.cleanup();
+  });
+
+  describe('User Story: Install a tagged release', () => {
+    it('should clone the tag and stay on it when updating', async () => {
+      await sparseCloneSkills(installPath, ['skill-a'], () => {}, { repoUrl: upstreamPath, ref: 'v1' });
+
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+      expect(await getPinnedRef(installPath)).toBe('v1');
+
+      writeFileSync(join(upstreamPath, 'skill-a', 'SKILL.md'), 'version three\n');
+      git('commit -q -am three');
+
+      expect(await checkSkillsForUpdates(installPath, ['skill-a'])).toEqual(new Set());
+      await updateSparseCheckout(installPath, ['skill-a']);
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+
+      const status = await getInstallationStatus(installPath, ['skill-a']);
+      expect(status).toMatchObject({ ref: 'v1', behind: 0, outdated: [] });
+    });
+  });
+
+  describe('User Story: Follow a branch other than the default', () => {
+    it('should pull new commits of the pinned branch only', async () => {
+      await sparseCloneSkills(installPath, ['skill-a'], () => {}, { repoUrl: upstreamPath, ref: 'beta' });
+
+      git('checkout -q beta');
+      writeFileSync(join(upstreamPath, 'skill-a', 'SKILL.md'), 'beta\n');
+      git('commit -q -am beta');
+      const betaCommit = git('rev-parse HEAD');
+      git('checkout -q main');
+      writeFileSync(join(upstreamPath, 'skill-a', 'SKILL.md'), 'main\n');
+      git('commit -q -am main');
+
+      expect(await checkSkillsForUpdates(installPath, ['skill-a'])).toEqual(new Set(['skill-a']));
+      await updateSparseCheckout(installPath, ['skill-a']);
+
+      expect(await getHeadCommit(installPath)).toBe(betaCommit);
+      expect(readFileSync(join(installPath, 'skill-a', 'SKILL.md'), 'utf-8')).toBe('beta\n');
+    });
+  });
+
+  describe('User Story: Switch an installation to another ref', () => {
+    it('should move between a commit, a tag and a branch', async () => {
+      const mainCommit = git('rev-parse main');
+      await sparseCloneSkills(installPath, ['skill-a'], () => {}, { repoUrl: upstreamPath, ref: firstCommit });
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+
+      await updateSparseCheckout(installPath, ['skill-a'], () => {}, { ref: 'main' });
+      expect(await getHeadCommit(installPath)).toBe(mainCommit);
+      expect(await getPinnedRef(installPath)).toBe('main');
+
+      await updateSparseCheckout(installPath, ['skill-a'], () => {}, { ref: 'v1' });
+      expect(await getHeadCommit(installPath)).toBe(firstCommit);
+      expect(await getPinnedRef(installPath)).toBe('v1');
+    });
+
+    it('should reject refs that do not exist upstream', async () => {
+      await expect(sparseCloneSkills(installPath, ['skill-a'], () => {}, { repoUrl: upstreamPath, ref: 'nope' }))
+        .rejects.toThrow('Could not find a branch, tag or commit named "nope"');
+    });
+  });
+
+  describe('User Story: Resolve a ref without cloning', () => {
+    it('should resolve branches, tags and full commit SHAs', async () => {
+      expect(await getRemoteHeadCommit(upstreamPath)).toBe(git('rev-parse main'));
+      expect(await getRemoteHeadCommit(upstreamPath, 'v1')).toBe(firstCommit);
+      expect(await getRemoteHeadCommit(upstreamPath, 'beta')).toBe(git('rev-parse beta'));
+      expect(await getRemoteHeadCommit(upstreamPath, firstCommit)).toBe(firstCommit);
+    });
+
+    it('should resolve short commit SHAs', async () => {
+      expect(await getRemoteHeadCommit(upstreamPath, firstCommit.slice(0, 7))).toBe(firstCommit);
+      await expect(getRemoteHeadCommit(upstreamPath, '0000000')).rejects.toThrow('Could not resolve 0000000');
+    });
+  });
+});
@@ -13,33 +13,33 @@ vi.mock('child_process', () => ({
 }));
 
 const {
+  getGitHubApiUrl,
+  getGitHubCloneUrl,
   getGitHubHeaders,
+  getGitHubHost,
+  getGitHubRawUrl,
   getGitHubAuthToken,
   __resetGitHubAuthCacheForTests
 } = await import('../../lib/github-auth.js');
 
+const ENV_KEYS = ['GITHUB_TOKEN', 'GH_TOKEN', 'GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN', 'GH_HOST', 'GITHUB_API_URL'];
+
 describe('GitHub Auth Helpers', () => {
-  const originalGithubToken = process.env.GITHUB_TOKEN;
-  const originalGhToken = process.env.GH_TOKEN;
+  const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
 
   beforeEach(() => {
     mockExecFileSync.mockReset();
-    delete process.env.GITHUB_TOKEN;
-    delete process.env.GH_TOKEN;
+    ENV_KEYS.forEach(key => delete process.env[key]);
     __resetGitHubAuthCacheForTests();
   });
 
   afterEach(() => {
-    if (originalGithubToken === undefined) {
-      delete process.env.GITHUB_TOKEN;
-    } else {
-      process.env.GITHUB_TOKEN = originalGithubToken;
-    }
-
-    if (originalGhToken === undefined) {
-      delete process.env.GH_TOKEN;
-    } else {
-      process.env.GH_TOKEN = originalGhToken;
+    for (const key of ENV_KEYS) {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
     }
 
     __resetGitHubAuthCacheForTests();
@@ -96,4 +96,55 @@ describe('GitHub Auth Helpers', () => {
     expect(secondToken).toBe('cached-token');
     expect(mockExecFileSync).toHaveBeenCalledTimes(1);
   });
+
+  describe('GitHub Enterprise Server', () => {
+    it('should default to github.com', () => {
+      expect(getGitHubHost()).toBe('github.com');
+      expect(getGitHubApiUrl()).toBe('https://api.github.com');
+      expect(getGitHubCloneUrl({ owner: 'acme', name: 'skills' })).toBe('https://github.com/acme/skills.git');
+      expect(getGitHubRawUrl({ owner: 'acme', name: 'skills' }, 'HEAD', 'deploy/SKILL.md'))
+        .toBe('https://raw.githubusercontent.com/acme/skills/HEAD/deploy/SKILL.md');
+    });
+
+    it('should derive the API URL from GH_HOST', () => {
+      process.env.GH_HOST = 'https://GitHub.Acme.com/';
+
+      expect(getGitHubHost()).toBe('github.acme.com');
+      expect(getGitHubApiUrl()).toBe('https://github.acme.com/api/v3');
+      expect(getGitHubCloneUrl({ owner: 'acme', name: 'skills' })).toBe('https://github.acme.com/acme/skills.git');
+      expect(getGitHubRawUrl({ owner: 'acme', name: 'skills' }, 'v1', 'deploy/SKILL.md'))
+        .toBe('https://github.acme.com/raw/acme/skills/v1/deploy/SKILL.md');
+    });
+
+    it('should derive the host from GITHUB_API_URL', () => {
+      process.env.GITHUB_API_URL = 'https://github.acme.com/api/v3/';
+
+      expect(getGitHubHost()).toBe('github.acme.com');
+      expect(getGitHubApiUrl()).toBe('https://github.acme.com/api/v3');
+
+      process.env.GITHUB_API_URL = 'https://api.github.com';
+      expect(getGitHubHost()).toBe('github.com');
+    });
+
+    it('should use enterprise tokens and never github.com tokens for an enterprise host', () => {
+      process.env.GH_HOST = 'github.acme.com';
+      process.env.GITHUB_TOKEN = 'github-com-token';
+      process.env.GH_ENTERPRISE_TOKEN = 'enterprise-token';
+
+      expect(getGitHubAuthToken()).toBe('enterprise-token');
+      expect(mockExecFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should ask gh for the token of the enterprise host', () => {
+      process.env.GH_HOST = 'github.acme.com';
+      process.env.GITHUB_TOKEN = 'github-com-token';
+      mockExecFileSync.mockReturnValueOnce('ghe-token\n');
+
+      expect(getGitHubHeaders().Authorization).toBe('Bearer ghe-token');
+      expect(mockExecFileSync).toHaveBeenCalledWith('gh', ['auth', 'token', '--hostname', 'github.acme.com'], {
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+    });
+  });
 });
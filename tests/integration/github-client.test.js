@@ -0,0 +1,135 @@
+/**
+ * Integration tests for lib/github-client.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockFetch = vi.fn();
+global.fetch = mockFetch;
+
+const mockExecFileSync = vi.fn(() => {
+  throw new Error('gh not installed');
+});
+vi.mock('child_process', () => ({
+  execFileSync: mockExecFileSync
+}));
+
+const { requestGitHub, __setSleepForTests } = await import('../../lib/github-client.js');
+const { __resetGitHubAuthCacheForTests } = await import('../../lib/github-auth.js');
+
+const URL = 'https://api.github.com/repos/acme/skills/git/trees/HEAD?recursive=1';
+const ENV_KEYS = ['GITHUB_TOKEN', 'GH_TOKEN', 'GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN', 'GH_HOST', 'GITHUB_API_URL'];
+
+function response(status, headers = {}, statusText = '') {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => ({ tree: [] })
+  };
+}
+
+describe('GitHub Client', () => {
+  const savedEnv = {};
+  const sleeps = [];
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    sleeps.length = 0;
+    __setSleepForTests(async (ms) => { sleeps.push(ms); });
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    __resetGitHubAuthCacheForTests();
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    }
+  });
+
+  describe('User Story: Survive transient failures', () => {
+    it('should retry network errors and 5xx answers with backoff', async () => {
+      mockFetch
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(response(502, {}, 'Bad Gateway'))
+        .mockResolvedValueOnce(response(200));
+
+      const result = await requestGitHub(URL, 'skills list');
+
+      expect(result.ok).toBe(true);
+      expect(sleeps).toEqual([1000, 2000]);
+    });
+
+    it('should give up after three retries', async () => {
+      mockFetch.mockResolvedValue(response(503, {}, 'Service Unavailable'));
+
+      await expect(requestGitHub(URL, 'skills list')).rejects.toThrow('Failed to fetch skills list: 503 Service Unavailable');
+      expect(mockFetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should wait for a short Retry-After before retrying', async () => {
+      mockFetch
+        .mockResolvedValueOnce(response(429, { 'retry-after': '5' }))
+        .mockResolvedValueOnce(response(200));
+
+      await requestGitHub(URL, 'skills list');
+
+      expect(sleeps).toEqual([5000]);
+    });
+
+    it('should not retry other client errors', async () => {
+      mockFetch.mockResolvedValue(response(404, {}, 'Not Found'));
+
+      await expect(requestGitHub(URL, 'skills list')).rejects.toMatchObject({
+        message: 'Failed to fetch skills list: 404 Not Found',
+        status: 404
+      });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('User Story: Understand an exhausted rate limit', () => {
+    const resetIn = (minutes) => String(Math.floor(Date.now() / 1000) + minutes * 60);
+
+    it('should say when the limit resets and how to authenticate', async () => {
+      mockFetch.mockResolvedValue(response(403, {
+        'x-ratelimit-limit': '60',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': resetIn(30)
+      }, 'rate limit exceeded'));
+
+      const error = await requestGitHub(URL, 'skills list').catch(e => e);
+
+      expect(error.message).toContain('GitHub API rate limit exceeded while fetching skills list (60 requests per hour).');
+      expect(error.message).toMatch(/It resets at .+ \(in (29|30) minutes\)\./);
+      expect(error.message).toContain('Set GITHUB_TOKEN or run "gh auth login" to raise the limit.');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip the authentication hint when a token is in use', async () => {
+      process.env.GITHUB_TOKEN = 'token';
+      mockFetch.mockResolvedValue(response(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(10) }));
+
+      const error = await requestGitHub(URL, 'skills list').catch(e => e);
+
+      expect(error.message).toContain('rate limit exceeded');
+      expect(error.message).not.toContain('gh auth login');
+    });
+
+    it('should point enterprise users at their host', async () => {
+      process.env.GH_HOST = 'github.acme.com';
+      mockFetch.mockResolvedValue(response(429, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(10) }));
+
+      await expect(requestGitHub(URL, 'skills list'))
+        .rejects.toThrow('Set GH_ENTERPRISE_TOKEN or run "gh auth login --hostname github.acme.com" to raise the limit.');
+    });
+  });
+});
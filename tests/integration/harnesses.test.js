@@ -0,0 +1,92 @@
+/**
+ * Integration tests for harness adapters and the install targets built from them.
+ */
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { listHarnesses, loadHarnesses, registerHarness, resetHarnesses } from '../../lib/harnesses.js';
+import { agentInstallTargets, getAgentInstallMode, skillInstallTargets } from '../../lib/install-targets.js';
+import { syncGeneratedAgents } from '../../lib/generated-agents.js';
+
+const windsurf = {
+  id: 'windsurf',
+  skillTargets: [{ path: '~/.windsurf/skills/', scope: 'global' }],
+  agentTargets: [{ path: '.windsurf/agents/', scope: 'local' }],
+  agentInstallMode: 'windsurf-md',
+  agentFormat: {
+    extension: '.md',
+    outputFilename: filename => filename.replace(/\.agent\.md$/, '.md'),
+    render: (content, filename) => ({ text: `# ${filename}\n`, name: filename, description: '', warnings: [] }),
+  },
+};
+
+describe('Harness Adapters', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'harnesses-test-'));
+  });
+
+  afterEach(() => {
+    resetHarnesses();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('User Story: Keep the built-in assistants', () => {
+    it('should implement Copilot, Claude and Codex as adapters', () => {
+      expect(listHarnesses().map(harness => [harness.id, harness.agentInstallMode])).toEqual([
+        ['copilot', 'sparse-git'],
+        ['claude', 'claude-md'],
+        ['codex', 'codex-toml'],
+      ]);
+      expect(getAgentInstallMode('packages/app/.codex/agents/')).toBe('codex-toml');
+      expect(getAgentInstallMode('custom/agents/')).toBe('sparse-git');
+    });
+  });
+
+  describe('User Story: Support another assistant without forking', () => {
+    it('should add the targets and install mode of a registered adapter', () => {
+      registerHarness(windsurf);
+
+      expect(skillInstallTargets()).toContainEqual({ path: '~/.windsurf/skills/', scope: 'global', harness: 'windsurf' });
+      expect(skillInstallTargets().map(target => target.scope)).toEqual(['global', 'global', 'global', 'local', 'local']);
+      expect(agentInstallTargets()).toContainEqual({ path: '.windsurf/agents/', scope: 'local', harness: 'windsurf', installMode: 'windsurf-md' });
+      expect(getAgentInstallMode('.windsurf/agents/')).toBe('windsurf-md');
+      expect(getAgentInstallMode('apps/web/.windsurf/agents')).toBe('windsurf-md');
+    });
+
+    it('should list and check generated agents with the default implementations', async () => {
+      const harness = registerHarness(windsurf);
+      const source = join(tempDir, 'source');
+      mkdirSync(join(tempDir, 'agents'));
+      mkdirSync(source);
+      writeFileSync(join(tempDir, 'agents', 'manual.md'), '# manual\n', 'utf8');
+      writeFileSync(join(source, 'Developer.agent.md'), '---\nname: Developer\n---\n', 'utf8');
+
+      await syncGeneratedAgents(harness.agentFormat, join(tempDir, 'agents'), ['Developer.agent.md'], undefined, { repo: { path: source, name: 'source' } });
+
+      expect(await harness.listInstalledAgents(join(tempDir, 'agents'))).toEqual(['Developer.agent.md']);
+      expect(await harness.checkAgentUpdates(join(tempDir, 'agents'), ['Developer.agent.md'], { repo: { path: source, name: 'source' } })).toEqual(new Set());
+    });
+
+    it('should reject adapters that are not complete', () => {
+      expect(() => registerHarness({ id: 'claude' })).toThrow('Harness adapter "claude" is already registered');
+      expect(() => registerHarness({ ...windsurf, agentFormat: undefined })).toThrow('needs an "agentFormat"');
+      expect(() => registerHarness({ ...windsurf, agentTargets: [{ path: '.windsurf/agents' }] })).toThrow('needs a "path" ending in "/"');
+      registerHarness(windsurf);
+      expect(() => registerHarness({ ...windsurf, id: 'other' })).toThrow('install mode "windsurf-md" belongs to another adapter');
+    });
+
+    it('should load adapters from files listed in the config', async () => {
+      writeFileSync(join(tempDir, 'cursor.mjs'), `export default [{ id: 'cursor', skillTargets: [{ path: '.cursor/skills/', scope: 'local' }] }];\n`, 'utf8');
+
+      const loaded = await loadHarnesses(['./cursor.mjs'], tempDir);
+
+      expect(loaded.map(harness => harness.id)).toEqual(['cursor']);
+      expect(skillInstallTargets().map(target => target.path)).toContain('.cursor/skills/');
+      await expect(loadHarnesses(['skills-installer-harness-missing'], tempDir)).rejects.toThrow('Could not load harness adapter "skills-installer-harness-missing"');
+    });
+  });
+});
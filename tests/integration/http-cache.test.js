@@ -0,0 +1,132 @@
+/**
+ * Integration tests for lib/http-cache.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const mockFetch = vi.fn();
+global.fetch = mockFetch;
+
+const { cachedFetch, configureCache } = await import('../../lib/http-cache.js');
+
+const URL = 'https://api.github.com/repos/acme/skills/git/trees/HEAD?recursive=1';
+
+function okResponse(body, etag = '"v1"') {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: name => (name.toLowerCase() === 'etag' ? etag : null) },
+    text: async () => body
+  };
+}
+
+describe('HTTP Cache', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    cacheDir = mkdtempSync(join(tmpdir(), 'http-cache-test-'));
+    configureCache({ enabled: true, ttl: 600, refresh: false, dir: cacheDir });
+  });
+
+  afterEach(() => {
+    configureCache({ enabled: false });
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('User Story: Avoid refetching unchanged listings', () => {
+    it('should serve fresh entries without a request', async () => {
+      mockFetch.mockResolvedValueOnce(okResponse('{"tree":[]}'));
+
+      expect(await (await cachedFetch(URL)).json()).toEqual({ tree: [] });
+      expect(await (await cachedFetch(URL)).json()).toEqual({ tree: [] });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revalidate expired entries with If-None-Match', async () => {
+      configureCache({ ttl: 0 });
+      mockFetch
+        .mockResolvedValueOnce(okResponse('cached body'))
+        .mockResolvedValueOnce({ ok: false, status: 304, statusText: 'Not Modified' });
+
+      await cachedFetch(URL, { headers: { Accept: 'application/json' } });
+      const response = await cachedFetch(URL, { headers: { Accept: 'application/json' } });
+
+      expect(await response.text()).toBe('cached body');
+      expect(mockFetch.mock.calls[1][1].headers).toEqual({ Accept: 'application/json', 'If-None-Match': '"v1"' });
+    });
+
+    it('should revalidate every entry with --refresh', async () => {
+      mockFetch
+        .mockResolvedValueOnce(okResponse('old', '"v1"'))
+        .mockResolvedValueOnce(okResponse('new', '"v2"'));
+
+      await cachedFetch(URL);
+      configureCache({ refresh: true });
+
+      expect(await (await cachedFetch(URL)).text()).toBe('new');
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('User Story: Keep working offline', () => {
+    it('should fall back to the cached copy when the network is down', async () => {
+      configureCache({ ttl: 0 });
+      mockFetch
+        .mockResolvedValueOnce(okResponse('cached body'))
+        .mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND api.github.com'));
+
+      await cachedFetch(URL);
+
+      expect(await (await cachedFetch(URL)).text()).toBe('cached body');
+    });
+
+    it('should fail when nothing is cached', async () => {
+      mockFetch.mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND api.github.com'));
+
+      await expect(cachedFetch(URL)).rejects.toThrow('ENOTFOUND');
+    });
+  });
+
+  describe('User Story: Never cache failures', () => {
+    it('should return error responses as is', async () => {
+      const notFound = { ok: false, status: 404, statusText: 'Not Found' };
+      mockFetch.mockResolvedValue(notFound);
+
+      expect(await cachedFetch(URL)).toBe(notFound);
+      expect(await cachedFetch(URL)).toBe(notFound);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep responses fetched with a token apart from other credentials', async () => {
+      mockFetch
+        .mockResolvedValueOnce(okResponse('private listing'))
+        .mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' })
+        .mockResolvedValueOnce(okResponse('other listing'));
+
+      await cachedFetch(URL, { headers: { Authorization: 'Bearer token-a' } });
+      const anonymous = await cachedFetch(URL);
+      const otherToken = await cachedFetch(URL, { headers: { Authorization: 'Bearer token-b' } });
+      const sameToken = await cachedFetch(URL, { headers: { Authorization: 'Bearer token-a' } });
+
+      expect(anonymous.status).toBe(404);
+      expect(await otherToken.text()).toBe('other listing');
+      expect(await sameToken.text()).toBe('private listing');
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should pass requests straight through while disabled', async () => {
+      configureCache({ enabled: false });
+      const response = okResponse('body');
+      mockFetch.mockResolvedValue(response);
+
+      expect(await cachedFetch(URL)).toBe(response);
+      expect(await cachedFetch(URL)).toBe(response);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Integration tests for lib/lockfile.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  LOCKFILE_FILENAME,
+  getLockEntry,
+  listLockEntries,
+  readLockfile,
+  removeLockEntry,
+  setLockEntry,
+  writeLockfile
+} from '../../lib/lockfile.js';
+
+const COMMIT = 'a'.repeat(40);
+const REPOSITORY = 'https://github.com/supercorks/agent-skills.git';
+
+describe('Lockfile', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'lockfile-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('User Story: Reproduce installs from a committed lockfile', () => {
+    it('should return an empty lock when skills-lock.json does not exist', () => {
+      const lockfile = readLockfile(undefined, tempDir);
+
+      expect(lockfile.exists).toBe(false);
+      expect(lockfile.path).toBe(join(tempDir, LOCKFILE_FILENAME));
+      expect(listLockEntries(lockfile, 'skills')).toEqual([]);
+      expect(listLockEntries(lockfile, 'agents')).toEqual([]);
+    });
+
+    it('should round-trip entries through writeLockfile and readLockfile', () => {
+      const lockfile = readLockfile(undefined, tempDir);
+      setLockEntry(lockfile, 'skills', '.claude/skills/', {
+        repository: REPOSITORY,
+        commit: COMMIT,
+        items: { 'gtm-manager': 'b'.repeat(40) }
+      });
+      writeLockfile(lockfile);
+
+      const written = JSON.parse(readFileSync(join(tempDir, LOCKFILE_FILENAME), 'utf-8'));
+      expect(written.lockfileVersion).toBe(1);
+      expect(written.agents).toEqual({});
+
+      const reread = readLockfile(undefined, tempDir);
+      expect(reread.exists).toBe(true);
+      expect(getLockEntry(reread, 'skills', '.claude/skills')).toEqual({
+        path: '.claude/skills/',
+        repository: REPOSITORY,
+        commit: COMMIT,
+        items: { 'gtm-manager': 'b'.repeat(40) }
+      });
+    });
+
+    it('should keep the ref an entry is pinned to', () => {
+      const lockfile = readLockfile(undefined, tempDir);
+      setLockEntry(lockfile, 'agents', '.codex/agents/', {
+        repository: REPOSITORY,
+        ref: 'v2.1.0',
+        commit: COMMIT,
+        items: {}
+      });
+      writeLockfile(lockfile);
+
+      expect(getLockEntry(readLockfile(undefined, tempDir), 'agents', '.codex/agents/').ref).toBe('v2.1.0');
+    });
+
+    it('should replace the existing entry for an equivalent path', () => {
+      const lockfile = readLockfile(undefined, tempDir);
+      setLockEntry(lockfile, 'agents', '.claude/agents/', { repository: REPOSITORY, commit: COMMIT, items: {} });
+      setLockEntry(lockfile, 'agents', '.claude/agents', {
+        repository: REPOSITORY,
+        commit: 'c'.repeat(40),
+        items: { 'Developer.agent.md': 'd'.repeat(40) }
+      });
+
+      const entries = listLockEntries(lockfile, 'agents');
+      expect(entries).toHaveLength(1);
+      expect(entries[0].path).toBe('.claude/agents/');
+      expect(entries[0].commit).toBe('c'.repeat(40));
+    });
+
+    it('should remove entries by equivalent path', () => {
+      const lockfile = readLockfile(undefined, tempDir);
+      setLockEntry(lockfile, 'skills', '.claude/skills/', { repository: REPOSITORY, commit: COMMIT, items: {} });
+
+      expect(removeLockEntry(lockfile, 'skills', '.claude/skills')).toBe(true);
+      expect(removeLockEntry(lockfile, 'skills', '.claude/skills')).toBe(false);
+      expect(listLockEntries(lockfile, 'skills')).toEqual([]);
+    });
+  });
+
+  describe('User Story: See clear errors for a broken lockfile', () => {
+    it('should reject invalid JSON', () => {
+      writeFileSync(join(tempDir, LOCKFILE_FILENAME), '{ nope');
+
+      expect(() => readLockfile(undefined, tempDir)).toThrow(`Could not parse ${LOCKFILE_FILENAME}`);
+    });
+
+    it('should reject unknown lockfile versions', () => {
+      writeFileSync(join(tempDir, LOCKFILE_FILENAME), JSON.stringify({ lockfileVersion: 2 }));
+
+      expect(() => readLockfile(undefined, tempDir)).toThrow(`Unsupported ${LOCKFILE_FILENAME} version: 2`);
+    });
+
+    it('should reject entries without a full commit sha', () => {
+      writeFileSync(join(tempDir, LOCKFILE_FILENAME), JSON.stringify({
+        lockfileVersion: 1,
+        skills: { '.claude/skills/': { repository: REPOSITORY, commit: 'abc123', items: {} } }
+      }));
+
+      expect(() => readLockfile(undefined, tempDir)).toThrow('Invalid "skills" entry ".claude/skills/"');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Integration tests for lib/manifest.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MANIFEST_FILENAME, readManifest } from '../../lib/manifest.js';
+
+describe('Project Manifest', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'manifest-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeManifest(data, filename = MANIFEST_FILENAME) {
+    writeFileSync(join(tempDir, filename), typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  describe('User Story: Commit the team skill set to the repository', () => {
+    it('should read skills and agents targets from skills.json', () => {
+      writeManifest({
+        skills: { '.claude/skills/': ['address-pr-comments', 'gtm-manager'] },
+        agents: {
+          '.claude/agents/': ['Developer.agent.md'],
+          '.codex/agents/': ['Developer.agent.md']
+        },
+        gitignore: true
+      });
+
+      const manifest = readManifest(undefined, tempDir);
+
+      expect(manifest.path).toBe(join(tempDir, MANIFEST_FILENAME));
+      expect(manifest.skills).toEqual([
+        { path: '.claude/skills/', items: ['address-pr-comments', 'gtm-manager'] }
+      ]);
+      expect(manifest.agents).toEqual([
+        { path: '.claude/agents/', items: ['Developer.agent.md'] },
+        { path: '.codex/agents/', items: ['Developer.agent.md'] }
+      ]);
+      expect(manifest.gitignore).toBe(true);
+    });
+
+    it('should allow manifests with only one section and a custom filename', () => {
+      writeManifest({ agents: { '.agents/agents/': ['Tester.agent.md'] } }, 'team-skills.json');
+
+      const manifest = readManifest('team-skills.json', tempDir);
+
+      expect(manifest.skills).toEqual([]);
+      expect(manifest.agents).toHaveLength(1);
+      expect(manifest.gitignore).toBeUndefined();
+    });
+
+    it('should de-duplicate and trim item names', () => {
+      writeManifest({ skills: { '.agents/skills/': [' a ', 'a', 'b'] } });
+
+      expect(readManifest(undefined, tempDir).skills[0].items).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('User Story: See clear errors for invalid manifests', () => {
+    it('should report a missing manifest', () => {
+      expect(() => readManifest(undefined, tempDir)).toThrow('Manifest not found: skills.json');
+    });
+
+    it('should report invalid JSON', () => {
+      writeManifest('{ not json');
+
+      expect(() => readManifest(undefined, tempDir)).toThrow('Could not parse skills.json');
+    });
+
+    it('should reject sections that are not path-to-list maps', () => {
+      writeManifest({ skills: ['a', 'b'] });
+
+      expect(() => readManifest(undefined, tempDir)).toThrow('"skills" in skills.json must map install paths to lists of items');
+    });
+
+    it('should reject empty or malformed item lists', () => {
+      writeManifest({ skills: { '.claude/skills/': [] } });
+      expect(() => readManifest(undefined, tempDir)).toThrow('lists no items');
+
+      writeManifest({ agents: { '.claude/agents/': 'Developer.agent.md' } });
+      expect(() => readManifest(undefined, tempDir)).toThrow('must be a list of item names');
+    });
+
+    it('should reject a non-boolean gitignore setting', () => {
+      writeManifest({ gitignore: 'yes' });
+
+      expect(() => readManifest(undefined, tempDir)).toThrow('"gitignore" in skills.json must be true or false');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Integration tests for lib/markdown.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, visibleLength } from '../../lib/markdown.js';
+
+const plain = (lines) => lines.map(line => line.replace(/\x1B\[[0-9;]*m/g, ''));
+
+describe('Markdown Rendering', () => {
+  describe('User Story: Read a SKILL.md in the terminal', () => {
+    it('should style headings, emphasis, code and links', () => {
+      const lines = renderMarkdown('# Deploy\n\nRun **carefully** with `npm run ship`, see [docs](https://example.com).');
+
+      expect(plain(lines)).toEqual([
+        'Deploy',
+        '',
+        'Run carefully with npm run ship, see docs (https://example.com).'
+      ]);
+      expect(lines[0]).toContain('\x1B[1m');
+      expect(lines[2]).toContain('\x1B[1mcarefully\x1B[22m');
+      expect(lines[2]).toContain('\x1B[36mnpm run ship\x1B[39m');
+    });
+
+    it('should leave snake_case and code spans alone', () => {
+      expect(plain(renderMarkdown('Set `**not bold**` in my_config_file')))
+        .toEqual(['Set **not bold** in my_config_file']);
+    });
+
+    it('should wrap paragraphs and list items to the width', () => {
+      const lines = plain(renderMarkdown('- one two three four five six\n1. seven eight nine ten', 16));
+
+      expect(lines).toEqual([
+        '• one two three',
+        '  four five six',
+        '1. seven eight',
+        '   nine ten'
+      ]);
+      expect(Math.max(...renderMarkdown('word '.repeat(40), 30).map(visibleLength))).toBeLessThanOrEqual(30);
+    });
+
+    it('should keep code blocks and tables unwrapped', () => {
+      const lines = plain(renderMarkdown('```bash\nnpm   run   ship --with-a-long-flag\n```\n| a | b |', 20));
+
+      expect(lines).toEqual([
+        '  bash',
+        '  npm   run   ship …',
+        '| a | b |'
+      ]);
+    });
+
+    it('should dim frontmatter and render quotes, rules and tasks', () => {
+      const lines = renderMarkdown('---\nname: Deploy\n---\n> Note\n\n---\n\n- [x] done');
+
+      expect(plain(lines)).toEqual([
+        '---',
+        'name: Deploy',
+        '---',
+        '',
+        '│ Note',
+        '',
+        '─'.repeat(60),
+        '',
+        '• ☑ done'
+      ]);
+      expect(lines[1]).toContain('\x1B[2m');
+    });
+  });
+});
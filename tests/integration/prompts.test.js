@@ -94,8 +94,8 @@ describe('Prompts Module Utilities', () => {
 describe('Path Selection Options', () => {
   describe('User Story: Standard installation paths', () => {
     it('should include local and global skill targets for each harness', async () => {
-      const { SKILL_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-      const standardPaths = SKILL_INSTALL_TARGETS.map(target => target.path);
+      const { skillInstallTargets } = await import('../../lib/install-targets.js');
+      const standardPaths = skillInstallTargets().map(target => target.path);
 
       expect(standardPaths).toContain('.agents/skills/');
       expect(standardPaths).toContain('~/.agents/skills/');
@@ -106,28 +106,28 @@ describe('Path Selection Options', () => {
     });
 
     it('should list global skill targets before local targets', async () => {
-      const { SKILL_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-      const scopes = SKILL_INSTALL_TARGETS.map(target => target.scope);
+      const { skillInstallTargets } = await import('../../lib/install-targets.js');
+      const scopes = skillInstallTargets().map(target => target.scope);
 
       expect(scopes).toEqual(['global', 'global', 'local', 'local']);
     });
 
     it('should detect legacy skill targets without recommending them', async () => {
-      const { LEGACY_SKILL_INSTALL_TARGETS, SKILL_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-
-      expect(LEGACY_SKILL_INSTALL_TARGETS.map(target => target.path)).toContain('~/.codex/skills/');
-      expect(LEGACY_SKILL_INSTALL_TARGETS.map(target => target.path)).toContain('~/.copilot/skills/');
-      expect(LEGACY_SKILL_INSTALL_TARGETS.map(target => target.path)).toContain('.github/skills/');
-      expect(SKILL_INSTALL_TARGETS.map(target => target.path)).not.toContain('~/.codex/skills/');
-      expect(SKILL_INSTALL_TARGETS.map(target => target.path)).not.toContain('~/.copilot/skills/');
-      expect(SKILL_INSTALL_TARGETS.map(target => target.path)).not.toContain('.github/skills/');
+      const { legacySkillInstallTargets, skillInstallTargets } = await import('../../lib/install-targets.js');
+
+      expect(legacySkillInstallTargets().map(target => target.path)).toContain('~/.codex/skills/');
+      expect(legacySkillInstallTargets().map(target => target.path)).toContain('~/.copilot/skills/');
+      expect(legacySkillInstallTargets().map(target => target.path)).toContain('.github/skills/');
+      expect(skillInstallTargets().map(target => target.path)).not.toContain('~/.codex/skills/');
+      expect(skillInstallTargets().map(target => target.path)).not.toContain('~/.copilot/skills/');
+      expect(skillInstallTargets().map(target => target.path)).not.toContain('.github/skills/');
     });
   });
 
   describe('User Story: Standard subagent installation paths', () => {
     it('should include local and global agent targets for each supported harness', async () => {
-      const { AGENT_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-      const standardPaths = AGENT_INSTALL_TARGETS.map(target => target.path);
+      const { agentInstallTargets } = await import('../../lib/install-targets.js');
+      const standardPaths = agentInstallTargets().map(target => target.path);
 
       expect(standardPaths).toContain('.agents/agents/');
       expect(standardPaths).toContain('~/.agents/agents/');
@@ -140,27 +140,27 @@ describe('Path Selection Options', () => {
     });
 
     it('should list global agent targets before local targets', async () => {
-      const { AGENT_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-      const scopes = AGENT_INSTALL_TARGETS.map(target => target.scope);
+      const { agentInstallTargets } = await import('../../lib/install-targets.js');
+      const scopes = agentInstallTargets().map(target => target.scope);
 
       expect(scopes).toEqual(['global', 'global', 'global', 'local', 'local', 'local']);
     });
 
     it('should mark Codex agent targets for TOML conversion installs', async () => {
-      const { AGENT_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
-      const codexTargets = AGENT_INSTALL_TARGETS.filter(target => target.harness === 'codex');
+      const { agentInstallTargets } = await import('../../lib/install-targets.js');
+      const codexTargets = agentInstallTargets().filter(target => target.harness === 'codex');
 
       expect(codexTargets.map(target => target.path)).toEqual(['~/.codex/agents/', '.codex/agents/']);
       expect(codexTargets.every(target => target.installMode === 'codex-toml')).toBe(true);
     });
 
     it('should detect legacy agent targets without recommending them', async () => {
-      const { LEGACY_AGENT_INSTALL_TARGETS, AGENT_INSTALL_TARGETS } = await import('../../lib/install-targets.js');
+      const { legacyAgentInstallTargets, agentInstallTargets } = await import('../../lib/install-targets.js');
 
-      expect(LEGACY_AGENT_INSTALL_TARGETS.map(target => target.path)).toContain('.github/agents/');
-      expect(LEGACY_AGENT_INSTALL_TARGETS.map(target => target.path)).toContain('~/.copilot/agents/');
-      expect(AGENT_INSTALL_TARGETS.map(target => target.path)).not.toContain('.github/agents/');
-      expect(AGENT_INSTALL_TARGETS.map(target => target.path)).not.toContain('~/.copilot/agents/');
+      expect(legacyAgentInstallTargets().map(target => target.path)).toContain('.github/agents/');
+      expect(legacyAgentInstallTargets().map(target => target.path)).toContain('~/.copilot/agents/');
+      expect(agentInstallTargets().map(target => target.path)).not.toContain('.github/agents/');
+      expect(agentInstallTargets().map(target => target.path)).not.toContain('~/.copilot/agents/');
     });
 
     it('should detect Codex TOML agent targets for generated installs', async () => {
@@ -178,6 +178,14 @@ describe('Path Selection Options', () => {
       expect(getAgentInstallMode('~/.codex/agents/')).toBe('codex-toml');
       expect(getAgentInstallMode('.agents/agents/')).toBe('sparse-git');
     });
+
+    it('should resolve Claude agent paths to Markdown conversion', async () => {
+      const { getAgentInstallMode } = await import('../../lib/install-targets.js');
+
+      expect(getAgentInstallMode('.claude/agents/')).toBe('claude-md');
+      expect(getAgentInstallMode('~/.claude/agents/')).toBe('claude-md');
+      expect(getAgentInstallMode('apps/web/.claude/agents')).toBe('claude-md');
+    });
   });
 
   describe('User Story: See harness scope and count in path labels', () => {
@@ -321,3 +329,235 @@ describe('Description Formatting', () => {
     });
   });
 });
+
+describe('Item Picker', () => {
+  const skills = [
+    { folder: 'address-pr-comments', name: 'Address PR Comments', description: 'Resolve review threads' },
+    { folder: 'gtm-manager', name: 'GTM Manager', description: 'Manage tags' },
+    { folder: 'pr-summary', name: 'Summarize', description: 'Press right arrow to load description' },
+    { folder: 'deploy', name: 'Deploy', description: 'Ship a PR to production' }
+  ];
+  let output;
+  let originalLog;
+  let originalWrite;
+
+  beforeEach(() => {
+    output = '';
+    originalLog = console.log;
+    originalWrite = process.stdout.write;
+    console.log = (...args) => { output += `${args.join(' ')}\n`; };
+    process.stdout.write = (str) => { output += str; return true; };
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    process.stdout.write = originalWrite;
+  });
+
+  // Type keys into the picker: single characters, or key names like "down"
+  function press(...keys) {
+    for (const key of keys) {
+      const isChar = key.length === 1;
+      output = '';
+      process.stdin.emit('keypress', isChar ? key : undefined, {
+        name: isChar ? key.toLowerCase() : key,
+        shift: isChar && key !== key.toLowerCase()
+      });
+    }
+  }
+
+  function screen() {
+    return output.slice(output.lastIndexOf('\x1B[2J\x1B[H'));
+  }
+
+  describe('User Story: Narrow long lists with /', () => {
+    it('should match name, folder and loaded description but not the lazy placeholder', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(skills, ['gtm-manager']);
+
+      press('/', 'p', 'r');
+
+      expect(screen()).toContain('Address PR Comments');
+      expect(screen()).toContain('Summarize');
+      expect(screen()).toContain('Deploy');
+      expect(screen()).not.toContain('GTM Manager');
+      expect(screen()).toContain('Filter: /pr█  (3 of 4 shown');
+
+      press('e', 's', 's');
+      expect(screen()).toContain('No items match "press"');
+
+      press('escape', 'return');
+      expect(await selection).toEqual(['gtm-manager']);
+    });
+
+    it('should toggle only the filtered items and keep hidden selections', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(skills, ['gtm-manager', 'deploy']);
+
+      // "deploy" is listed and selected, "address-pr-comments" is listed but not: select both
+      press('/', 'p', 'r', 'return', 'a');
+      expect(screen()).toContain('4 items selected');
+
+      // All listed items are selected: deselect them, "gtm-manager" stays
+      press('a', 'escape', 'return');
+      expect(await selection).toEqual(['gtm-manager']);
+    });
+
+    it('should jump between matches with n and N after the filter is cleared', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(skills, ['gtm-manager']);
+
+      press('/', 'p', 'r', 'escape');
+      expect(screen()).toContain('❯ ○ Address PR Comments');
+      expect(screen()).toContain('GTM Manager');
+
+      press('n');
+      expect(screen()).toContain('❯ ○ Summarize');
+
+      press('n', 'n');
+      expect(screen()).toContain('❯ ○ Address PR Comments');
+
+      press('N', 'space', 'return');
+      expect(await selection).toEqual(['gtm-manager', 'deploy']);
+    });
+  });
+
+  describe('User Story: Preview an item before installing it', () => {
+    it('should show the rendered Markdown and files, scroll it and go back', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const previewLoader = vi.fn(async () => ({
+        content: '# Deploy\n\n' + Array.from({ length: 40 }, (_, i) => `Line ${i + 1}`).join('\n\n'),
+        files: [{ path: 'SKILL.md', size: 300 }, { path: 'scripts/run.sh', size: 2048 }]
+      }));
+      const originalRows = process.stdout.rows;
+      process.stdout.rows = 20;
+
+      try {
+        const selection = promptSkillSelection(skills, ['gtm-manager'], new Set(), null, previewLoader);
+        press('down', 'p');
+        expect(screen()).toContain('📄 GTM Manager');
+        expect(screen()).toContain('Loading preview...');
+
+        await vi.waitFor(() => expect(screen()).toContain('scripts/run.sh  2.0 KB'));
+        expect(previewLoader).toHaveBeenCalledWith('gtm-manager');
+        expect(screen()).toContain('SKILL.md        300 B');
+        expect(screen()).toContain('(lines 1-14 of');
+        expect(screen()).not.toContain('Select items to install');
+
+        press('end');
+        expect(screen()).toContain('Line 40');
+        expect(screen()).not.toContain('Files (2)');
+
+        press('escape');
+        expect(screen()).toContain('❯ ◉ GTM Manager');
+
+        // Previews are loaded once
+        press('p', 'q', 'return');
+        expect(previewLoader).toHaveBeenCalledTimes(1);
+        expect(await selection).toEqual(['gtm-manager']);
+      } finally {
+        process.stdout.rows = originalRows;
+      }
+    });
+
+    it('should report previews that fail to load', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(skills, ['deploy'], new Set(), null, async () => {
+        throw new Error('Failed to fetch deploy/SKILL.md: 404 Not Found');
+      });
+
+      press('p');
+      await vi.waitFor(() => expect(screen()).toContain('Preview unavailable: Failed to fetch deploy/SKILL.md: 404 Not Found'));
+
+      press('left', 'return');
+      expect(await selection).toEqual(['deploy']);
+    });
+
+    it('should show the upstream commits and diff of items needing an update', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const changesLoader = vi.fn(async () => ({
+        log: 'abc1234 Tighten the deploy checklist (Alice, 2 days ago)',
+        diff: 'diff --git a/deploy/SKILL.md b/deploy/SKILL.md\n--- a/deploy/SKILL.md\n+++ b/deploy/SKILL.md\n@@ -1 +1 @@\n-old step\n+new step'
+      }));
+      const selection = promptSkillSelection(skills, ['deploy', 'gtm-manager'], new Set(['deploy']), null, null, changesLoader);
+
+      // Items without an update have nothing to show
+      press('down');
+      expect(screen()).toContain('D changes');
+      press('d');
+      expect(changesLoader).not.toHaveBeenCalled();
+
+      press('end', 'd');
+      expect(screen()).toContain('🔀 Upstream changes: Deploy');
+      await vi.waitFor(() => expect(screen()).toContain('Commits (1):'));
+      expect(changesLoader).toHaveBeenCalledWith('deploy');
+      expect(screen()).toContain('abc1234 Tighten the deploy checklist (Alice, 2 days ago)');
+      expect(screen()).toContain('\x1B[31m-old step\x1B[0m');
+      expect(screen()).toContain('\x1B[32m+new step\x1B[0m');
+
+      press('d', 'return');
+      expect(await selection).toEqual(['deploy', 'gtm-manager']);
+    });
+  });
+
+  describe('User Story: Scroll lists taller than the terminal', () => {
+    const manySkills = Array.from({ length: 30 }, (_, i) => {
+      const number = String(i + 1).padStart(2, '0');
+      return { folder: `skill-${number}`, name: `Skill ${number}`, description: 'Does things' };
+    });
+    let originalRows;
+    let originalColumns;
+
+    beforeEach(() => {
+      originalRows = process.stdout.rows;
+      originalColumns = process.stdout.columns;
+      // 7 header rows and 2 footer rows leave 10 rows: 8 items and 2 indicators
+      process.stdout.rows = 20;
+      process.stdout.columns = 200;
+    });
+
+    afterEach(() => {
+      process.stdout.rows = originalRows;
+      process.stdout.columns = originalColumns;
+    });
+
+    it('should keep the cursor visible with more above/below indicators', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(manySkills, ['skill-01']);
+
+      press('down');
+      expect(screen()).toContain('❯ ○ Skill 02');
+      expect(screen()).toContain('Skill 08');
+      expect(screen()).not.toContain('Skill 09');
+      expect(screen()).toContain('↓ 22 more below');
+      expect(screen()).not.toContain('more above');
+
+      press('end');
+      expect(screen()).toContain('❯ ○ Skill 30');
+      expect(screen()).toContain('↑ 22 more above');
+      expect(screen()).not.toContain('more below');
+
+      press('pageup');
+      expect(screen()).toContain('❯ ○ Skill 22');
+
+      press('pagedown', 'home', 'return');
+      expect(await selection).toEqual(['skill-01']);
+    });
+
+    it('should show every item again when the terminal grows', async () => {
+      const { promptSkillSelection } = await import('../../lib/prompts.js');
+      const selection = promptSkillSelection(manySkills, ['skill-01']);
+
+      output = '';
+      process.stdout.rows = 60;
+      process.stdout.emit('resize');
+
+      expect(screen()).toContain('Skill 30');
+      expect(screen()).not.toContain('more below');
+
+      press('return');
+      await selection;
+      expect(process.stdout.listenerCount('resize')).toBe(0);
+    });
+  });
+});
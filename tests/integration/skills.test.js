@@ -4,96 +4,139 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { execSync } from 'child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 // Mock fetch globally before importing the module
 const mockFetch = vi.fn();
 global.fetch = mockFetch;
 
+// The git fallback is covered in git-discovery.test.js; keep these tests off the network
+const mockReadRepositoryFiles = vi.fn();
+const mockReadRepositoryFile = vi.fn();
+
+vi.mock('../../lib/git-discovery.js', async () => {
+  const actual = await vi.importActual('../../lib/git-discovery.js');
+  return {
+    ...actual,
+    readRepositoryFiles: mockReadRepositoryFiles,
+    readRepositoryFile: mockReadRepositoryFile
+  };
+});
+
 // Now import the module under test
-const { fetchAvailableSkills, fetchSkillMetadata, getRepoUrl, REPO_OWNER, REPO_NAME } = await import('../../lib/skills.js');
+const {
+  fetchAvailableSkills,
+  fetchSkillMetadata,
+  fetchSkillPreview,
+  getRepoUrl,
+  mergeSkillSources,
+  resolveSkillNames,
+  REPO_OWNER,
+  REPO_NAME
+} = await import('../../lib/skills.js');
+const { __setSleepForTests } = await import('../../lib/github-client.js');
+
+// Retries should not wait in tests
+__setSleepForTests(async () => {});
 
 describe('Skills Module', () => {
   beforeEach(() => {
     mockFetch.mockReset();
+    mockReadRepositoryFiles.mockReset().mockRejectedValue(new Error('git unavailable'));
+    mockReadRepositoryFile.mockReset().mockRejectedValue(new Error('git unavailable'));
   });
 
+  /**
+   * Answer the Git Trees API with the given paths and raw downloads with the
+   * given SKILL.md contents (404 for any other file)
+   */
+  function mockRepository(paths, files = {}) {
+    mockFetch.mockImplementation(async (url) => {
+      if (url.includes('/git/trees/')) {
+        return {
+          ok: true,
+          json: async () => ({
+            truncated: false,
+            tree: paths.map(path => (path.includes('.')
+              ? { path, type: 'blob', size: files[path]?.length ?? 0 }
+              : { path, type: 'tree' }))
+          })
+        };
+      }
+      const file = Object.keys(files).find(path => url.endsWith(`/${path}`));
+      return file
+        ? { ok: true, text: async () => files[file] }
+        : { ok: false, status: 404, statusText: 'Not Found' };
+    });
+  }
+
   describe('User Story: Fetch available skills from repository', () => {
-    it('should fetch skills list from GitHub API with one request', async () => {
-      // Mock root contents response
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => [
-          { name: 'address-pr-comments', type: 'dir' },
-          { name: 'gtm-manager', type: 'dir' },
-          { name: '.github', type: 'dir' },
-          { name: 'README.md', type: 'file' }
-        ]
-      });
+    it('should list skills from one tree request and load their frontmatter up front', async () => {
+      mockRepository(
+        ['README.md', 'address-pr-comments', 'address-pr-comments/SKILL.md', 'gtm-manager', 'gtm-manager/SKILL.md', 'gtm-manager/scripts/run.sh'],
+        {
+          'address-pr-comments/SKILL.md': '---\nname: Address PR Comments\ndescription: Resolve review threads\n---\n',
+          'gtm-manager/SKILL.md': '# No frontmatter\n'
+        }
+      );
 
       const skills = await fetchAvailableSkills();
 
-      expect(skills).toHaveLength(2);
-      expect(skills[0]).toEqual({
-        folder: 'address-pr-comments',
-        name: 'Address Pr Comments',
-        description: 'Press right arrow to load description'
-      });
-      expect(skills[1]).toEqual({
-        folder: 'gtm-manager',
-        name: 'Gtm Manager',
-        description: 'Press right arrow to load description'
-      });
-      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(skills).toEqual([
+        { folder: 'address-pr-comments', name: 'Address PR Comments', description: 'Resolve review threads' },
+        { folder: 'gtm-manager', name: 'Gtm Manager', description: 'No description available' }
+      ]);
+      const apiCalls = mockFetch.mock.calls.filter(([url]) => url.startsWith('https://api.github.com'));
+      expect(apiCalls.map(([url]) => url)).toEqual([
+        'https://api.github.com/repos/supercorks/agent-skills/git/trees/HEAD?recursive=1'
+      ]);
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://raw.githubusercontent.com/supercorks/agent-skills/HEAD/gtm-manager/SKILL.md',
+        expect.anything()
+      );
     });
 
-    it('should filter out excluded folders (.github, .claude, node_modules)', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => [
-          { name: '.github', type: 'dir' },
-          { name: '.claude', type: 'dir' },
-          { name: 'node_modules', type: 'dir' },
-          { name: '.hidden', type: 'dir' },
-          { name: 'valid-skill', type: 'dir' }
-        ]
-      });
+    it('should skip folders without a SKILL.md and excluded folders', async () => {
+      mockRepository([
+        '.github', '.github/SKILL.md',
+        'node_modules', 'node_modules/SKILL.md',
+        'docs', 'docs/README.md',
+        'nested', 'nested/deeper', 'nested/deeper/SKILL.md',
+        'valid-skill', 'valid-skill/SKILL.md'
+      ]);
 
       const skills = await fetchAvailableSkills();
 
-      // Should only include valid-skill, not any excluded folders
-      expect(skills).toHaveLength(1);
-      expect(skills[0].folder).toBe('valid-skill');
+      expect(skills.map(skill => skill.folder)).toEqual(['valid-skill']);
     });
 
-    it('should filter out files (only directories are skills)', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => [
-          { name: 'README.md', type: 'file' },
-          { name: 'package.json', type: 'file' },
-          { name: 'my-skill', type: 'dir' }
-        ]
-      });
+    it('should leave descriptions to lazy loading when SKILL.md cannot be downloaded', async () => {
+      mockRepository(['my-skill', 'my-skill/SKILL.md']);
 
       const skills = await fetchAvailableSkills();
 
-      expect(skills).toHaveLength(1);
-      expect(skills[0].folder).toBe('my-skill');
+      expect(skills).toEqual([
+        { folder: 'my-skill', name: 'My Skill', description: 'Press right arrow to load description' }
+      ]);
     });
 
-    it('should include directories and lazy-load metadata later', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => [
-          { name: 'has-skill-md', type: 'dir' },
-          { name: 'no-skill-md', type: 'dir' }
-        ]
-      });
+    it('should list root folders when the tree is too large for one request', async () => {
+      mockFetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ truncated: true, tree: [] }) })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ name: 'big-skill', type: 'dir' }, { name: 'README.md', type: 'file' }]
+        });
 
-      const skills = await fetchAvailableSkills();
+      const skills = await fetchAvailableSkills(undefined, 'v2');
 
-      expect(skills).toHaveLength(2);
-      expect(skills[0].folder).toBe('has-skill-md');
+      expect(skills).toEqual([
+        { folder: 'big-skill', name: 'Big Skill', description: 'Press right arrow to load description' }
+      ]);
+      expect(mockFetch.mock.calls[1][0]).toBe('https://api.github.com/repos/supercorks/agent-skills/contents?ref=v2');
     });
   });
 
@@ -165,9 +208,10 @@ description: Has description but no name
     });
 
     it('should throw error on network failure', async () => {
-      mockFetch.mockRejectedValueOnce(new Error('Network error'));
+      mockFetch.mockRejectedValue(new Error('Network error'));
 
-      await expect(fetchAvailableSkills()).rejects.toThrow();
+      await expect(fetchAvailableSkills()).rejects.toThrow('Failed to fetch skills list: Network error');
+      expect(mockFetch).toHaveBeenCalledTimes(4);
     });
 
     it('should throw meaningful error on rate limit', async () => {
@@ -179,6 +223,24 @@ description: Has description but no name
 
       await expect(fetchAvailableSkills()).rejects.toThrow('403');
     });
+
+    it('should list skills with git when the API is blocked', async () => {
+      mockFetch.mockResolvedValue({ ok: false, status: 403, statusText: 'Forbidden' });
+      mockReadRepositoryFiles.mockResolvedValueOnce([
+        { path: 'deploy/SKILL.md', content: '---\nname: Deploy\ndescription: Ship it\n---\n' },
+        { path: 'gtm-manager/SKILL.md', content: '# No frontmatter\n' }
+      ]);
+
+      const skills = await fetchAvailableSkills(undefined, 'v1');
+
+      expect(skills).toEqual([
+        { folder: 'deploy', name: 'Deploy', description: 'Ship it' },
+        { folder: 'gtm-manager', name: 'Gtm Manager', description: 'No description available' }
+      ]);
+      expect(mockReadRepositoryFiles).toHaveBeenCalledWith(
+        { owner: 'supercorks', name: 'agent-skills' }, 'v1', expect.any(Function)
+      );
+    });
   });
 
   describe('Repository Configuration', () => {
@@ -194,5 +256,139 @@ description: Has description but no name
     it('should have correct repo name', () => {
       expect(REPO_NAME).toBe('agent-skills');
     });
+
+    it('should read from a configured repository', async () => {
+      const repo = { owner: 'acme', name: 'internal-skills' };
+      mockFetch.mockResolvedValueOnce({ ok: true, json: async () => ({ truncated: false, tree: [] }) });
+
+      await fetchAvailableSkills(repo);
+
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.github.com/repos/acme/internal-skills/git/trees/HEAD?recursive=1');
+      expect(getRepoUrl(repo)).toBe('https://github.com/acme/internal-skills.git');
+    });
+  });
+
+  describe('User Story: Pick skills from several sources at once', () => {
+    const skill = (folder, name) => ({ folder, name, description: '' });
+    const catalogs = [
+      { source: { id: 'agent-skills' }, skills: [skill('gtm-manager', 'Gtm Manager'), skill('deploy', 'Deploy')] },
+      { source: { id: 'team-skills' }, skills: [skill('deploy', 'Deploy'), skill('runbook', 'Runbook')] }
+    ];
+
+    it('should keep folders unqualified for a single source', () => {
+      expect(mergeSkillSources(catalogs.slice(0, 1))).toEqual([
+        { ...skill('gtm-manager', 'Gtm Manager'), source: 'agent-skills' },
+        { ...skill('deploy', 'Deploy'), source: 'agent-skills' }
+      ]);
+    });
+
+    it('should qualify folders by source and disambiguate colliding names', () => {
+      const merged = mergeSkillSources(catalogs);
+
+      expect(merged.map(s => s.folder)).toEqual([
+        'agent-skills/gtm-manager',
+        'agent-skills/deploy',
+        'team-skills/deploy',
+        'team-skills/runbook'
+      ]);
+      expect(merged.map(s => s.name)).toEqual(['Gtm Manager', 'Deploy (agent-skills)', 'Deploy (team-skills)', 'Runbook']);
+      expect(merged.map(s => s.source)).toEqual(['agent-skills', 'agent-skills', 'team-skills', 'team-skills']);
+    });
+
+    it('should resolve bare names only when a single source provides them', () => {
+      const result = resolveSkillNames(['runbook', 'team-skills/deploy', 'deploy', 'missing'], mergeSkillSources(catalogs));
+
+      expect(result).toEqual({
+        ids: ['team-skills/runbook', 'team-skills/deploy'],
+        missing: ['missing'],
+        ambiguous: [{ name: 'deploy', matches: ['agent-skills/deploy', 'team-skills/deploy'] }]
+      });
+    });
+  });
+
+  describe('User Story: Preview a skill before installing it', () => {
+    it('should return the whole SKILL.md and the files of the skill folder', async () => {
+      const skillMd = '---\nname: Deploy\n---\n# Deploy\n\nShip it.\n';
+      mockRepository(['deploy', 'deploy/SKILL.md', 'deploy/scripts', 'deploy/scripts/run.sh', 'deploy-tools/SKILL.md'], {
+        'deploy/SKILL.md': skillMd,
+        'deploy/scripts/run.sh': 'echo hi\n'
+      });
+
+      expect(await fetchSkillPreview('deploy', undefined, 'v1')).toEqual({
+        content: skillMd,
+        files: [
+          { path: 'SKILL.md', size: skillMd.length },
+          { path: 'scripts/run.sh', size: 8 }
+        ]
+      });
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://raw.githubusercontent.com/supercorks/agent-skills/v1/deploy/SKILL.md',
+        expect.anything()
+      );
+    });
+
+    it('should read the skill folder with git when the API is blocked', async () => {
+      mockFetch.mockResolvedValue({ ok: false, status: 403, statusText: 'Forbidden' });
+      mockReadRepositoryFiles.mockResolvedValueOnce([
+        { path: 'deploy/SKILL.md', content: '# Deploy', size: 8 },
+        { path: 'deploy/logo.png', content: '\u0000', size: 2048 }
+      ]);
+
+      expect(await fetchSkillPreview('deploy')).toEqual({
+        content: '# Deploy',
+        files: [{ path: 'SKILL.md', size: 8 }, { path: 'logo.png', size: 2048 }]
+      });
+    });
+  });
+
+  describe('User Story: Install skills from a local checkout', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = mkdtempSync(join(tmpdir(), 'skills-local-'));
+    });
+
+    afterEach(() => {
+      rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should list folders with a SKILL.md and parse their metadata without the network', async () => {
+      mkdirSync(join(repoPath, 'gtm-manager'));
+      writeFileSync(join(repoPath, 'gtm-manager', 'SKILL.md'), '---\nname: GTM Manager\ndescription: Manage tags\n---\n');
+      mkdirSync(join(repoPath, 'plain-skill'));
+      writeFileSync(join(repoPath, 'plain-skill', 'SKILL.md'), '# No frontmatter');
+      mkdirSync(join(repoPath, 'docs'));
+      mkdirSync(join(repoPath, '.github'));
+      const repo = { name: 'agent-skills', path: repoPath };
+
+      expect(await fetchAvailableSkills(repo)).toEqual([
+        { folder: 'gtm-manager', name: 'GTM Manager', description: 'Manage tags' },
+        { folder: 'plain-skill', name: 'Plain Skill', description: 'No description available' }
+      ]);
+      expect(await fetchSkillMetadata('gtm-manager', repo)).toEqual({ name: 'GTM Manager', description: 'Manage tags' });
+      expect((await fetchSkillPreview('gtm-manager', repo)).files).toEqual([{ path: 'SKILL.md', size: 51 }]);
+      expect(getRepoUrl(repo)).toBe(repoPath);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should list the skills committed at a ref instead of the files on disk', async () => {
+      const git = (command) => execSync(`git ${command}`, { cwd: repoPath, stdio: 'pipe' }).toString().trim();
+      git('init -q -b main');
+      mkdirSync(join(repoPath, 'gtm-manager'));
+      writeFileSync(join(repoPath, 'gtm-manager', 'SKILL.md'), '---\nname: GTM Manager\ndescription: v1\n---\n');
+      git('add -A');
+      git('-c user.email=test@example.com -c user.name=Test commit -q -m v1');
+      git('tag v1');
+      writeFileSync(join(repoPath, 'gtm-manager', 'SKILL.md'), '---\nname: GTM Manager\ndescription: v2\n---\n');
+      mkdirSync(join(repoPath, 'new-skill'));
+      writeFileSync(join(repoPath, 'new-skill', 'SKILL.md'), '---\nname: New Skill\n---\n');
+      const repo = { name: 'agent-skills', path: repoPath };
+
+      expect(await fetchAvailableSkills(repo, 'v1')).toEqual([
+        { folder: 'gtm-manager', name: 'GTM Manager', description: 'v1' }
+      ]);
+      expect((await fetchAvailableSkills(repo)).map(skill => skill.description)).toEqual(['v2', 'No description available']);
+      await expect(fetchAvailableSkills(repo, 'missing-ref')).rejects.toThrow('Could not list missing-ref');
+    });
   });
 });
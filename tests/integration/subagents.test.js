@@ -4,21 +4,46 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { execSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 const mockFetch = vi.fn();
 global.fetch = mockFetch;
 
+// The git fallback is covered in git-discovery.test.js; keep these tests off the network
+const mockReadRepositoryFiles = vi.fn();
+const mockReadRepositoryFile = vi.fn();
+
+vi.mock('../../lib/git-discovery.js', async () => {
+  const actual = await vi.importActual('../../lib/git-discovery.js');
+  return {
+    ...actual,
+    readRepositoryFiles: mockReadRepositoryFiles,
+    readRepositoryFile: mockReadRepositoryFile
+  };
+});
+
 const {
   fetchAvailableSubagents,
+  fetchSubagentContent,
   fetchSubagentMetadata,
+  fetchSubagentPreview,
   getSubagentsRepoUrl,
   SUBAGENTS_REPO_OWNER,
   SUBAGENTS_REPO_NAME
 } = await import('../../lib/subagents.js');
+const { __setSleepForTests } = await import('../../lib/github-client.js');
+
+// Retries should not wait in tests
+__setSleepForTests(async () => {});
 
 describe('Subagents Module', () => {
   beforeEach(() => {
     mockFetch.mockReset();
+    mockReadRepositoryFiles.mockReset().mockRejectedValue(new Error('git unavailable'));
+    mockReadRepositoryFile.mockReset().mockRejectedValue(new Error('git unavailable'));
   });
 
   describe('User Story: Fetch available subagents from repository', () => {
@@ -144,7 +169,7 @@ description: Creates decision-complete plans
     });
 
     it('should throw error on network failure', async () => {
-      mockFetch.mockRejectedValueOnce(new Error('Network error'));
+      mockFetch.mockRejectedValue(new Error('Network error'));
 
       await expect(fetchAvailableSubagents()).rejects.toThrow();
     });
@@ -158,6 +183,19 @@ description: Creates decision-complete plans
 
       await expect(fetchAvailableSubagents()).rejects.toThrow('403');
     });
+
+    it('should read subagents with git when the API is blocked', async () => {
+      mockFetch.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.github.com'));
+      mockReadRepositoryFiles.mockResolvedValueOnce([
+        { path: 'Developer.agent.md', content: '---\nname: Developer\ndescription: Writes code\n---\n' }
+      ]);
+      mockReadRepositoryFile.mockResolvedValueOnce('---\nname: Developer\ndescription: Writes code\n---\n');
+
+      expect(await fetchAvailableSubagents()).toEqual([
+        { filename: 'Developer.agent.md', name: 'Developer', description: 'Writes code' }
+      ]);
+      expect(await fetchSubagentMetadata('Developer.agent.md')).toEqual({ name: 'Developer', description: 'Writes code' });
+    });
   });
 
   describe('Repository Configuration', () => {
@@ -173,5 +211,65 @@ description: Creates decision-complete plans
     it('should have correct repo name', () => {
       expect(SUBAGENTS_REPO_NAME).toBe('subagents');
     });
+
+    it('should read from a configured repository', async () => {
+      const repo = { owner: 'acme', name: 'internal-agents' };
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ content: Buffer.from('---\nname: Dev\n---\n').toString('base64') })
+      });
+
+      await fetchSubagentMetadata('Dev.agent.md', repo);
+
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.github.com/repos/acme/internal-agents/contents/Dev.agent.md');
+      expect(getSubagentsRepoUrl(repo)).toBe('https://github.com/acme/internal-agents.git');
+    });
+  });
+
+  describe('User Story: Install subagents from a local checkout', () => {
+    it('should list and parse .agent.md files from disk without the network', async () => {
+      const repoPath = mkdtempSync(join(tmpdir(), 'subagents-local-'));
+      try {
+        writeFileSync(join(repoPath, 'developer.agent.md'), '---\nname: Developer\ndescription: Writes code\n---\nBody');
+        writeFileSync(join(repoPath, 'README.md'), '# Agents');
+        const repo = { name: 'subagents', path: repoPath };
+
+        expect(await fetchAvailableSubagents(repo)).toEqual([
+          { filename: 'developer.agent.md', name: 'Developer', description: 'Writes code' }
+        ]);
+        expect(await fetchSubagentMetadata('developer.agent.md', repo)).toEqual({ name: 'Developer', description: 'Writes code' });
+        expect(await fetchSubagentPreview('developer.agent.md', repo)).toEqual({
+          content: 'Body',
+          files: [{ path: 'developer.agent.md', size: 53 }]
+        });
+        expect(getSubagentsRepoUrl(repo)).toBe(repoPath);
+        expect(mockFetch).not.toHaveBeenCalled();
+      } finally {
+        rmSync(repoPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should read the committed content when a ref is given', async () => {
+      const repoPath = mkdtempSync(join(tmpdir(), 'subagents-local-'));
+      const git = (command) => execSync(`git ${command}`, { cwd: repoPath, stdio: 'pipe' }).toString().trim();
+      try {
+        git('init -q -b main');
+        writeFileSync(join(repoPath, 'developer.agent.md'), 'v1');
+        git('add -A');
+        git('-c user.email=test@example.com -c user.name=Test commit -q -m v1');
+        writeFileSync(join(repoPath, 'developer.agent.md'), 'v2 (uncommitted)');
+        const repo = { name: 'subagents', path: repoPath };
+
+        expect(await fetchSubagentContent('developer.agent.md', { repo, ref: git('rev-parse HEAD') })).toBe('v1');
+        expect(await fetchSubagentContent('developer.agent.md', { repo })).toBe('v2 (uncommitted)');
+      } finally {
+        rmSync(repoPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should fail clearly when the checkout does not exist', async () => {
+      await expect(fetchAvailableSubagents({ name: 'missing', path: '/nonexistent/subagents' }))
+        .rejects.toThrow('Local source "/nonexistent/subagents" does not exist');
+    });
   });
 });